@@ -0,0 +1,68 @@
+import {join} from 'node:path';
+import {createAuthenticator} from './auth.js';
+import {createGameEvents} from './events.js';
+import {createGameRoutes} from './games.js';
+import {applyCors, clientAddress, HttpError, sendError, sendJson} from './http.js';
+import {createLeaderboardRoutes} from './leaderboard.js';
+import {createRateLimiter} from './rateLimit.js';
+import {createJsonStore} from './store.js';
+import {createTokenRoute} from './token.js';
+import {createWebhooks} from './webhooks.js';
+
+// "/api/games/:id/guess" -> /^\/api\/games\/(?<id>[^/]+)\/guess$/
+const compilePath = (path) =>
+    new RegExp(`^${path.replace(/:(\w+)/g, '(?<$1>[^/]+)').replace(/\//g, '\\/')}$`);
+
+export const createApp = async (config) => {
+    const limit = createRateLimiter(config.rateLimit);
+    // Guesses come in quick succession, so games get a more generous budget
+    const gameLimit = createRateLimiter({...config.rateLimit, max: config.rateLimit.max * 10});
+    // A game takes a while to play, so announcing more than a few per window is spam
+    const playLimit = createRateLimiter(config.playRateLimit);
+    const authenticate = createAuthenticator(config);
+    const scoreStore = await createJsonStore(join(config.dataDir, 'scores.json'), {profiles: {}, scores: []});
+    const events = createGameEvents(await createWebhooks({...config.webhook, dataDir: config.dataDir}));
+    const leaderboard = createLeaderboardRoutes({
+        store: scoreStore,
+        authenticate,
+        events,
+        allowGuests: config.scores.allowGuests
+    });
+    const games = createGameRoutes({scoreStore, authenticate, events});
+
+    const routes = [
+        ['GET', '/health', async (req, res) => sendJson(res, 200, {status: 'ok'}), null],
+        ['POST', '/api/token', createTokenRoute(config), limit],
+        ['POST', '/api/scores', leaderboard.submit, limit],
+        ['GET', '/api/leaderboard', leaderboard.list, limit],
+        ['POST', '/api/plays', leaderboard.play, playLimit],
+        ['POST', '/api/games', games.start, limit],
+        ['GET', '/api/games/:id', games.show, gameLimit],
+        ['POST', '/api/games/:id/guess', games.guess, gameLimit],
+        ['POST', '/api/games/:id/cash-out', games.cashOut, gameLimit]
+    ].map(([method, path, handler, limiter]) => ({method, pattern: compilePath(path), handler, limiter}));
+
+    return async (req, res) => {
+        applyCors(req, res, config.corsOrigins);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const {pathname} = new URL(req.url, 'http://localhost');
+
+        try {
+            const route = routes.find(({method, pattern}) => method === req.method && pattern.test(pathname));
+            if (!route) {
+                throw new HttpError(404, 'Not found');
+            }
+
+            route.limiter?.(clientAddress(req, config.trustProxy));
+            await route.handler(req, res, route.pattern.exec(pathname).groups ?? {});
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+};
@@ -0,0 +1,47 @@
+import {avatarUrlFor, fetchCurrentUser} from './discord.js';
+import {HttpError} from './http.js';
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const GUEST_ID_PATTERN = /^guest-[a-z0-9]{1,16}$/;
+
+// Players outside Discord pick their own guest id (see getGuestPlayer() in the client),
+// so a guest profile is only as trustworthy as the client that sent it
+export const guestProfile = (guestId) => {
+    if (typeof guestId !== 'string' || !GUEST_ID_PATTERN.test(guestId)) {
+        return null;
+    }
+    return {id: guestId, name: `Guest ${guestId.slice(-4)}`, avatarUrl: null};
+};
+
+// Resolves the Discord user behind a request's bearer token. Lookups are cached
+// briefly so a burst of submissions doesn't hit Discord's rate limits.
+export const createAuthenticator = ({discord}) => {
+    const cache = new Map();
+
+    return async (req) => {
+        const header = req.headers.authorization ?? '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            throw new HttpError(401, 'Missing Discord access token.');
+        }
+
+        const cached = cache.get(token);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.profile;
+        }
+
+        const user = await fetchCurrentUser(discord, token);
+        const profile = {
+            id: user.id,
+            name: user.global_name || user.username || 'Discord user',
+            avatarUrl: avatarUrlFor(user)
+        };
+
+        if (cache.size >= 1000) {
+            cache.forEach((entry, key) => entry.expiresAt <= Date.now() && cache.delete(key));
+        }
+        cache.set(token, {profile, expiresAt: Date.now() + CACHE_TTL_MS});
+        return profile;
+    };
+};
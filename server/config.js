@@ -0,0 +1,45 @@
+import {fileURLToPath} from 'node:url';
+
+const list = (value) => (value ?? '').split(',').map((entry) => entry.trim()).filter(Boolean);
+
+export const loadConfig = (env = process.env) => {
+    const clientId = env.DISCORD_CLIENT_ID ?? env.REACT_APP_DISCORD_CLIENT_ID ?? null;
+
+    return {
+        port: Number(env.PORT ?? 3001),
+        dataDir: env.DATA_DIR ?? fileURLToPath(new URL('./data', import.meta.url)),
+        trustProxy: env.TRUST_PROXY === 'true',
+        // Activities are served from <client id>.discordsays.com behind Discord's proxy
+        corsOrigins: [
+            ...(clientId ? [`https://${clientId}.discordsays.com`] : []),
+            ...list(env.CORS_ORIGINS)
+        ],
+        discord: {
+            clientId,
+            clientSecret: env.DISCORD_CLIENT_SECRET ?? null,
+            apiBaseUrl: (env.DISCORD_API_BASE_URL ?? 'https://discord.com/api').replace(/\/+$/, '')
+        },
+        // Game events for yoinc-bot; deliveries are only sent when both are set
+        webhook: {
+            url: env.WEBHOOK_URL || null,
+            secret: env.WEBHOOK_SECRET || null
+        },
+        // Lets players without a Discord account sit at shared tables, for testing outside Discord
+        relay: {
+            allowGuests: env.RELAY_ALLOW_GUESTS === 'true'
+        },
+        // Lets standalone players outside Discord submit classic scores under a guest id
+        scores: {
+            allowGuests: env.SCORES_ALLOW_GUESTS === 'true'
+        },
+        rateLimit: {
+            windowMs: Number(env.RATE_LIMIT_WINDOW_MS ?? 60000),
+            max: Number(env.RATE_LIMIT_MAX ?? 20)
+        },
+        // Announced classic and daily games, which reach the bot as game.started events
+        playRateLimit: {
+            windowMs: Number(env.PLAY_RATE_LIMIT_WINDOW_MS ?? 600000),
+            max: Number(env.PLAY_RATE_LIMIT_MAX ?? 10)
+        }
+    };
+};
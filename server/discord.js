@@ -0,0 +1,72 @@
+import {HttpError} from './http.js';
+
+const describeFailure = (payload, status) =>
+    payload?.error_description ?? payload?.message ?? payload?.error ?? `Discord responded with status ${status}`;
+
+// Trades an OAuth authorization code from sdk.commands.authorize for an access token
+export const exchangeCode = async ({apiBaseUrl, clientId, clientSecret}, code) => {
+    if (!clientId || !clientSecret) {
+        throw new HttpError(500, 'Token exchange is not configured on the server.');
+    }
+
+    let response;
+    try {
+        response = await fetch(`${apiBaseUrl}/oauth2/token`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({
+                client_id: clientId,
+                client_secret: clientSecret,
+                grant_type: 'authorization_code',
+                code
+            })
+        });
+    } catch (error) {
+        throw new HttpError(502, `Could not reach Discord: ${error.message}`);
+    }
+
+    const payload = await response.json().catch(() => null);
+
+    if (!response.ok) {
+        // Invalid or expired codes are the client's problem, everything else is upstream
+        throw new HttpError(response.status === 400 || response.status === 401 ? 400 : 502,
+            `Token exchange failed: ${describeFailure(payload, response.status)}`);
+    }
+
+    if (!payload?.access_token) {
+        throw new HttpError(502, 'Discord did not return an access token.');
+    }
+
+    return payload;
+};
+
+export const avatarUrlFor = (user) => (user.avatar
+    ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png?size=64`
+    : `https://cdn.discordapp.com/embed/avatars/${Number(user.discriminator ?? 0) % 5}.png?size=64`);
+
+export const fetchCurrentUser = async ({apiBaseUrl}, accessToken) => {
+    let response;
+    try {
+        response = await fetch(`${apiBaseUrl}/users/@me`, {
+            headers: {
+                Authorization: `Bearer ${accessToken}`
+            }
+        });
+    } catch (error) {
+        throw new HttpError(502, `Could not reach Discord: ${error.message}`);
+    }
+
+    if (response.status === 401) {
+        throw new HttpError(401, 'Discord access token is invalid or expired.');
+    }
+
+    const payload = await response.json().catch(() => null);
+
+    if (!response.ok || !payload?.id) {
+        throw new HttpError(502, `Could not load Discord user: ${describeFailure(payload, response.status)}`);
+    }
+
+    return payload;
+};
@@ -0,0 +1,50 @@
+// The events yoinc-bot listens for. Every payload names the player and the guild the
+// game was played in, so the bot knows whom to credit and where to announce it.
+
+const playerOf = ({id, name, avatarUrl}) => ({id, name, avatarUrl});
+
+// Boards start with the mode they belong to, e.g. "classic-l3-pot"
+const modeOf = (board) => board.split('-')[0];
+
+// Only ranked games are dealt and judged by the server. Classic and daily games are reported
+// by the client, which could claim any score, so every payload says whether the server saw
+// the game played (verified), and the events a bot would reward are only sent for verified games.
+export const createGameEvents = (webhooks) => ({
+    started: (profile, {gameId = null, board, guildId, startedAt, verified}) => webhooks.emit('game.started', {
+        player: playerOf(profile),
+        guildId,
+        gameId,
+        mode: modeOf(board),
+        board,
+        verified,
+        startedAt
+    }),
+
+    // Called with the result of recordScore; resubmitted scores are not announced twice
+    finished: async (profile, {entry, created, previousBest}, {summary = null, verified}) => {
+        if (!created) {
+            return;
+        }
+
+        const result = {
+            player: playerOf(profile),
+            guildId: entry.guildId,
+            submissionId: entry.submissionId,
+            mode: modeOf(entry.board),
+            board: entry.board,
+            verified,
+            score: entry.score,
+            playedAt: entry.playedAt
+        };
+
+        if (verified) {
+            await webhooks.emit('game.finished', {...result, summary});
+            if (entry.score > (previousBest ?? 0)) {
+                await webhooks.emit('score.personal-best', {...result, previousBest});
+            }
+        }
+        if (result.mode === 'daily') {
+            await webhooks.emit('daily.completed', {...result, summary, date: entry.playedAt.slice(0, 10)});
+        }
+    }
+});
@@ -0,0 +1,42 @@
+import {createGameEvents} from './events.js';
+
+const profile = {id: '42', name: 'Alice', avatarUrl: null};
+
+const recorded = (board, {score = 7, previousBest = 3, created = true} = {}) => ({
+    entry: {guildId: null, submissionId: 's1', board, score, playedAt: '2026-10-19T12:00:00.000Z'},
+    created,
+    previousBest
+});
+
+const collect = () => {
+    const emitted = [];
+    const events = createGameEvents({emit: async (type, data) => emitted.push({type, data})});
+    return {events, emitted, types: () => emitted.map(({type}) => type)};
+};
+
+test('announces ranked results and personal bests as verified', async () => {
+    const {events, emitted, types} = collect();
+
+    await events.finished(profile, recorded('ranked'), {summary: null, verified: true});
+
+    expect(types()).toEqual(['game.finished', 'score.personal-best']);
+    expect(emitted.every(({data}) => data.verified)).toBe(true);
+});
+
+test('sends no rewardable events for scores the client reported', async () => {
+    const {events, emitted, types} = collect();
+
+    await events.finished(profile, recorded('classic'), {verified: false});
+    await events.finished(profile, recorded('daily'), {verified: false});
+
+    expect(types()).toEqual(['daily.completed']);
+    expect(emitted[0].data).toMatchObject({verified: false, date: '2026-10-19'});
+});
+
+test('does not announce a resubmitted score twice', async () => {
+    const {events, types} = collect();
+
+    await events.finished(profile, recorded('ranked', {created: false}), {verified: true});
+
+    expect(types()).toEqual([]);
+});
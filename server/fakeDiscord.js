@@ -0,0 +1,95 @@
+import {createServer} from 'node:http';
+import {createHash, randomBytes} from 'node:crypto';
+import {fileURLToPath} from 'node:url';
+
+// Offline stand-in for the parts of Discord's OAuth2 API the server talks to.
+// Start it with `npm run fake-discord` and point DISCORD_API_BASE_URL at it.
+// Any code is accepted once; the code "invalid" is always rejected.
+
+const readForm = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString('utf8')));
+};
+
+const send = (res, status, body) => {
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+};
+
+const userFor = (seed) => {
+    const digest = createHash('sha256').update(seed).digest();
+    const id = (digest.readBigUInt64BE(0) >> 2n).toString();
+    return {
+        id,
+        username: `player${id.slice(-4)}`,
+        global_name: `Fake Player ${id.slice(-4)}`,
+        discriminator: '0',
+        avatar: null,
+        locale: 'en-US'
+    };
+};
+
+export const createFakeDiscord = ({clientId = null, clientSecret = null} = {}) => {
+    const usedCodes = new Set();
+    const tokens = new Map();
+
+    return createServer(async (req, res) => {
+        const {pathname} = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'POST' && pathname === '/api/oauth2/token') {
+            const form = await readForm(req);
+
+            if ((clientId && form.client_id !== clientId) || (clientSecret && form.client_secret !== clientSecret)) {
+                send(res, 401, {error: 'invalid_client', error_description: 'Unknown client credentials.'});
+                return;
+            }
+            if (form.grant_type !== 'authorization_code') {
+                send(res, 400, {error: 'unsupported_grant_type', error_description: 'Unsupported grant type.'});
+                return;
+            }
+            if (!form.code || form.code === 'invalid' || usedCodes.has(form.code)) {
+                send(res, 400, {error: 'invalid_grant', error_description: 'Invalid "code" in request.'});
+                return;
+            }
+
+            usedCodes.add(form.code);
+            const accessToken = randomBytes(16).toString('hex');
+            tokens.set(accessToken, userFor(form.code));
+
+            send(res, 200, {
+                access_token: accessToken,
+                token_type: 'Bearer',
+                expires_in: 604800,
+                refresh_token: randomBytes(16).toString('hex'),
+                scope: 'identify'
+            });
+            return;
+        }
+
+        if (req.method === 'GET' && pathname === '/api/users/@me') {
+            const token = (req.headers.authorization ?? '').replace(/^Bearer\s+/i, '');
+            const user = tokens.get(token);
+            if (!user) {
+                send(res, 401, {message: '401: Unauthorized', code: 0});
+                return;
+            }
+            send(res, 200, user);
+            return;
+        }
+
+        send(res, 404, {message: '404: Not Found', code: 0});
+    });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.FAKE_DISCORD_PORT ?? 3002);
+    createFakeDiscord({
+        clientId: process.env.DISCORD_CLIENT_ID ?? null,
+        clientSecret: process.env.DISCORD_CLIENT_SECRET ?? null
+    }).listen(port, () => {
+        console.log(`Fake Discord OAuth listening on http://localhost:${port}/api`);
+    });
+}
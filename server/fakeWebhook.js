@@ -0,0 +1,85 @@
+import {createServer} from 'node:http';
+import {fileURLToPath} from 'node:url';
+import {verifySignature} from './webhooks.js';
+
+// Offline stand-in for yoinc-bot's webhook endpoint. Start it with `npm run fake-webhook`
+// and point WEBHOOK_URL at it; it checks every signature and prints the events it gets.
+// A failRate between 0 and 1 answers that share of deliveries with 503 to exercise retries.
+
+const readBody = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+const send = (res, status, body) => {
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+};
+
+const describe = ({type, data}) => {
+    const where = data.guildId ? ` in guild ${data.guildId}` : '';
+    switch (type) {
+        case 'game.started':
+            return `${data.player.name} started a ${data.board} game${where}`;
+        case 'game.finished':
+            return `${data.player.name} scored ${data.score} on ${data.board}${where}`
+                + (data.summary ? ` (${data.summary.correct}/${data.summary.rounds} correct, best streak ${data.summary.longestStreak})` : '');
+        case 'score.personal-best':
+            return `${data.player.name} set a personal best of ${data.score} on ${data.board} (was ${data.previousBest ?? 'none'})`;
+        case 'daily.completed':
+            return `${data.player.name} finished the Daily Street of ${data.date} with ${data.score}${where}`;
+        default:
+            return type;
+    }
+};
+
+export const createFakeWebhook = ({secret, failRate = 0}) => {
+    const seen = new Set();
+
+    return createServer(async (req, res) => {
+        if (req.method !== 'POST') {
+            send(res, 404, {error: 'Not found'});
+            return;
+        }
+
+        const body = await readBody(req);
+        const valid = verifySignature(secret, {
+            timestamp: req.headers['x-streets-timestamp'],
+            signature: req.headers['x-streets-signature'],
+            body
+        });
+        if (!valid) {
+            console.log(`Rejected a delivery with a bad signature (${req.headers['x-streets-delivery']})`);
+            send(res, 401, {error: 'Invalid signature.'});
+            return;
+        }
+
+        if (Math.random() < failRate) {
+            console.log(`Failing delivery ${req.headers['x-streets-delivery']} on purpose`);
+            send(res, 503, {error: 'Unavailable.'});
+            return;
+        }
+
+        // Retries carry the same id; a real receiver must not award points twice
+        const event = JSON.parse(body);
+        const duplicate = seen.has(event.id);
+        seen.add(event.id);
+        console.log(`${duplicate ? '[duplicate] ' : ''}[${event.type}] ${describe(event)} (attempt ${event.attempt})`);
+        send(res, 200, {received: event.id});
+    });
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.FAKE_WEBHOOK_PORT ?? 3003);
+    const secret = process.env.WEBHOOK_SECRET;
+    if (!secret) {
+        console.error('Set WEBHOOK_SECRET to the secret the server signs with.');
+        process.exit(1);
+    }
+    createFakeWebhook({secret, failRate: Number(process.env.FAKE_WEBHOOK_FAIL_RATE ?? 0)}).listen(port, () => {
+        console.log(`Fake webhook receiver listening on http://localhost:${port}/`);
+    });
+}
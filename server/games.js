@@ -0,0 +1,225 @@
+import {randomBytes, randomInt, randomUUID} from 'node:crypto';
+import {cardCode} from '../src/game/cards.js';
+import {createShoe, drawCard, needsReshuffle, removeFromShoe} from '../src/game/deck.js';
+import {boardFor} from '../src/game/boards.js';
+import {commitShoe} from '../src/game/fairness.js';
+import {drawPool, guessOdds} from '../src/game/odds.js';
+import {canCashOut, cashOut, endIfTimeUp, resolveRound} from '../src/game/round.js';
+import {allowsTies, BLITZ_SECONDS, guessOptions, normalizeRules} from '../src/game/rules.js';
+import {summarizeHistory} from '../src/game/summary.js';
+import {HttpError, readJson, sendJson} from './http.js';
+import {recordScore} from './leaderboard.js';
+
+const RANKED_DECK_COUNT = 1;
+const GAME_TTL_MS = 60 * 60 * 1000;
+// Blitz guesses sent just before the buzzer still count
+const BLITZ_GRACE_MS = 1500;
+
+// Server shoes are shuffled from the OS CSPRNG, not the seedable PRNG, so players
+// can't reconstruct the deck order from the cards they have seen
+const secureRandom = () => randomInt(0x100000000) / 0x100000000;
+
+const seal = async (shoe) => {
+    const salt = randomBytes(16).toString('hex');
+    const cards = shoe.cards.map(cardCode);
+    return {salt, cards, commitment: await commitShoe(salt, cards)};
+};
+
+// The contract the client renders; the shoe itself stays on the server until the reveal
+const toPublicGame = (game) => {
+    const {state} = game;
+    return {
+        gameId: game.id,
+        status: state.status,
+        startedAt: state.startedAt,
+        rules: state.rules,
+        assisted: state.assisted,
+        scoring: state.scoring,
+        currentCard: state.currentCard,
+        score: state.score,
+        pot: state.pot,
+        lostPot: state.lostPot,
+        lives: state.lives,
+        endsAt: state.endsAt,
+        history: state.history,
+        lastRound: state.lastRound,
+        shoe: {
+            deckCount: state.shoe.deckCount,
+            size: state.shoe.size,
+            reshuffles: state.shoe.reshuffles,
+            remaining: state.shoe.cards.length
+        },
+        commitments: game.seals.map(({commitment}) => commitment),
+        reveal: state.status === 'finished' ? game.seals.map(({salt, cards}) => ({salt, cards})) : null
+    };
+};
+
+// random is the source shoes are shuffled from; tests pass a predictable one
+export const createGameRoutes = ({scoreStore, authenticate, events, random = secureRandom}) => {
+    const games = new Map();
+
+    // The shoe a game reshuffles to is shuffled and sealed one shoe ahead, so its order is
+    // committed to before any guess that could bring it into play
+    const prepareNextShoe = async (game, reshuffles) => {
+        game.nextShoe = createShoe(RANKED_DECK_COUNT, {random, reshuffles});
+        game.seals.push(await seal(game.nextShoe));
+    };
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        games.forEach((game, id) => {
+            if (game.updatedAt + GAME_TTL_MS < now) {
+                games.delete(id);
+            }
+        });
+    }, GAME_TTL_MS / 4);
+    sweep.unref();
+
+    // Moves the game to its next state and records the score once it is over
+    const advance = async (game, next) => {
+        const wasFinished = game.state.status === 'finished';
+        game.state = next;
+        game.updatedAt = Date.now();
+
+        if (!wasFinished && next.status === 'finished') {
+            const recorded = await recordScore(scoreStore, game.profile, {
+                submissionId: game.id,
+                score: next.score,
+                board: boardFor(next),
+                guildId: game.guildId,
+                playedAt: new Date().toISOString()
+            });
+            await events.finished(game.profile, recorded, {summary: summarizeHistory(next), verified: true});
+        }
+    };
+
+    const ownedGame = async (id, profile, graceMs = 0) => {
+        const game = games.get(id);
+        if (!game || game.userId !== profile.id) {
+            throw new HttpError(404, 'Game not found or expired.');
+        }
+        if (!game.busy) {
+            await advance(game, endIfTimeUp(game.state, Date.now() - graceMs));
+        }
+        return game;
+    };
+
+    const exclusively = async (game, work) => {
+        if (game.busy) {
+            throw new HttpError(409, 'The previous request for this game is still being handled.');
+        }
+        game.busy = true;
+        try {
+            await work();
+        } finally {
+            game.busy = false;
+        }
+    };
+
+    return {
+        start: async (req, res) => {
+            const profile = await authenticate(req);
+            const {guildId = null, assisted = false, scoring = 'streak', rules: requestedRules} = await readJson(req);
+            const rules = normalizeRules(requestedRules);
+
+            const shoe = createShoe(RANKED_DECK_COUNT, {random});
+            const firstSeal = await seal(shoe);
+            const {card, shoe: remaining} = drawCard(shoe, {random});
+
+            const game = {
+                id: randomUUID(),
+                userId: profile.id,
+                profile,
+                guildId: typeof guildId === 'string' && /^\d{1,32}$/.test(guildId) ? guildId : null,
+                seals: [firstSeal],
+                nextShoe: null,
+                busy: false,
+                updatedAt: Date.now(),
+                state: {
+                    status: 'guessing',
+                    mode: 'ranked',
+                    startedAt: new Date().toISOString(),
+                    rules,
+                    assisted: assisted === true,
+                    scoring: scoring === 'pot' ? 'pot' : 'streak',
+                    currentCard: card,
+                    score: 0,
+                    pot: 0,
+                    lostPot: 0,
+                    lives: rules.lives,
+                    endsAt: rules.blitz ? Date.now() + BLITZ_SECONDS * 1000 : null,
+                    history: [],
+                    lastRound: null,
+                    shoe: remaining
+                }
+            };
+            await prepareNextShoe(game, 1);
+            games.set(game.id, game);
+            await events.started(profile, {
+                gameId: game.id,
+                board: boardFor(game.state),
+                guildId: game.guildId,
+                startedAt: game.state.startedAt,
+                verified: true
+            });
+
+            sendJson(res, 201, toPublicGame(game));
+        },
+
+        show: async (req, res, {id}) => {
+            const profile = await authenticate(req);
+            sendJson(res, 200, toPublicGame(await ownedGame(id, profile)));
+        },
+
+        guess: async (req, res, {id}) => {
+            const profile = await authenticate(req);
+            const {direction} = await readJson(req);
+            const game = await ownedGame(id, profile, BLITZ_GRACE_MS);
+            const {rules} = game.state;
+
+            if (!guessOptions(rules).includes(direction)) {
+                throw new HttpError(400, `direction must be one of ${guessOptions(rules).join(', ')}.`);
+            }
+            if (game.state.status !== 'guessing') {
+                throw new HttpError(409, 'This game is already over.');
+            }
+
+            await exclusively(game, async () => {
+                const {state} = game;
+                const allowTies = allowsTies(rules);
+
+                let shoe = state.shoe;
+                const reshuffled = needsReshuffle(shoe, {previous: state.currentCard, allowTies});
+                if (reshuffled) {
+                    shoe = removeFromShoe(game.nextShoe, [state.currentCard]);
+                    await prepareNextShoe(game, shoe.reshuffles + 1);
+                }
+
+                const odds = guessOdds(state.currentCard, drawPool({...state, shoe}, rules), rules);
+                const {card: nextCard, shoe: remaining} = drawCard(shoe, {previous: state.currentCard, allowTies});
+
+                const playedAt = new Date().toISOString();
+
+                await advance(game, {
+                    ...resolveRound(state, {direction, nextCard, odds, reshuffled, playedAt}),
+                    shoe: remaining
+                });
+            });
+
+            sendJson(res, 200, toPublicGame(game));
+        },
+
+        cashOut: async (req, res, {id}) => {
+            const profile = await authenticate(req);
+            const game = await ownedGame(id, profile);
+
+            if (!canCashOut(game.state)) {
+                throw new HttpError(409, 'There is no pot to cash out in this game.');
+            }
+
+            await exclusively(game, () => advance(game, cashOut(game.state)));
+
+            sendJson(res, 200, toPublicGame(game));
+        }
+    };
+};
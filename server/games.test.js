@@ -0,0 +1,63 @@
+import {Readable} from 'node:stream';
+import {createShoe, drawCard, needsReshuffle, removeFromShoe} from '../src/game/deck.js';
+import {verifyDeal} from '../src/game/fairness.js';
+import {createGameRoutes} from './games.js';
+
+// Every shoe is shuffled the same way, so the test knows each card before it is dealt
+const random = () => 0;
+const shoeFor = (reshuffles) => createShoe(1, {random, reshuffles});
+
+const profile = {id: '42', name: 'Alice', avatarUrl: null};
+
+const routes = createGameRoutes({
+    scoreStore: {update: async (change) => change({profiles: {}, scores: []})},
+    authenticate: async () => profile,
+    events: {started: async () => {}, finished: async () => {}},
+    random
+});
+
+const call = async (handler, body = {}, params = {}) => {
+    const req = Readable.from([Buffer.from(JSON.stringify(body))]);
+    const res = {
+        writeHead(status) {
+            this.status = status;
+        },
+        end(payload) {
+            this.body = JSON.parse(payload);
+        }
+    };
+    await handler(req, res, params);
+    return res.body;
+};
+
+const rightGuess = (current, next) => (next.rank.value > current.rank.value ? 'higher' : 'lower');
+const wrongGuess = (current, next) => (rightGuess(current, next) === 'higher' ? 'lower' : 'higher');
+
+test('commits to the reshuffled shoe before the guess that brings it into play', async () => {
+    let game = await call(routes.start);
+    let {card: current, shoe} = drawCard(shoeFor(0));
+    expect(game.currentCard).toEqual(current);
+    expect(game.commitments).toHaveLength(2);
+
+    const published = [];
+    while (!needsReshuffle(shoe, {previous: current})) {
+        published.push(game.commitments);
+        const {card: next, shoe: rest} = drawCard(shoe, {previous: current});
+        game = await call(routes.guess, {direction: rightGuess(current, next)}, {id: game.gameId});
+        expect(game.history.at(-1)).toMatchObject({success: true, reshuffled: false});
+        [current, shoe] = [next, rest];
+    }
+
+    const {card: next} = drawCard(removeFromShoe(shoeFor(1), [current]), {previous: current});
+    const before = game.commitments;
+    game = await call(routes.guess, {direction: wrongGuess(current, next)}, {id: game.gameId});
+
+    expect(game.history.at(-1)).toMatchObject({success: false, reshuffled: true, nextCard: next});
+    expect(game.commitments.slice(0, 2)).toEqual(before);
+    expect(published[0][1]).toBe(game.commitments[1]);
+
+    expect(game.status).toBe('finished');
+    const dealt = [game.history[0].startingCard, ...game.history.map(({nextCard}) => nextCard)];
+    expect(await verifyDeal({deckCount: 1, commitments: game.commitments, reveal: game.reveal, dealt}))
+        .toEqual({valid: true, reason: null, position: null});
+});
@@ -0,0 +1,66 @@
+const MAX_BODY_BYTES = 64 * 1024;
+
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+export const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, {'Content-Type': 'application/json', ...headers});
+    res.end(JSON.stringify(body));
+};
+
+// Errors always go out as {error} so the client can surface errorPayload.error
+export const sendError = (res, error) => {
+    const status = error instanceof HttpError ? error.status : 500;
+    if (status >= 500) {
+        console.error('Request failed:', error);
+    }
+    const headers = error.retryAfter ? {'Retry-After': String(error.retryAfter)} : {};
+    sendJson(res, status, {error: error instanceof HttpError ? error.message : 'Internal server error'}, headers);
+};
+
+export const readJson = async (req) => {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, 'Request body too large.');
+        }
+        chunks.push(chunk);
+    }
+
+    if (chunks.length === 0) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be valid JSON.');
+    }
+};
+
+export const clientAddress = (req, trustProxy) => {
+    const forwarded = trustProxy ? req.headers['x-forwarded-for'] : null;
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+export const applyCors = (req, res, allowedOrigins) => {
+    const origin = req.headers.origin;
+    if (!origin) {
+        return;
+    }
+
+    if (allowedOrigins.includes('*') || allowedOrigins.includes(origin)) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Streets-Guest');
+        res.setHeader('Access-Control-Max-Age', '600');
+    }
+};
@@ -0,0 +1,21 @@
+import {createServer} from 'node:http';
+import {createApp} from './app.js';
+import {createAuthenticator} from './auth.js';
+import {loadConfig} from './config.js';
+import {createRelay} from './relay.js';
+
+const config = loadConfig();
+
+const server = createServer(await createApp(config));
+
+createRelay({server, authenticate: createAuthenticator(config), allowGuests: config.relay.allowGuests});
+
+server.listen(config.port, () => {
+    console.log(`Streets server listening on http://localhost:${config.port} (relay at /relay)`);
+    if (!config.discord.clientSecret) {
+        console.warn('DISCORD_CLIENT_SECRET is not set; POST /api/token will fail.');
+    }
+    if (config.webhook.url && !config.webhook.secret) {
+        console.warn('WEBHOOK_URL is set without WEBHOOK_SECRET; no game events will be sent.');
+    }
+});
@@ -0,0 +1,14 @@
+const NodeEnvironment = require('jest-environment-node');
+
+// Jest's Node environment predates several globals the server relies on (fetch,
+// AbortSignal.timeout, structuredClone, Web Crypto), so the sandbox gets the host's
+class ServerEnvironment extends NodeEnvironment {
+    constructor(config, context) {
+        super(config, context);
+        Object.assign(this.global, {
+            fetch, Headers, Request, Response, AbortController, AbortSignal, structuredClone, crypto, TextEncoder, TextDecoder
+        });
+    }
+}
+
+module.exports = ServerEnvironment;
@@ -0,0 +1,196 @@
+import {ENDINGS} from '../src/game/summary.js';
+import {guestProfile} from './auth.js';
+import {HttpError, readJson, sendJson} from './http.js';
+
+const LEADERBOARD_SIZE = 10;
+const MAX_SCORE = 1000000;
+const MAX_SUBMISSION_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const BOARD_PATTERN = /^[a-z0-9-]{1,48}$/;
+const PERIODS = ['all', 'weekly'];
+const LOCAL_MODES = ['classic', 'daily'];
+const MAX_ROUNDS = 100000;
+
+// Weekly boards reset on Monday 00:00 UTC
+export const startOfWeek = (now = new Date()) => {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return start;
+};
+
+const validateGuildId = (guildId) => {
+    if (guildId !== null && (typeof guildId !== 'string' || !/^\d{1,32}$/.test(guildId))) {
+        throw new HttpError(400, 'guildId is invalid.');
+    }
+    return guildId;
+};
+
+// Optional summarizeHistory() of the game, passed on to the bot with the score
+const validateSummary = (summary) => {
+    if (summary === null) {
+        return null;
+    }
+    const counts = ['rounds', 'correct', 'pushes', 'longestStreak'];
+    if (typeof summary !== 'object'
+        || counts.some((key) => !Number.isInteger(summary[key]) || summary[key] < 0 || summary[key] > MAX_ROUNDS)
+        || (summary.ending !== null && !ENDINGS.includes(summary.ending))) {
+        throw new HttpError(400, 'summary is invalid.');
+    }
+    return Object.fromEntries([...counts, 'ending'].map((key) => [key, summary[key]]));
+};
+
+const validateSubmission = (body) => {
+    const {submissionId, score, board, guildId = null, playedAt, summary = null} = body;
+
+    if (typeof submissionId !== 'string' || submissionId.length === 0 || submissionId.length > 64) {
+        throw new HttpError(400, 'submissionId must be a non-empty string.');
+    }
+    if (!Number.isInteger(score) || score < 0 || score > MAX_SCORE) {
+        throw new HttpError(400, `score must be an integer between 0 and ${MAX_SCORE}.`);
+    }
+    if (typeof board !== 'string' || !BOARD_PATTERN.test(board)) {
+        throw new HttpError(400, 'board is invalid.');
+    }
+    if (board.startsWith('ranked')) {
+        throw new HttpError(403, 'Ranked scores are recorded by the server that dealt the game.');
+    }
+    if (board.startsWith('daily-')) {
+        throw new HttpError(400, 'The Daily Street is only played as a plain streak by the standard rules.');
+    }
+    validateGuildId(guildId);
+
+    // Offline submissions arrive late, but never from the future or from ages ago
+    const now = Date.now();
+    const played = Date.parse(playedAt);
+    if (Number.isNaN(played) || played < now - MAX_SUBMISSION_AGE_MS) {
+        throw new HttpError(400, 'playedAt is missing or too old.');
+    }
+
+    return {
+        submission: {submissionId, score, board, guildId, playedAt: new Date(Math.min(played, now)).toISOString()},
+        summary: validateSummary(summary)
+    };
+};
+
+const validatePlay = (body) => {
+    const {board, guildId = null} = body;
+
+    if (typeof board !== 'string' || !BOARD_PATTERN.test(board)) {
+        throw new HttpError(400, 'board is invalid.');
+    }
+    if (!LOCAL_MODES.some((mode) => board === mode || board.startsWith(`${mode}-`))) {
+        throw new HttpError(403, 'Only games dealt by the client are announced here.');
+    }
+
+    return {board, guildId: validateGuildId(guildId)};
+};
+
+// Also answers with the player's best on the board before this score, null for a first game
+export const recordScore = (store, profile, submission) => store.update((data) => {
+    data.profiles[profile.id] = profile;
+
+    const duplicate = data.scores.find((entry) =>
+        entry.userId === profile.id && entry.submissionId === submission.submissionId
+    );
+    if (duplicate) {
+        return {entry: duplicate, created: false, previousBest: null};
+    }
+
+    const previousBest = data.scores.reduce((best, entry) =>
+        (entry.userId === profile.id && entry.board === submission.board ? Math.max(best ?? 0, entry.score) : best), null);
+
+    const entry = {...submission, userId: profile.id, receivedAt: new Date().toISOString()};
+    data.scores.push(entry);
+    return {entry, created: true, previousBest};
+});
+
+export const rankScores = (data, {board, period, guildId}) => {
+    const since = period === 'weekly' ? startOfWeek().toISOString() : null;
+    const best = new Map();
+
+    data.scores.forEach((entry) => {
+        if (entry.board !== board || (guildId && entry.guildId !== guildId) || (since && entry.playedAt < since)) {
+            return;
+        }
+        const current = best.get(entry.userId);
+        if (!current || entry.score > current.score
+            || (entry.score === current.score && entry.playedAt < current.playedAt)) {
+            best.set(entry.userId, entry);
+        }
+    });
+
+    return [...best.values()]
+        .sort((a, b) => b.score - a.score || a.playedAt.localeCompare(b.playedAt))
+        .slice(0, LEADERBOARD_SIZE)
+        .map((entry, index) => ({
+            rank: index + 1,
+            userId: entry.userId,
+            name: data.profiles[entry.userId]?.name ?? 'Unknown player',
+            avatarUrl: data.profiles[entry.userId]?.avatarUrl ?? null,
+            score: entry.score,
+            playedAt: entry.playedAt
+        }));
+};
+
+// Standalone players send their guest id instead of a token. Their scores are only
+// accepted when allowGuests is set, never count for a guild and never reach the bot.
+const identifyScorer = async (req, {authenticate, allowGuests}) => {
+    const guestId = req.headers['x-streets-guest'];
+    if (guestId === undefined || req.headers.authorization) {
+        return {profile: await authenticate(req), guest: false};
+    }
+    if (!allowGuests) {
+        throw new HttpError(403, 'This server only records scores of Discord players.');
+    }
+    const profile = guestProfile(guestId);
+    if (!profile) {
+        throw new HttpError(400, 'The guest id is invalid.');
+    }
+    return {profile, guest: true};
+};
+
+export const createLeaderboardRoutes = ({store, authenticate, events, allowGuests = false}) => ({
+    submit: async (req, res) => {
+        const {profile, guest} = await identifyScorer(req, {authenticate, allowGuests});
+        const {submission, summary} = validateSubmission(await readJson(req));
+        if (guest && submission.guildId !== null) {
+            throw new HttpError(403, 'Guests cannot submit scores to a guild leaderboard.');
+        }
+        const recorded = await recordScore(store, profile, submission);
+        if (!guest) {
+            await events.finished(profile, recorded, {summary, verified: false});
+        }
+
+        const {entry, created} = recorded;
+        sendJson(res, created ? 201 : 200, {submissionId: entry.submissionId, score: entry.score});
+    },
+
+    // Classic and daily games are dealt by the client; it announces them as they start
+    play: async (req, res) => {
+        const profile = await authenticate(req);
+        const {board, guildId} = validatePlay(await readJson(req));
+        await events.started(profile, {board, guildId, startedAt: new Date().toISOString(), verified: false});
+
+        sendJson(res, 202, {board});
+    },
+
+    list: async (req, res) => {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const board = params.get('board') ?? 'classic';
+        const period = params.get('period') ?? 'all';
+        const guildId = params.get('guildId') || null;
+
+        if (!BOARD_PATTERN.test(board)) {
+            throw new HttpError(400, 'board is invalid.');
+        }
+        if (!PERIODS.includes(period)) {
+            throw new HttpError(400, `period must be one of ${PERIODS.join(', ')}.`);
+        }
+
+        sendJson(res, 200, {
+            board,
+            period,
+            guildId,
+            entries: rankScores(store.read(), {board, period, guildId})
+        });
+    }
+});
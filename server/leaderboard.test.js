@@ -0,0 +1,64 @@
+import {Readable} from 'node:stream';
+import {createLeaderboardRoutes} from './leaderboard.js';
+
+const profile = {id: '42', name: 'Alice', avatarUrl: null};
+
+const createRoutes = ({allowGuests}) => {
+    const data = {profiles: {}, scores: []};
+    const finished = [];
+    const routes = createLeaderboardRoutes({
+        store: {read: () => data, update: async (change) => change(data)},
+        authenticate: async () => profile,
+        events: {finished: async (player) => finished.push(player.id), started: async () => {}},
+        allowGuests
+    });
+    return {routes, finished};
+};
+
+const call = async (handler, {headers = {}, body = {}, url = '/'} = {}) => {
+    const req = Object.assign(Readable.from([Buffer.from(JSON.stringify(body))]), {headers, url});
+    const res = {
+        writeHead(status) {
+            this.status = status;
+        },
+        end(payload) {
+            this.body = JSON.parse(payload);
+        }
+    };
+    await handler(req, res);
+    return res;
+};
+
+const score = (submissionId, overrides = {}) => ({
+    submissionId,
+    score: 12,
+    board: 'classic',
+    playedAt: new Date().toISOString(),
+    ...overrides
+});
+
+const guest = {'x-streets-guest': 'guest-abc123'};
+
+test('records guest scores on the public boards without telling the bot', async () => {
+    const {routes, finished} = createRoutes({allowGuests: true});
+
+    expect((await call(routes.submit, {headers: guest, body: score('s1')})).status).toBe(201);
+    expect((await call(routes.submit, {headers: {authorization: 'Bearer token'}, body: score('s2')})).status)
+        .toBe(201);
+
+    const {body} = await call(routes.list, {url: '/api/leaderboard?board=classic'});
+    expect(body.entries.map(({userId, name}) => [userId, name]))
+        .toEqual([['guest-abc123', 'Guest c123'], ['42', 'Alice']]);
+    expect(finished).toEqual(['42']);
+});
+
+test('refuses guest scores unless the server allows them', async () => {
+    await expect(call(createRoutes({allowGuests: false}).routes.submit, {headers: guest, body: score('s1')}))
+        .rejects.toMatchObject({status: 403});
+
+    const {routes} = createRoutes({allowGuests: true});
+    await expect(call(routes.submit, {headers: {'x-streets-guest': 'Alice'}, body: score('s1')}))
+        .rejects.toMatchObject({status: 400});
+    await expect(call(routes.submit, {headers: guest, body: score('s1', {guildId: '123'})}))
+        .rejects.toMatchObject({status: 403});
+});
@@ -0,0 +1,33 @@
+import {HttpError} from './http.js';
+
+// Fixed-window limiter keyed by client address; good enough for a single process
+export const createRateLimiter = ({windowMs, max}) => {
+    const windows = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((entry, key) => {
+            if (entry.resetAt <= now) {
+                windows.delete(key);
+            }
+        });
+    }, windowMs);
+    sweep.unref();
+
+    return (key) => {
+        const now = Date.now();
+        let entry = windows.get(key);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = {count: 0, resetAt: now + windowMs};
+            windows.set(key, entry);
+        }
+
+        entry.count += 1;
+        if (entry.count > max) {
+            const error = new HttpError(429, 'Too many requests. Please try again shortly.');
+            error.retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+            throw error;
+        }
+    };
+};
@@ -0,0 +1,287 @@
+import {randomBytes} from 'node:crypto';
+import ws from 'ws';
+import {applyTableAction, createTable} from '../src/game/table.js';
+import {guestProfile} from './auth.js';
+import {HttpError} from './http.js';
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+const RECONNECT_GRACE_MS = 20000;
+
+// Errors that end the connection, with the close code that tells relayClient.js not to
+// reconnect on its own (4xxx) or that it may try again later (1011)
+const CLOSE_CODES = {
+    'invalid-join': 4000,
+    replaced: 4001,
+    unauthorized: 4003,
+    unavailable: 1011
+};
+
+const DIRECTIONS = ['higher', 'lower'];
+const HOST_ACTIONS = ['start', 'reset'];
+
+const send = (socket, message) => {
+    if (socket && socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+};
+
+// Errors are sent as codes, the client has the text for them
+const fail = (socket, code) => {
+    send(socket, {type: 'error', code});
+    if (CLOSE_CODES[code]) {
+        socket.close(CLOSE_CODES[code], code);
+    }
+};
+
+// The first connected participant (in join order) hosts the table: only they can deal
+// and clear it. The relay runs the game itself, so nobody's client can rig it.
+const hostOf = (room) => {
+    for (const member of room.members.values()) {
+        if (member.socket) {
+            return member.player.id;
+        }
+    }
+    return null;
+};
+
+const presenceOf = (room) => ({
+    type: 'presence',
+    hostId: hostOf(room),
+    players: [...room.members.values()].map(({player, socket}) => ({...player, connected: Boolean(socket)}))
+});
+
+// Players only ever see the card on the table: the shoe is reduced to its size, and the
+// seed it was shuffled from is revealed once the table is finished
+const publicTable = (table) => ({
+    ...table,
+    seed: table.status === 'finished' ? table.seed : null,
+    shoe: table.shoe && {
+        deckCount: table.shoe.deckCount,
+        size: table.shoe.size,
+        reshuffles: table.shoe.reshuffles,
+        remaining: table.shoe.cards.length
+    }
+});
+
+const broadcast = (room, message) => {
+    room.members.forEach((member) => send(member.socket, message));
+};
+
+// authenticate resolves a Discord access token to a profile (see auth.js). Guests without
+// one are only let in when allowGuests is set, for testing outside Discord.
+export const createRelay = ({
+    server,
+    path = '/relay',
+    graceMs = RECONNECT_GRACE_MS,
+    authenticate = null,
+    allowGuests = false
+} = {}) => {
+    const wss = new ws.WebSocketServer({server, path});
+    const rooms = new Map();
+
+    const roomFor = (instanceId) => {
+        if (!rooms.has(instanceId)) {
+            rooms.set(instanceId, {members: new Map(), table: createTable()});
+        }
+        return rooms.get(instanceId);
+    };
+
+    const update = (room, action) => {
+        const table = applyTableAction(room.table, action);
+        if (table !== room.table) {
+            room.table = table;
+            broadcast(room, {type: 'state', state: publicTable(table)});
+        }
+    };
+
+    // A player whose grace period ran out forfeits their seat
+    const removeMember = (instanceId, playerId) => {
+        const room = rooms.get(instanceId);
+        const member = room?.members.get(playerId);
+        if (!member || member.socket) {
+            return;
+        }
+
+        room.members.delete(playerId);
+        if (room.members.size === 0) {
+            rooms.delete(instanceId);
+            return;
+        }
+        broadcast(room, presenceOf(room));
+        update(room, {type: 'leave', playerId});
+    };
+
+    const identify = async ({accessToken, guestId}) => {
+        if (typeof accessToken === 'string' && accessToken && authenticate) {
+            return authenticate({headers: {authorization: `Bearer ${accessToken}`}});
+        }
+        const guest = allowGuests ? guestProfile(guestId) : null;
+        if (guest) {
+            return guest;
+        }
+        throw new HttpError(401, 'Missing Discord access token.');
+    };
+
+    const join = async (socket, {instanceId, accessToken, guestId}) => {
+        if (typeof instanceId !== 'string' || !instanceId) {
+            fail(socket, 'invalid-join');
+            return null;
+        }
+
+        let player;
+        try {
+            player = await identify({accessToken, guestId});
+        } catch (error) {
+            fail(socket, error instanceof HttpError && error.status === 401 ? 'unauthorized' : 'unavailable');
+            return null;
+        }
+        // The socket may have closed while the player was being authenticated
+        if (socket.readyState !== socket.OPEN) {
+            return null;
+        }
+
+        const room = roomFor(instanceId);
+        const existing = room.members.get(player.id);
+
+        if (existing) {
+            // Same player reconnecting (or a second tab): the newest socket wins
+            clearTimeout(existing.leaveTimer);
+            if (existing.socket && existing.socket !== socket) {
+                fail(existing.socket, 'replaced');
+            }
+            existing.socket = socket;
+            existing.player = player;
+        } else {
+            room.members.set(player.id, {player, socket, leaveTimer: null});
+        }
+
+        const presence = presenceOf(room);
+        send(socket, {...presence, type: 'welcome', playerId: player.id, state: publicTable(room.table)});
+        room.members.forEach((member) => {
+            if (member.socket !== socket) {
+                send(member.socket, presence);
+            }
+        });
+
+        return {instanceId, playerId: player.id};
+    };
+
+    // Turns a player's action into a table action. The relay stamps the sender, deals from
+    // its own seed and seats whoever is connected, so clients can't act for anyone else.
+    const tableActionFor = (room, session, action) => {
+        switch (action?.type) {
+            case 'start':
+                return {
+                    type: 'start',
+                    seed: randomBytes(8).toString('hex'),
+                    players: [...room.members.values()].filter(({socket}) => socket).map(({player}) => player)
+                };
+            case 'guess':
+                return DIRECTIONS.includes(action.direction)
+                    ? {type: 'guess', playerId: session.playerId, direction: action.direction}
+                    : null;
+            case 'leave':
+                return {type: 'leave', playerId: session.playerId};
+            case 'reset':
+                return {type: 'reset'};
+            default:
+                return null;
+        }
+    };
+
+    const handleMessage = (socket, session, message) => {
+        const room = rooms.get(session.instanceId);
+        if (!room) {
+            return;
+        }
+
+        if (message.type !== 'action') {
+            fail(socket, 'unknown-type');
+            return;
+        }
+
+        if (HOST_ACTIONS.includes(message.action?.type) && session.playerId !== hostOf(room)) {
+            fail(socket, 'not-host');
+            return;
+        }
+
+        const action = tableActionFor(room, session, message.action);
+        if (!action) {
+            fail(socket, 'invalid-action');
+            return;
+        }
+        update(room, action);
+    };
+
+    const disconnect = (socket, session) => {
+        const room = rooms.get(session.instanceId);
+        const member = room?.members.get(session.playerId);
+        if (!member || member.socket !== socket) {
+            return;
+        }
+
+        member.socket = null;
+        member.leaveTimer = setTimeout(() => removeMember(session.instanceId, session.playerId), graceMs);
+        broadcast(room, presenceOf(room));
+    };
+
+    wss.on('connection', (socket) => {
+        let session = null;
+        let joining = false;
+        socket.isAlive = true;
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        socket.on('message', async (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                fail(socket, 'invalid-message');
+                return;
+            }
+
+            if (message?.type === 'join') {
+                if (!session && !joining) {
+                    joining = true;
+                    session = await join(socket, message);
+                    joining = false;
+                }
+                return;
+            }
+
+            if (!session) {
+                fail(socket, 'not-joined');
+                return;
+            }
+
+            handleMessage(socket, session, message);
+        });
+
+        socket.on('close', () => {
+            if (session) {
+                disconnect(socket, session);
+            }
+        });
+    });
+
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach((socket) => {
+            if (!socket.isAlive) {
+                socket.terminate();
+                return;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+
+    wss.on('close', () => {
+        clearInterval(heartbeat);
+        rooms.forEach((room) => room.members.forEach((member) => clearTimeout(member.leaveTimer)));
+    });
+
+    return wss;
+};
@@ -0,0 +1,180 @@
+import {once} from 'node:events';
+import {createServer} from 'node:http';
+import WebSocket from 'ws';
+import {createAuthenticator} from './auth.js';
+import {createFakeDiscord} from './fakeDiscord.js';
+import {createRelay} from './relay.js';
+
+const GRACE_MS = 100;
+
+const listen = (server) => new Promise((resolve) => {
+    server.listen(0, () => resolve(server.address().port));
+});
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+let discord;
+let discordUrl;
+let server;
+let relay;
+let relayUrl;
+const sockets = [];
+
+beforeAll(async () => {
+    discord = createFakeDiscord();
+    discordUrl = `http://localhost:${await listen(discord)}`;
+
+    server = createServer();
+    relay = createRelay({
+        server,
+        graceMs: GRACE_MS,
+        authenticate: createAuthenticator({discord: {apiBaseUrl: `${discordUrl}/api`}}),
+        allowGuests: true
+    });
+    relayUrl = `ws://localhost:${await listen(server)}/relay`;
+});
+
+afterEach(() => {
+    sockets.splice(0).forEach((socket) => socket.terminate());
+});
+
+afterAll(async () => {
+    relay.close();
+    await close(server);
+    await close(discord);
+});
+
+const tokenFor = async (code) => {
+    const response = await fetch(`${discordUrl}/api/oauth2/token`, {
+        method: 'POST',
+        body: new URLSearchParams({grant_type: 'authorization_code', code})
+    });
+    return (await response.json()).access_token;
+};
+
+// Opens a socket and joins a room; next(type) resolves with the next message of that type
+const join = async (instanceId, credentials, url = relayUrl) => {
+    const socket = new WebSocket(url);
+    sockets.push(socket);
+    const inbox = [];
+    const waiting = new Set();
+
+    socket.on('message', (data) => {
+        inbox.push(JSON.parse(data.toString()));
+        waiting.forEach((check) => check());
+    });
+    await once(socket, 'open');
+    socket.send(JSON.stringify({type: 'join', instanceId, ...credentials}));
+
+    const next = (type) => new Promise((resolve) => {
+        const check = () => {
+            const index = inbox.findIndex((message) => message.type === type);
+            if (index !== -1) {
+                waiting.delete(check);
+                resolve(inbox.splice(0, index + 1)[index]);
+            }
+        };
+        waiting.add(check);
+        check();
+    });
+
+    return {socket, next, send: (message) => socket.send(JSON.stringify(message))};
+};
+
+test('takes the player from the access token, not from the client', async () => {
+    const alice = await join('identity', {accessToken: await tokenFor('alice'), player: {id: 'admin'}});
+
+    const welcome = await alice.next('welcome');
+    expect(welcome.playerId).toMatch(/^\d+$/);
+    expect(welcome.players).toEqual([
+        expect.objectContaining({id: welcome.playerId, name: expect.stringMatching(/^Fake Player/)})
+    ]);
+    expect(welcome.hostId).toBe(welcome.playerId);
+});
+
+test('turns away joins without a valid access token', async () => {
+    const intruder = await join('unauthorized', {accessToken: 'forged'});
+
+    expect(await intruder.next('error')).toEqual({type: 'error', code: 'unauthorized'});
+    const [code] = await once(intruder.socket, 'close');
+    expect(code).toBe(4003);
+});
+
+test('only lets guests in with a guest id', async () => {
+    const guest = await join('guests', {guestId: 'guest-abc1234'});
+    expect((await guest.next('welcome')).playerId).toBe('guest-abc1234');
+
+    const impostor = await join('guests', {guestId: '123456789'});
+    expect((await impostor.next('error')).code).toBe('unauthorized');
+});
+
+test('turns guests away unless they are allowed', async () => {
+    const closed = createServer();
+    const closedRelay = createRelay({server: closed});
+    const port = await listen(closed);
+
+    try {
+        const guest = await join('no-guests', {guestId: 'guest-abc1234'}, `ws://localhost:${port}/relay`);
+        expect((await guest.next('error')).code).toBe('unauthorized');
+    } finally {
+        closedRelay.close();
+        sockets.splice(0).forEach((socket) => socket.terminate());
+        await close(closed);
+    }
+});
+
+test('deals and judges the game itself and keeps the shoe hidden', async () => {
+    const host = await join('game', {guestId: 'guest-host'});
+    await host.next('welcome');
+    const guest = await join('game', {guestId: 'guest-guest'});
+    await guest.next('welcome');
+
+    guest.send({type: 'state', state: {status: 'finished', winnerId: 'guest-guest'}});
+    expect((await guest.next('error')).code).toBe('unknown-type');
+    guest.send({type: 'action', action: {type: 'start'}});
+    expect((await guest.next('error')).code).toBe('not-host');
+
+    host.send({type: 'action', action: {type: 'start', seed: 'rigged', players: [{id: 'guest-host'}]}});
+    const {state} = await guest.next('state');
+    expect(state).toMatchObject({status: 'guessing', seed: null, turn: 'guest-host'});
+    expect(state.seats.map(({id}) => id)).toEqual(['guest-host', 'guest-guest']);
+    expect(state.shoe).toEqual({deckCount: 1, size: 52, reshuffles: 0, remaining: 51});
+
+    // Out of turn the guess is ignored; in turn it's dealt and judged by the relay
+    guest.send({type: 'action', action: {type: 'guess', direction: 'higher'}});
+    host.send({type: 'action', action: {type: 'guess', direction: 'sideways'}});
+    expect((await host.next('error')).code).toBe('invalid-action');
+    host.send({type: 'action', action: {type: 'guess', direction: 'higher'}});
+    const {state: played} = await guest.next('state');
+    expect(played.history).toEqual([expect.objectContaining({id: 1, playerId: 'guest-host', guess: 'higher'})]);
+    expect(played.shoe.remaining).toBe(50);
+});
+
+test('forfeits the seat of a player who does not come back', async () => {
+    const host = await join('forfeit', {guestId: 'guest-stay'});
+    await host.next('welcome');
+    const guest = await join('forfeit', {guestId: 'guest-drop'});
+    await guest.next('welcome');
+
+    host.send({type: 'action', action: {type: 'start'}});
+    await host.next('state');
+    guest.socket.close();
+
+    const {state} = await host.next('state');
+    expect(state.seats.find(({id}) => id === 'guest-drop').status).toBe('left');
+    expect(state).toMatchObject({status: 'finished', winnerId: 'guest-stay'});
+    expect(state.seed).toEqual(expect.any(String));
+});
+
+test('closes the older window for good when a player connects twice', async () => {
+    const accessToken = await tokenFor('twice');
+    const first = await join('twice', {accessToken});
+    await first.next('welcome');
+
+    const second = await join('twice', {accessToken});
+    expect((await second.next('welcome')).players).toHaveLength(1);
+
+    expect(await first.next('error')).toEqual({type: 'error', code: 'replaced'});
+    const [code] = await once(first.socket, 'close');
+    expect(code).toBe(4001);
+});
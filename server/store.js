@@ -0,0 +1,38 @@
+import {mkdir, readFile, rename, writeFile} from 'node:fs/promises';
+import {dirname} from 'node:path';
+
+// Tiny JSON-file persistence: the whole document lives in memory and every change
+// is written back atomically (write to a temp file, then rename).
+export const createJsonStore = async (file, initial) => {
+    let data;
+    try {
+        data = {...initial, ...JSON.parse(await readFile(file, 'utf8'))};
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        data = structuredClone(initial);
+    }
+
+    let pending = Promise.resolve();
+
+    const persist = () => {
+        pending = pending
+            .then(async () => {
+                await mkdir(dirname(file), {recursive: true});
+                await writeFile(`${file}.tmp`, JSON.stringify(data));
+                await rename(`${file}.tmp`, file);
+            })
+            .catch((error) => console.error(`Failed to persist ${file}:`, error));
+        return pending;
+    };
+
+    return {
+        read: () => data,
+        update: async (mutate) => {
+            const result = mutate(data);
+            await persist();
+            return result;
+        }
+    };
+};
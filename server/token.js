@@ -0,0 +1,21 @@
+import {HttpError, readJson, sendJson} from './http.js';
+import {exchangeCode} from './discord.js';
+
+export const createTokenRoute = ({discord}) => async (req, res) => {
+    const {code} = await readJson(req);
+
+    if (typeof code !== 'string' || !code) {
+        throw new HttpError(400, 'Request body must include an authorization code.');
+    }
+
+    const token = await exchangeCode(discord, code);
+
+    sendJson(res, 200, {
+        access_token: token.access_token,
+        token_type: token.token_type,
+        expires_in: token.expires_in,
+        scope: token.scope
+    }, {
+        'Cache-Control': 'no-store'
+    });
+};
@@ -0,0 +1,100 @@
+import {mkdtemp, rm} from 'node:fs/promises';
+import {createServer} from 'node:http';
+import {tmpdir} from 'node:os';
+import {join} from 'node:path';
+import {jest} from '@jest/globals';
+import {createApp} from './app.js';
+import {loadConfig} from './config.js';
+import {createFakeDiscord} from './fakeDiscord.js';
+
+const listen = (server) => new Promise((resolve) => {
+    server.listen(0, () => resolve(`http://localhost:${server.address().port}`));
+});
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+let discord;
+let server;
+let baseUrl;
+let dataDir;
+
+beforeAll(async () => {
+    discord = createFakeDiscord({clientId: '123', clientSecret: 'dev'});
+    const discordUrl = await listen(discord);
+
+    dataDir = await mkdtemp(join(tmpdir(), 'streets-token-'));
+    const config = loadConfig({
+        DISCORD_CLIENT_ID: '123',
+        DISCORD_CLIENT_SECRET: 'dev',
+        DISCORD_API_BASE_URL: `${discordUrl}/api`,
+        DATA_DIR: dataDir
+    });
+    server = createServer(await createApp(config));
+    baseUrl = await listen(server);
+});
+
+afterAll(async () => {
+    await close(server);
+    await close(discord);
+    await rm(dataDir, {recursive: true, force: true});
+});
+
+const exchange = (body) => fetch(`${baseUrl}/api/token`, {
+    method: 'POST',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify(body)
+});
+
+test('exchanges an authorization code for an access token', async () => {
+    const response = await exchange({code: 'first-code'});
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('cache-control')).toBe('no-store');
+    const payload = await response.json();
+    expect(payload.access_token).toEqual(expect.any(String));
+    expect(payload.expires_in).toBeGreaterThan(0);
+    expect(payload).not.toHaveProperty('refresh_token');
+});
+
+test('issues tokens the server accepts for the same Discord user', async () => {
+    const {access_token: accessToken} = await (await exchange({code: 'score-code'})).json();
+
+    const response = await fetch(`${baseUrl}/api/scores`, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}`},
+        body: JSON.stringify({submissionId: 's1', score: 4, board: 'classic', playedAt: new Date().toISOString()})
+    });
+
+    expect(response.status).toBe(201);
+});
+
+test('rejects a code that was already used', async () => {
+    expect((await exchange({code: 'once'})).status).toBe(200);
+
+    const response = await exchange({code: 'once'});
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toMatch(/Token exchange failed/);
+});
+
+test('rejects invalid and missing codes', async () => {
+    expect((await exchange({code: 'invalid'})).status).toBe(400);
+
+    const response = await exchange({});
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({error: 'Request body must include an authorization code.'});
+});
+
+test('reports a server without client credentials as misconfigured', async () => {
+    const app = await createApp(loadConfig({DATA_DIR: dataDir}));
+    const unconfigured = createServer(app);
+    const url = await listen(unconfigured);
+    const logError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+        const response = await fetch(`${url}/api/token`, {method: 'POST', body: JSON.stringify({code: 'x'})});
+        expect(response.status).toBe(500);
+    } finally {
+        logError.mockRestore();
+        await close(unconfigured);
+    }
+});
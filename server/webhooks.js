@@ -0,0 +1,153 @@
+import {createHmac, randomUUID, timingSafeEqual} from 'node:crypto';
+import {join} from 'node:path';
+import {createJsonStore} from './store.js';
+
+const MAX_ATTEMPTS = 12;
+const BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_QUEUED = 1000;
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// "sha256=<hex>" over "<timestamp>.<body>"; signing the timestamp lets receivers reject replays
+export const signPayload = (secret, timestamp, body) =>
+    `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+export const verifySignature = (secret, {timestamp, signature, body}, now = Date.now()) => {
+    if (!/^\d+$/.test(timestamp ?? '') || Math.abs(now - Number(timestamp) * 1000) > SIGNATURE_TOLERANCE_MS) {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const actual = Buffer.from(signature ?? '');
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
+
+// 5s, 10s, 20s, ... capped at an hour, which spreads twelve attempts over about five hours
+const retryDelay = (attempts) => Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+
+// Events are written to an outbox in DATA_DIR before they are sent, so deliveries survive
+// restarts and an unreachable endpoint only delays them. They go out in the order they were
+// emitted: while the endpoint is down the whole outbox waits. Without a URL and secret
+// nothing is sent.
+export const createWebhooks = async ({url, secret, dataDir}) => {
+    if (!url || !secret) {
+        return {emit: async () => {}};
+    }
+
+    const store = await createJsonStore(join(dataDir, 'webhooks.json'), {outbox: []});
+    let timer = null;
+    let delivering = false;
+    let pausedUntil = 0;
+
+    const post = async (delivery) => {
+        const body = JSON.stringify({
+            id: delivery.id,
+            type: delivery.type,
+            createdAt: delivery.createdAt,
+            attempt: delivery.attempts + 1,
+            data: delivery.data
+        });
+        const timestamp = String(Math.floor(Date.now() / 1000));
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'streets-webhooks',
+                'X-Streets-Event': delivery.type,
+                'X-Streets-Delivery': delivery.id,
+                'X-Streets-Timestamp': timestamp,
+                'X-Streets-Signature': signPayload(secret, timestamp, body)
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        return response.status;
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        const {outbox} = store.read();
+        if (outbox.length === 0) {
+            return;
+        }
+        timer = setTimeout(flush, Math.max(0, pausedUntil - Date.now()));
+        timer.unref();
+    };
+
+    const settle = (delivery, outcome) => store.update((data) => {
+        data.outbox = outcome === 'retry'
+            ? data.outbox.map((entry) => (entry.id === delivery.id ? delivery : entry))
+            : data.outbox.filter((entry) => entry.id !== delivery.id);
+    });
+
+    const flush = async () => {
+        if (delivering) {
+            return;
+        }
+        delivering = true;
+
+        try {
+            for (const delivery of [...store.read().outbox]) {
+                let status = null;
+                let reason;
+                try {
+                    status = await post(delivery);
+                    reason = `status ${status}`;
+                } catch (error) {
+                    reason = error.message;
+                }
+
+                if (status >= 200 && status < 300) {
+                    await settle(delivery, 'delivered');
+                    continue;
+                }
+
+                // Other 4xx answers mean the receiver will never accept this delivery
+                if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+                    console.error(`Webhook ${delivery.type} ${delivery.id} was rejected (${reason}); dropping it.`);
+                    await settle(delivery, 'rejected');
+                    continue;
+                }
+
+                const attempts = delivery.attempts + 1;
+                if (attempts >= MAX_ATTEMPTS) {
+                    console.error(`Webhook ${delivery.type} ${delivery.id} failed ${attempts} times (${reason}); giving up.`);
+                    await settle(delivery, 'expired');
+                    continue;
+                }
+
+                pausedUntil = Date.now() + retryDelay(attempts);
+                console.warn(`Webhook delivery failed (${reason}); retrying in ${Math.round(retryDelay(attempts) / 1000)}s.`);
+                await settle({...delivery, attempts}, 'retry');
+                break;
+            }
+        } finally {
+            delivering = false;
+            schedule();
+        }
+    };
+
+    schedule();
+
+    return {
+        emit: async (type, data) => {
+            await store.update((stored) => {
+                const outbox = [...stored.outbox, {
+                    id: randomUUID(),
+                    type,
+                    createdAt: new Date().toISOString(),
+                    data,
+                    attempts: 0
+                }];
+                if (outbox.length > MAX_QUEUED) {
+                    console.warn(`Webhook outbox is full; dropping ${outbox.length - MAX_QUEUED} oldest event(s).`);
+                }
+                stored.outbox = outbox.slice(-MAX_QUEUED);
+            });
+            if (!delivering) {
+                schedule();
+            }
+        }
+    };
+};
@@ -0,0 +1,205 @@
+import {parseArgs} from 'node:util';
+import {DEFAULT_DECK_COUNT} from '../src/game/deck.js';
+import {canCashOut, cashOut, currentOdds, playGuess, startGame} from '../src/game/engine.js';
+import {createRandom, hashSeed} from '../src/game/random.js';
+import {guessOptions, parseRulesKey, rulesKey} from '../src/game/rules.js';
+import {bankedScore, SCORING_MODES} from '../src/game/scoring.js';
+import {longestStreak} from '../src/game/streaks.js';
+import {loadStrategy} from './strategies.js';
+
+// Plays thousands of games through the same engine as the app and reports how each
+// strategy scores under each rule set. Game i of a run is dealt from "<seed>-<i>", so
+// every strategy and rule set sees the same shoes and a run can be repeated exactly.
+
+const USAGE = `Usage: npm run simulate -- [options]
+
+  --games <n>          games per strategy and rule set (default 1000)
+  --seed <seed>        seed the games are dealt from (default "streets")
+  --strategy <names>   comma-separated strategies: better-odds, random, higher,
+                       or the path of a module exporting one (default better-odds)
+  --rules <key>        rule set as a leaderboard key, e.g. "l3-push" or "same-acelow";
+                       repeat to compare several, "standard" for the standard rules;
+                       blitz rule sets aren't supported, games are played without a clock
+  --scoring <mode>     streak or pot (default streak)
+  --cash-out-at <n>    bank the pot once it reaches n (push your luck only)
+  --decks <n>          decks in the shoe (default ${DEFAULT_DECK_COUNT})
+  --json               print the report as JSON`;
+
+// A guard against strategies that never lose, e.g. with several lives and ties pushing
+const MAX_ROUNDS = 10000;
+
+const fail = (message) => {
+    console.error(`${message}\n\n${USAGE}`);
+    process.exit(1);
+};
+
+const positiveInteger = (value, flag) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        fail(`${flag} must be a positive whole number.`);
+    }
+    return number;
+};
+
+const parseOptions = () => {
+    let values;
+    try {
+        ({values} = parseArgs({
+            options: {
+                games: {type: 'string', default: '1000'},
+                seed: {type: 'string', default: 'streets'},
+                strategy: {type: 'string', default: 'better-odds'},
+                rules: {type: 'string', multiple: true, default: ['standard']},
+                scoring: {type: 'string', default: 'streak'},
+                'cash-out-at': {type: 'string'},
+                decks: {type: 'string', default: String(DEFAULT_DECK_COUNT)},
+                json: {type: 'boolean', default: false},
+                help: {type: 'boolean', default: false}
+            }
+        }));
+    } catch (error) {
+        fail(error.message);
+    }
+
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    if (!SCORING_MODES.includes(values.scoring)) {
+        fail(`Unknown scoring mode "${values.scoring}".`);
+    }
+
+    return {
+        games: positiveInteger(values.games, '--games'),
+        seed: values.seed,
+        strategies: values.strategy.split(',').map((name) => name.trim()).filter(Boolean),
+        rules: values.rules.map((key) => {
+            const rules = parseRulesKey(key === 'standard' ? '' : key);
+            if (rules?.blitz) {
+                // Guesses are played instantly, so a blitz game would score like one without the clock
+                fail(`Rule set "${key}" uses the blitz clock, which the simulator doesn't play.`);
+            }
+            return rules ?? fail(`Unknown rule set "${key}".`);
+        }),
+        scoring: values.scoring,
+        cashOutAt: values['cash-out-at'] === undefined ? null : positiveInteger(values['cash-out-at'], '--cash-out-at'),
+        deckCount: positiveInteger(values.decks, '--decks'),
+        json: values.json
+    };
+};
+
+const playGame = (strategy, {seed, rules, scoring, deckCount, cashOutAt}) => {
+    const random = createRandom(hashSeed(`${seed}-strategy`));
+    const options = guessOptions(rules);
+    let game = startGame({mode: 'classic', seed, deckCount, rules, scoring, now: 0});
+
+    while (game.status === 'guessing' && game.history.length < MAX_ROUNDS) {
+        if (cashOutAt !== null && game.pot >= cashOutAt && canCashOut(game)) {
+            game = cashOut(game);
+            break;
+        }
+
+        const direction = strategy.play({game, odds: currentOdds(game), options, random});
+        if (direction === 'cash-out') {
+            game = canCashOut(game) ? cashOut(game) : game;
+            if (game.status === 'guessing') {
+                throw new Error(`Strategy ${strategy.name} cashed out without a pot to bank`);
+            }
+            break;
+        }
+        if (!options.includes(direction)) {
+            throw new Error(`Strategy ${strategy.name} guessed "${direction}"; expected one of ${options.join(', ')}`);
+        }
+        game = playGuess(game, direction, {now: null});
+    }
+
+    return {
+        score: game.status === 'finished' ? game.score : bankedScore(game),
+        rounds: game.history.length,
+        longestStreak: longestStreak(game.history),
+        capped: game.status === 'guessing'
+    };
+};
+
+const percentile = (sorted, fraction) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const histogram = (scores, bucketCount = 10) => {
+    const max = Math.max(...scores);
+    const width = Math.max(1, Math.ceil((max + 1) / bucketCount));
+    const buckets = Array.from({length: Math.ceil((max + 1) / width)}, (_, index) => ({
+        from: index * width,
+        to: index * width + width - 1,
+        count: 0
+    }));
+    scores.forEach((score) => {
+        buckets[Math.floor(score / width)].count += 1;
+    });
+    return buckets;
+};
+
+const summarize = (results) => {
+    const scores = results.map(({score}) => score);
+    const sorted = [...scores].sort((a, b) => a - b);
+    const average = mean(scores);
+    const streaks = results.map(({longestStreak: streak}) => streak);
+
+    return {
+        games: results.length,
+        meanScore: average,
+        stdDev: Math.sqrt(mean(scores.map((score) => (score - average) ** 2))),
+        median: percentile(sorted, 0.5),
+        p90: percentile(sorted, 0.9),
+        maxScore: sorted[sorted.length - 1],
+        meanRounds: mean(results.map(({rounds}) => rounds)),
+        meanLongestStreak: mean(streaks),
+        maxLongestStreak: Math.max(...streaks),
+        capped: results.filter(({capped}) => capped).length,
+        histogram: histogram(scores)
+    };
+};
+
+const printSummary = ({rules, strategy, summary}) => {
+    const fixed = (value) => value.toFixed(2);
+    const tallest = Math.max(...summary.histogram.map(({count}) => count));
+
+    console.log(`\n${strategy} · ${rulesKey(rules) || 'standard'} · ${summary.games} games`);
+    console.log(`  score   mean ${fixed(summary.meanScore)} ± ${fixed(summary.stdDev)}, median ${summary.median}, `
+        + `p90 ${summary.p90}, max ${summary.maxScore}`);
+    console.log(`  streak  mean longest ${fixed(summary.meanLongestStreak)}, max ${summary.maxLongestStreak}`);
+    console.log(`  rounds  mean ${fixed(summary.meanRounds)}`);
+    if (summary.capped > 0) {
+        console.log(`  ${summary.capped} games stopped after ${MAX_ROUNDS} rounds`);
+    }
+    summary.histogram.forEach(({from, to, count}) => {
+        const label = (from === to ? String(from) : `${from}-${to}`).padStart(9);
+        const bar = '#'.repeat(Math.round((count / tallest) * 40));
+        console.log(`  ${label} | ${bar} ${count}`);
+    });
+};
+
+const options = parseOptions();
+const strategies = await Promise.all(options.strategies.map(loadStrategy)).catch((error) => fail(error.message));
+
+const report = options.rules.flatMap((rules) => strategies.map((strategy) => {
+    const results = Array.from({length: options.games}, (_, index) => playGame(strategy, {
+        ...options,
+        seed: `${options.seed}-${index}`,
+        rules
+    }));
+    return {rules, strategy: strategy.name, summary: summarize(results)};
+}));
+
+if (options.json) {
+    console.log(JSON.stringify({
+        seed: options.seed,
+        scoring: options.scoring,
+        deckCount: options.deckCount,
+        cashOutAt: options.cashOutAt,
+        results: report.map(({rules, strategy, summary}) => ({rules: rulesKey(rules) || 'standard', strategy, ...summary}))
+    }, null, 2));
+} else {
+    report.forEach(printSummary);
+}
@@ -0,0 +1,28 @@
+import {isAbsolute, resolve} from 'node:path';
+import {pathToFileURL} from 'node:url';
+import {betterGuess} from '../src/game/odds.js';
+
+// A strategy is called before every guess with {game, odds, options, random} and
+// returns one of options, or 'cash-out' to bank the pot in push-your-luck games.
+export const STRATEGIES = {
+    'better-odds': ({odds, options}) => betterGuess(odds, options) ?? 'higher',
+    random: ({options, random}) => options[Math.floor(random() * options.length)],
+    higher: () => 'higher'
+};
+
+// Loads a strategy by name, or from a module whose default export is a strategy
+export const loadStrategy = async (name) => {
+    if (STRATEGIES[name]) {
+        return {name, play: STRATEGIES[name]};
+    }
+
+    const path = isAbsolute(name) ? name : resolve(process.cwd(), name);
+    const module = await import(pathToFileURL(path).href).catch((error) => {
+        throw new Error(`Unknown strategy "${name}": not one of ${Object.keys(STRATEGIES).join(', ')} `
+            + `and not a loadable module (${error.message})`);
+    });
+    if (typeof module.default !== 'function') {
+        throw new Error(`Strategy module ${name} must export a function as its default export`);
+    }
+    return {name, play: module.default};
+};
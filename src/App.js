@@ -1,297 +1,588 @@
 import {useCallback, useEffect, useMemo, useRef, useState} from 'react';
 import './App.css';
-import {DiscordSDK} from '@discord/embedded-app-sdk';
-import html2canvas from 'html2canvas';
-
-const RANKS = [
-    {label: '2', value: 2},
-    {label: '3', value: 3},
-    {label: '4', value: 4},
-    {label: '5', value: 5},
-    {label: '6', value: 6},
-    {label: '7', value: 7},
-    {label: '8', value: 8},
-    {label: '9', value: 9},
-    {label: '10', value: 10},
-    {label: 'J', value: 11},
-    {label: 'Q', value: 12},
-    {label: 'K', value: 13},
-    {label: 'A', value: 14}
-];
-
-const randomRank = () => {
-    const rank = RANKS[Math.floor(Math.random() * RANKS.length)];
-    return {...rank};
+import {DECK_COUNT_OPTIONS, DEFAULT_DECK_COUNT, remainingCards} from './game/deck';
+import {createSeed} from './game/random';
+import {DAILY_DECK_COUNT, getDailyDate, getDailySeed, readDailyResult, saveDailyResult} from './daily';
+import {getGuestPlayer, getRelayUrl} from './multiplayer/useSharedTable';
+import PlayingCard from './components/PlayingCard';
+import CardText from './components/CardText';
+import SharedTable from './components/SharedTable';
+import Leaderboard from './components/Leaderboard';
+import Scoreboard from './components/Scoreboard';
+import ReplayViewer from './components/ReplayViewer';
+import StatsPanel from './components/StatsPanel';
+import AchievementToasts from './components/AchievementToasts';
+import AchievementsPanel from './components/AchievementsPanel';
+import KeyboardHint from './components/KeyboardHint';
+import {evaluateAchievements} from './achievements/achievements';
+import {
+    announcePlay,
+    boardFor,
+    flushPendingScores,
+    getApiBaseUrl,
+    getScoreGuestId,
+    queueScore,
+    syncWhenOnline
+} from './leaderboard';
+import {highScoreKey, readHighScore, writeHighScore} from './highScore';
+import {betterGuess} from './game/odds';
+import {summarizeHistory} from './game/summary';
+import {DEFAULT_SCORING, SCORING_MODES} from './game/scoring';
+import {
+    BLITZ_SECONDS,
+    DEFAULT_RULES,
+    guessOptions,
+    LIVES_OPTIONS,
+    TIE_RULES
+} from './game/rules';
+import {
+    canCashOut as canCashOutGame,
+    cashOut as cashOutGame,
+    currentOdds as engineOdds,
+    endIfTimeUp,
+    playGuess,
+    startGame as startEngineGame
+} from './game/engine';
+import {
+    cashOutRankedGame,
+    fetchRankedGame,
+    startRankedGame,
+    submitRankedGuess,
+    toRankedGameState,
+    verifyRankedGame
+} from './rankedGame';
+import {formatPercent} from './format';
+import {decodeReplay, encodeReplay, ReplayError, replayFrames} from './game/replay';
+import {downloadFile, exportFileName, gameToCsv, gameToJson} from './exportGame';
+import {scoreCardBlob} from './scoreCard';
+import {shareImageToDiscord} from './discordShare';
+import {useDiscord} from './discord/DiscordProvider';
+import {useRichPresence} from './discord/useRichPresence';
+import {recordGame} from './stats';
+import {claimSavedGame, clearSavedGame, holdsClaim, readSavedGame, watchSavedGame, writeSavedGame} from './savedGame';
+import {gameAnnouncement} from './announcements';
+import {readHighContrastSuits, writeHighContrastSuits} from './displaySettings';
+import {useKeyboardShortcuts} from './useKeyboardShortcuts';
+import {useServiceWorker} from './useServiceWorker';
+import {useI18n} from './i18n/I18nProvider';
+import {describeRules} from './i18n/gameText';
+
+const IDLE_GAME_STATE = {
+    status: 'idle',
+    mode: 'classic',
+    seed: null,
+    currentCard: null,
+    score: 0,
+    history: [],
+    lastRound: null,
+    shoe: null
 };
 
-const SUITS = [
-    {name: 'spades', symbol: '♠', color: 'black'},
-    {name: 'hearts', symbol: '♥', color: 'red'},
-    {name: 'clubs', symbol: '♣', color: 'black'},
-    {name: 'diamonds', symbol: '♦', color: 'red'}
-];
+// Until the connection settles it isn't known yet whose saved games and daily result apply
+const CONNECTING_STATUSES = ['pending', 'connecting', 'authorizing', 'retrying'];
 
-const randomSuit = () => {
-    const suit = SUITS[Math.floor(Math.random() * SUITS.length)];
-    return {...suit};
-};
+// Message key for an error shown to the player: replay and API errors carry a code for it
+const errorKey = (error) => (error instanceof ReplayError
+    ? `replay.error.${error.code}`
+    : `errors.${error.code ?? 'unexpected'}`);
 
-const createRandomCard = () => ({
-    rank: randomRank(),
-    suit: randomSuit()
-});
+function App() {
+    const {sdk: discordSdk, connectionState, discordProfile, discordContext, retry: retryConnection} = useDiscord();
 
-const HIGH_SCORE_STORAGE_KEY = 'streets_high_score';
+    const {t, chosenLocale, detectedLocale, locales, setLocale} = useI18n();
 
-const drawDifferentCard = (currentCard) => {
-    if (!currentCard) {
-        return createRandomCard();
-    }
+    const {updateReady, applyUpdate, dismissUpdate} = useServiceWorker();
 
-    let next = createRandomCard();
-    while (next.rank.value === currentCard.rank.value) {
-        next = createRandomCard();
-    }
-    return next;
-};
+    const [gameState, setGameState] = useState(IDLE_GAME_STATE);
 
-const toTitleCase = (direction) => direction.charAt(0).toUpperCase() + direction.slice(1);
+    const [resumeOffer, setResumeOffer] = useState(null);
 
-function App() {
-    const [connectionState, setConnectionState] = useState({
-        status: 'pending',
-        message: 'Detecting Discord Activity environment...'
-    });
+    const [deckCount, setDeckCount] = useState(DEFAULT_DECK_COUNT);
 
-    const [discordProfile, setDiscordProfile] = useState(null);
+    const [assistEnabled, setAssistEnabled] = useState(false);
 
-    const [gameState, setGameState] = useState({
-        status: 'idle',
-        currentCard: null,
-        score: 0,
-        history: [],
-        lastRound: null
-    });
+    const [scoringMode, setScoringMode] = useState(DEFAULT_SCORING);
+
+    const [rules, setRules] = useState(DEFAULT_RULES);
+
+    const [now, setNow] = useState(() => Date.now());
 
     const [highScore, setHighScore] = useState(0);
 
+    const [dailyResult, setDailyResult] = useState(null);
+
+    const [tableMode, setTableMode] = useState('solo');
+
+    const [leaderboardVersion, setLeaderboardVersion] = useState(0);
+
+    const [rankedPending, setRankedPending] = useState(false);
+
+    const [gameError, setGameError] = useState(null);
+
+    const [replay, setReplay] = useState(null);
+
+    const [replayInput, setReplayInput] = useState('');
+
+    const [replayError, setReplayError] = useState(null);
+
+    const [replayShareStatus, setReplayShareStatus] = useState(null);
+
+    const [exportStatus, setExportStatus] = useState(null);
+
+    const [showStats, setShowStats] = useState(false);
+
+    const [statsVersion, setStatsVersion] = useState(0);
+
+    const [showAchievements, setShowAchievements] = useState(false);
+
+    const [achievementToasts, setAchievementToasts] = useState([]);
+
+    const [achievementsVersion, setAchievementsVersion] = useState(0);
+
+    const [announcement, setAnnouncement] = useState('');
+
+    const [highContrastSuits, setHighContrastSuits] = useState(readHighContrastSuits);
+
+    useRichPresence(replay ? IDLE_GAME_STATE : gameState, {tableMode});
+
+
+    const currentHighScoreKey = highScoreKey(gameState);
+
     useEffect(() => {
-        let cancelled = false;
+        setHighScore(readHighScore(currentHighScoreKey));
+    }, [currentHighScoreKey]);
 
-        const initDiscord = async () => {
-            if (typeof window === 'undefined') {
-                return;
-            }
+    useEffect(() => {
+        if (gameState.score <= highScore) {
+            return;
+        }
 
-            const params = new URLSearchParams(window.location.search);
-            const frameId = params.get('frame_id');
+        setHighScore(gameState.score);
+        writeHighScore(currentHighScoreKey, gameState.score);
+    }, [gameState.score, highScore, currentHighScoreKey]);
 
-            if (!frameId) {
-                if (!cancelled) {
-                    setDiscordProfile(null);
-                    setConnectionState({
-                        status: 'standalone',
-                        message: 'Discord SDK not detected. Running in standalone preview mode.'
-                    });
-                }
-                return;
-            }
+    const dailyDate = getDailyDate();
+    const playerId = discordProfile?.id ?? null;
 
-            const clientId = process.env.REACT_APP_DISCORD_CLIENT_ID;
-            if (!clientId) {
-                if (!cancelled) {
-                    setDiscordProfile(null);
-                    setConnectionState({
-                        status: 'error',
-                        message: 'Missing REACT_APP_DISCORD_CLIENT_ID env variable.'
-                    });
-                }
-                return;
-            }
+    useEffect(() => {
+        setDailyResult(readDailyResult(playerId, dailyDate));
+    }, [playerId, dailyDate]);
 
-            const tokenEndpoint = process.env.REACT_APP_DISCORD_TOKEN_ENDPOINT;
-            if (!tokenEndpoint) {
-                if (!cancelled) {
-                    setDiscordProfile(null);
-                    setConnectionState({
-                        status: 'error',
-                        message: 'Missing REACT_APP_DISCORD_TOKEN_ENDPOINT env variable.'
-                    });
-                }
-                return;
-            }
+    useEffect(() => {
+        if (gameState.mode !== 'daily' || gameState.status !== 'finished') {
+            return;
+        }
 
-            try {
-                if (!cancelled) {
-                    setConnectionState({
-                        status: 'connecting',
-                        message: 'Connecting to Discord Activity...'
-                    });
-                }
+        const result = {date: dailyDate, seed: gameState.seed, score: gameState.score};
+        saveDailyResult(playerId, result);
+        setDailyResult(result);
+    }, [gameState.mode, gameState.status, gameState.seed, gameState.score, playerId, dailyDate]);
 
-                const sdk = new DiscordSDK(clientId);
-                await sdk.ready();
+    useEffect(() => {
+        if (gameState.status !== 'finished') {
+            return;
+        }
 
-                // Prompt Discord for an authorization code (identify scope only)
-                const {code} = await sdk.commands.authorize({
-                    client_id: clientId,
-                    response_type: 'code',
-                    state: crypto.randomUUID(),
-                    prompt: 'none',
-                    scope: ['identify']
-                });
+        recordGame(playerId, gameState);
+        setStatsVersion((version) => version + 1);
+    }, [gameState, playerId]);
 
-                if (!code) {
-                    throw new Error('Discord authorization did not return a code.');
-                }
+    // Guess achievements are checked once per new round and finish achievements once per game
+    const achievementProgressRef = useRef({id: null, rounds: 0, finished: false});
 
-                // Exchange the authorization code for an access token via backend
-                const tokenResponse = await fetch(tokenEndpoint, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({code})
-                });
-
-                if (!tokenResponse.ok) {
-                    const errorPayload = await tokenResponse.json().catch(() => ({}));
-                    throw new Error(errorPayload?.error ?? `Token exchange failed with status ${tokenResponse.status}`);
-                }
+    useEffect(() => {
+        if (gameState.status === 'idle') {
+            return;
+        }
 
-                const {access_token: accessToken} = await tokenResponse.json();
+        const id = gameState.mode === 'ranked' ? gameState.gameId : gameState.seed;
+        const seen = achievementProgressRef.current.id === id
+            ? achievementProgressRef.current
+            : {rounds: 0, finished: false};
+        const isFinished = gameState.status === 'finished';
+        achievementProgressRef.current = {id, rounds: gameState.history.length, finished: isFinished};
+
+        const unlocked = [
+            ...(gameState.history.length > seen.rounds
+                ? evaluateAchievements(playerId, 'guess', {game: gameState})
+                : []),
+            ...(isFinished && !seen.finished
+                ? evaluateAchievements(playerId, 'finish', {game: gameState, dailyDate})
+                : [])
+        ];
+
+        if (unlocked.length > 0) {
+            setAchievementToasts((toasts) => [...toasts, ...unlocked]);
+            setAchievementsVersion((version) => version + 1);
+        }
+    }, [gameState, playerId, dailyDate]);
 
-                if (!accessToken) {
-                    throw new Error('Token exchange response missing access_token.');
-                }
+    const dismissAchievementToast = useCallback((id) => {
+        setAchievementToasts((toasts) => toasts.filter((toast) => toast.id !== id));
+    }, []);
 
-                const auth = await sdk.commands.authenticate({access_token: accessToken});
-                const user = auth?.user;
+    const accessToken = discordContext?.accessToken ?? null;
+    // Standalone players have no Discord id, so their scores go out under a guest id
+    const scoreGuestId = useMemo(() => (connectionState.status === 'standalone' ? getScoreGuestId() : null),
+        [connectionState.status]);
+    const scorerId = playerId ?? scoreGuestId;
 
-                if (!user) {
-                    throw new Error('Discord authentication did not return a user profile.');
-                }
+    const syncScores = useCallback(async () => {
+        const submitted = await flushPendingScores(scorerId, {accessToken, guestId: scoreGuestId});
+        if (submitted > 0) {
+            setLeaderboardVersion((version) => version + 1);
+        }
+    }, [scorerId, accessToken, scoreGuestId]);
 
-                const avatarUrl = user.avatar
-                    ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png?size=64`
-                    : `https://cdn.discordapp.com/embed/avatars/${Number(user.discriminator ?? 0) % 5}.png?size=64`;
+    useEffect(() => {
+        if (!scorerId || (!accessToken && !scoreGuestId)) {
+            return undefined;
+        }
+        // Submissions that failed for lack of a connection go out as soon as it is back
+        return syncWhenOnline(syncScores);
+    }, [scorerId, accessToken, scoreGuestId, syncScores]);
 
-                if (!cancelled) {
-                    setDiscordProfile({
-                        id: user.id,
-                        name: user.global_name || user.username || 'Discord user',
-                        avatarUrl
-                    });
-                    setConnectionState({
-                        status: 'connected',
-                        message: 'Connected to Discord Activity runtime.'
-                    });
-                }
-            } catch (error) {
-                if (!cancelled) {
-                    console.error('Discord OAuth flow failed:', error);
-                    setDiscordProfile(null);
-                    setConnectionState({
-                        status: 'error',
-                        message: `Failed to connect to Discord Activity runtime: ${error?.message ?? error}`
-                    });
-                }
-            }
-        };
+    const submittedSeedRef = useRef(null);
+
+    useEffect(() => {
+        // Ranked games are recorded by the server that dealt them
+        if (gameState.status !== 'finished' || gameState.mode === 'ranked' || !scorerId || !getApiBaseUrl()
+            || submittedSeedRef.current === gameState.seed) {
+            return;
+        }
 
-        initDiscord();
+        submittedSeedRef.current = gameState.seed;
+        queueScore(scorerId, {
+            score: gameState.score,
+            board: boardFor(gameState),
+            guildId: discordContext?.guildId,
+            summary: summarizeHistory(gameState)
+        });
+        syncScores();
+    }, [gameState, scorerId, discordContext, syncScores]);
+
+    useEffect(() => {
+        if (gameState.mode !== 'ranked' || gameState.status !== 'finished' || gameState.fairness?.status !== 'pending') {
+            return;
+        }
+
+        let cancelled = false;
+        const gameId = gameState.gameId;
+
+        verifyRankedGame(gameState)
+            .catch((error) => {
+                console.error('Failed to verify the deal:', error);
+                return {valid: false, reason: 'error', position: null};
+            })
+            .then(({valid, reason, position}) => {
+                if (cancelled) {
+                    return;
+                }
+                setGameState((prev) => (prev.gameId === gameId
+                    ? {...prev, fairness: {status: valid ? 'verified' : 'failed', reason, position}}
+                    : prev));
+                setLeaderboardVersion((version) => version + 1);
+            });
 
         return () => {
             cancelled = true;
         };
+    }, [gameState]);
+
+    const isConnectionSettled = !CONNECTING_STATUSES.includes(connectionState.status);
+
+    // The window that started or resumed the game holds its claim and keeps the save current
+    const claimRef = useRef(null);
+
+    const refreshResumeOffer = useCallback(() => {
+        const saved = readSavedGame(playerId);
+        setResumeOffer(saved && (saved.mode !== 'ranked' || accessToken) ? saved : null);
+    }, [playerId, accessToken]);
+
+    useEffect(() => {
+        if (!isConnectionSettled || gameState.status !== 'idle') {
+            return undefined;
+        }
+
+        refreshResumeOffer();
+        // Another window may resume, play on or lose the saved game while this one offers it
+        return watchSavedGame(playerId, refreshResumeOffer);
+    }, [isConnectionSettled, gameState.status, playerId, refreshResumeOffer]);
+
+    const abandonGame = useCallback(() => {
+        claimRef.current = null;
+        setGameState(IDLE_GAME_STATE);
+        setGameError('resume.elsewhere');
     }, []);
 
     useEffect(() => {
-        if (typeof window === 'undefined') {
+        if (!claimRef.current) {
             return;
         }
 
-        const storedHighScore = window.localStorage.getItem(HIGH_SCORE_STORAGE_KEY);
-        if (!storedHighScore) {
+        if (gameState.status !== 'guessing') {
+            clearSavedGame(playerId, claimRef.current);
+            claimRef.current = null;
+        } else if (!writeSavedGame(playerId, gameState, claimRef.current)) {
+            abandonGame();
+        }
+    }, [gameState, playerId, abandonGame]);
+
+    const resumeGame = useCallback(async () => {
+        if (!resumeOffer) {
             return;
         }
 
-        const parsed = parseInt(storedHighScore, 10);
-        if (!Number.isNaN(parsed) && parsed >= 0) {
-            setHighScore(parsed);
+        setGameError(null);
+        setResumeOffer(null);
+        const claim = claimSavedGame(playerId, resumeOffer, {resume: true});
+        if (!claim) {
+            setGameError('resume.changed');
+            refreshResumeOffer();
+            return;
         }
-    }, []);
 
-    useEffect(() => {
-        if (gameState.score <= highScore) {
+        if (resumeOffer.mode !== 'ranked') {
+            claimRef.current = claim;
+            setGameState(resumeOffer);
             return;
         }
 
-        setHighScore(gameState.score);
+        // Ranked games live on the server, so pick up whatever state it has now
+        setRankedPending(true);
+        try {
+            const game = await fetchRankedGame(accessToken, resumeOffer.gameId);
+            claimRef.current = claim;
+            setGameState(toRankedGameState(game, resumeOffer));
+        } catch (error) {
+            console.error('Failed to resume ranked game:', error);
+            clearSavedGame(playerId, claim);
+            setGameError(errorKey(error));
+        } finally {
+            setRankedPending(false);
+        }
+    }, [resumeOffer, playerId, accessToken, refreshResumeOffer]);
+
+    const discardSavedGame = useCallback(() => {
+        clearSavedGame(playerId);
+        setResumeOffer(null);
+    }, [playerId]);
+
+    const startRanked = useCallback(async () => {
+        setRankedPending(true);
+        setGameError(null);
+        try {
+            const game = await startRankedGame(accessToken, {
+                guildId: discordContext?.guildId,
+                assisted: assistEnabled,
+                scoring: scoringMode,
+                rules
+            });
+            const state = toRankedGameState(game);
+            claimRef.current = claimSavedGame(playerId, state);
+            setResumeOffer(null);
+            setGameState(state);
+        } catch (error) {
+            console.error('Failed to start ranked game:', error);
+            setGameError(errorKey(error));
+        } finally {
+            setRankedPending(false);
+        }
+    }, [accessToken, discordContext, assistEnabled, scoringMode, rules, playerId]);
+
+    const makeRankedGuess = useCallback(async (direction) => {
+        if (gameState.status !== 'guessing' || rankedPending) {
+            return;
+        }
+
+        setRankedPending(true);
+        setGameError(null);
+        try {
+            const game = await submitRankedGuess(accessToken, gameState.gameId, direction);
+            setGameState((prev) => toRankedGameState(game, prev));
+        } catch (error) {
+            console.error('Failed to submit ranked guess:', error);
+            setGameError(errorKey(error));
+        } finally {
+            setRankedPending(false);
+        }
+    }, [accessToken, gameState, rankedPending]);
+
+    const startGame = useCallback((mode) => {
+        if (mode === 'ranked') {
+            startRanked();
+            return;
+        }
 
-        if (typeof window !== 'undefined') {
-            window.localStorage.setItem(HIGH_SCORE_STORAGE_KEY, String(gameState.score));
+        const isDaily = mode === 'daily';
+        // Everyone plays the Daily Street by the standard rules, as a plain streak without
+        // assist, so the results compare
+        const gameRules = isDaily ? DEFAULT_RULES : rules;
+        const seed = isDaily ? getDailySeed(dailyDate, discordContext ?? {}) : createSeed();
+
+        if (isDaily) {
+            // Lock the attempt as soon as it starts so reloading can't re-roll a bad run
+            const attempt = {date: dailyDate, seed, score: null};
+            saveDailyResult(playerId, attempt);
+            setDailyResult(attempt);
         }
-    }, [gameState.score, highScore]);
 
-    const startGame = useCallback(() => {
-        const firstCard = createRandomCard();
-        setGameState({
-            status: 'guessing',
-            currentCard: firstCard,
-            score: 0,
-            history: [],
-            lastRound: null
+        const game = startEngineGame({
+            mode,
+            seed,
+            deckCount: isDaily ? DAILY_DECK_COUNT : deckCount,
+            rules: gameRules,
+            scoring: isDaily ? DEFAULT_SCORING : scoringMode,
+            assisted: isDaily ? false : assistEnabled
         });
-    }, []);
+        claimRef.current = claimSavedGame(playerId, game);
+        setResumeOffer(null);
+        setGameState(game);
+        announcePlay(accessToken, {board: boardFor(game), guildId: discordContext?.guildId});
+    }, [deckCount, dailyDate, discordContext, playerId, startRanked, assistEnabled, scoringMode, rules, accessToken]);
 
     const makeGuess = useCallback((direction) => {
-        setGameState((prev) => {
-            if (prev.status !== 'guessing' || prev.currentCard === null) {
-                return prev;
-            }
+        if (gameState.mode === 'ranked') {
+            makeRankedGuess(direction);
+            return;
+        }
+        if (claimRef.current && !holdsClaim(playerId, claimRef.current)) {
+            abandonGame();
+            return;
+        }
 
-            const nextCard = drawDifferentCard(prev.currentCard);
-            const success =
-                direction === 'higher'
-                    ? nextCard.rank.value >= prev.currentCard.rank.value
-                    : nextCard.rank.value <= prev.currentCard.rank.value;
-
-            const round = {
-                id: prev.history.length + 1,
-                guess: direction,
-                startingCard: prev.currentCard,
-                nextCard,
-                success
-            };
-
-            if (success) {
-                return {
-                    status: 'guessing',
-                    currentCard: nextCard,
-                    score: prev.score + 1,
-                    history: [...prev.history, round],
-                    lastRound: {
-                        outcome: 'correct',
-                        round
-                    }
-                };
+        setGameState((prev) => playGuess(prev, direction));
+    }, [gameState.mode, makeRankedGuess, playerId, abandonGame]);
+
+    const cashOut = useCallback(async () => {
+        if (gameState.mode === 'ranked') {
+            setRankedPending(true);
+            setGameError(null);
+            try {
+                const game = await cashOutRankedGame(accessToken, gameState.gameId);
+                setGameState((prev) => toRankedGameState(game, prev));
+            } catch (error) {
+                console.error('Failed to cash out ranked game:', error);
+                setGameError(errorKey(error));
+            } finally {
+                setRankedPending(false);
             }
+            return;
+        }
+
+        setGameState(cashOutGame);
+    }, [accessToken, gameState.mode, gameState.gameId]);
+
+    const isBlitzRunning = gameState.status === 'guessing' && Boolean(gameState.endsAt);
+
+    useEffect(() => {
+        if (!isBlitzRunning) {
+            return;
+        }
+
+        const timer = setInterval(() => setNow(Date.now()), 250);
+        return () => clearInterval(timer);
+    }, [isBlitzRunning]);
+
+    const isTimeUp = isBlitzRunning && now >= gameState.endsAt;
+    const secondsLeft = isBlitzRunning ? Math.max(0, Math.ceil((gameState.endsAt - now) / 1000)) : null;
 
-            return {
-                status: 'finished',
-                currentCard: nextCard,
-                score: prev.score,
-                history: [...prev.history, round],
-                lastRound: {
-                    outcome: 'failed',
-                    round
+    useEffect(() => {
+        if (!isTimeUp) {
+            return;
+        }
+
+        if (gameState.mode !== 'ranked') {
+            setGameState((prev) => endIfTimeUp(prev));
+            return;
+        }
+
+        // The server keeps the clock for ranked games, so ask it to close the game
+        let cancelled = false;
+        fetchRankedGame(accessToken, gameState.gameId)
+            .then((game) => {
+                if (!cancelled) {
+                    setGameState((prev) => toRankedGameState(game, prev));
                 }
-            };
-        });
+            })
+            .catch((error) => {
+                console.error('Failed to end ranked blitz game:', error);
+                if (!cancelled) {
+                    setGameError(errorKey(error));
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isTimeUp, gameState.mode, gameState.gameId, accessToken]);
+
+    const canGuess = gameState.status === 'guessing' && !rankedPending && !isTimeUp;
+    const canCashOut = canGuess && canCashOutGame(gameState);
+    const gameRules = gameState.rules ?? DEFAULT_RULES;
+    const guessChoices = guessOptions(gameRules);
+
+    const currentOdds = useMemo(() => {
+        if (!gameState.assisted || gameState.status !== 'guessing' || !gameState.currentCard) {
+            return null;
+        }
+        return engineOdds(gameState);
+    }, [gameState]);
+
+    const recommendedGuess = currentOdds ? betterGuess(currentOdds, guessChoices) : null;
+
+    const updateRules = (changes) => setRules((prev) => ({...prev, ...changes}));
+
+    // Accepts a bare code as well as a link carrying it in ?replay=
+    const openReplay = useCallback((input) => {
+        const trimmed = input.trim();
+        let code = trimmed;
+        try {
+            code = new URL(trimmed).searchParams.get('replay') ?? trimmed;
+        } catch (error) {
+            // Not a link, so it has to be the code itself
+        }
+
+        try {
+            const decoded = decodeReplay(code);
+            setReplay({...decoded, frames: replayFrames(decoded)});
+            setReplayError(null);
+            setReplayInput('');
+        } catch (error) {
+            setReplayError(errorKey(error));
+        }
     }, []);
 
-    const canGuess = gameState.status === 'guessing';
+    useEffect(() => {
+        const code = new URLSearchParams(window.location.search).get('replay');
+        if (code) {
+            openReplay(code);
+        }
+    }, [openReplay]);
+
+    const replayCode = useMemo(
+        () => (gameState.status === 'finished' ? encodeReplay(gameState) : null),
+        [gameState]
+    );
+
+    useEffect(() => {
+        setReplayShareStatus(null);
+    }, [replayCode]);
+
+    const shareReplay = useCallback(async () => {
+        // Links only work outside Discord; inside the Activity the code is what gets pasted
+        const text = connectionState.status === 'standalone'
+            ? `${window.location.origin}${window.location.pathname}?replay=${replayCode}`
+            : replayCode;
+
+        try {
+            await navigator.clipboard.writeText(text);
+            setReplayShareStatus(t(connectionState.status === 'standalone' ? 'replay.linkCopied' : 'replay.codeCopied'));
+        } catch (error) {
+            console.error('Failed to copy replay code:', error);
+            setReplayShareStatus(t('replay.copyFailed'));
+        }
+    }, [connectionState.status, replayCode, t]);
 
     const displayedCard = useMemo(() => {
         if (gameState.status === 'guessing' || gameState.status === 'finished') {
@@ -301,38 +592,126 @@ function App() {
         return gameState.lastRound?.round?.startingCard ?? null;
     }, [gameState.status, gameState.currentCard, gameState.lastRound]);
 
-    const scoreboardRef = useRef(null);
-
-    const displayedCardRank = displayedCard?.rank.label ?? '—';
-    const displayedCardSuit = displayedCard?.suit.symbol ?? '♠';
-    const displayedSuitClass = displayedCard?.suit.color ?? 'black';
+    const cardsLeft = remainingCards(gameState.shoe);
     const isFailureDisplay = gameState.status === 'finished' && gameState.lastRound?.outcome === 'failed';
 
-    const captureTable = useCallback(async () => {
-        if (!scoreboardRef.current) {
+    useEffect(() => {
+        setExportStatus(null);
+    }, [gameState.status]);
+
+    const exportHistory = useCallback((format) => {
+        const content = format === 'csv'
+            ? gameToCsv(gameState)
+            : gameToJson(gameState, {player: discordProfile, replayCode});
+        downloadFile(exportFileName(gameState, format), content, format === 'csv' ? 'text/csv' : 'application/json');
+    }, [gameState, discordProfile, replayCode]);
+
+    const exportScoreCard = useCallback(async (destination) => {
+        setExportStatus(null);
+        try {
+            const blob = await scoreCardBlob(gameState, {player: discordProfile, t});
+            const fileName = exportFileName(gameState, 'png');
+            if (destination === 'discord') {
+                await shareImageToDiscord(discordSdk, accessToken, blob, fileName);
+                setExportStatus(t('export.shared'));
+            } else {
+                downloadFile(fileName, blob);
+            }
+        } catch (error) {
+            console.error('Failed to export score card:', error);
+            setExportStatus(t('export.failed', {error: error.message}));
+        }
+    }, [gameState, discordProfile, accessToken, discordSdk, t]);
+
+    const isSoloTable = tableMode === 'solo' && !replay;
+
+    const oddsAnnouncement = currentOdds
+        ? guessChoices.map((choice) => t('announce.odds', {
+            direction: t(`guess.${choice}`),
+            percent: formatPercent(currentOdds[choice])
+        })).join(', ')
+        : null;
+
+    // Screen readers hear each dealt card and result in words, and the odds in assist mode
+    useEffect(() => {
+        if (!isSoloTable || gameState.status === 'idle') {
             return;
         }
 
-        try {
-            const canvas = await html2canvas(scoreboardRef.current, {
-                backgroundColor: null,
-                useCORS: true,
-                scale: window.devicePixelRatio || 1
-            });
-            const link = document.createElement('a');
-            link.download = `streets-table-${Date.now()}.png`;
-            link.href = canvas.toDataURL('image/png');
-            link.click();
-        } catch (error) {
-            console.error('Failed to capture table screenshot:', error);
+        const text = gameAnnouncement(t, gameState);
+        if (text) {
+            setAnnouncement(oddsAnnouncement ? `${text} ${oddsAnnouncement}.` : text);
         }
-    }, []);
+    }, [isSoloTable, gameState, oddsAnnouncement, t]);
+
+    useEffect(() => {
+        if (secondsLeft === 10) {
+            setAnnouncement(t('announce.secondsLeft', {count: secondsLeft}));
+        }
+    }, [secondsLeft, t]);
+
+    // Focus follows the game: the start button while idle, the guesses while playing and
+    // "Play again" once it is over, so keyboard players never have to hunt for it
+    const startButtonRef = useRef(null);
+    const higherButtonRef = useRef(null);
+    const playAgainButtonRef = useRef(null);
+    const focusedStatusRef = useRef(gameState.status);
+
+    useEffect(() => {
+        if (focusedStatusRef.current === gameState.status) {
+            return;
+        }
+
+        focusedStatusRef.current = gameState.status;
+        const target = {idle: startButtonRef, guessing: higherButtonRef, finished: playAgainButtonRef}[gameState.status];
+        target?.current?.focus();
+    }, [gameState.status]);
+
+    // A ranked guess disables the buttons while it is sent, which drops their focus
+    useEffect(() => {
+        if (canGuess && document.activeElement === document.body) {
+            higherButtonRef.current?.focus();
+        }
+    }, [canGuess]);
+
+    const toggleHighContrastSuits = (enabled) => {
+        setHighContrastSuits(enabled);
+        writeHighContrastSuits(enabled);
+    };
+
+    const guessShortcut = (direction) => (canGuess && guessChoices.includes(direction) ? () => makeGuess(direction) : null);
+    const isStartShortcutActive = gameState.status === 'idle' && !resumeOffer;
+    const isFinishedShortcutActive = gameState.status === 'finished';
+
+    useKeyboardShortcuts(isSoloTable ? {
+        ArrowUp: guessShortcut('higher'),
+        h: guessShortcut('higher'),
+        ArrowDown: guessShortcut('lower'),
+        l: guessShortcut('lower'),
+        s: guessShortcut('same'),
+        c: canCashOut ? cashOut : null,
+        Enter: isStartShortcutActive || isFinishedShortcutActive ? () => startGame('classic') : null,
+        e: isFinishedShortcutActive ? () => exportHistory('json') : null
+    } : {});
+
+    const shortcutHints = [
+        ...(gameState.status === 'guessing' ? [
+            [['↑', 'H'], t('keys.higher')],
+            [['↓', 'L'], t('keys.lower')],
+            ...(guessChoices.includes('same') ? [[['S'], t('keys.same')]] : []),
+            ...(gameState.scoring === 'pot' ? [[['C'], t('keys.cashOut')]] : [])
+        ] : []),
+        ...(isStartShortcutActive ? [[['Enter'], t('keys.start')]] : []),
+        ...(isFinishedShortcutActive ? [[['Enter'], t('keys.playAgain')], [['E'], t('keys.export')]] : [])
+    ];
 
     const statusBadge = useMemo(() => {
         switch (connectionState.status) {
             case 'connected':
                 return 'connected';
             case 'connecting':
+            case 'authorizing':
+            case 'retrying':
                 return 'connecting';
             case 'error':
                 return 'error';
@@ -341,38 +720,101 @@ function App() {
         }
     }, [connectionState.status]);
 
+    // Outside Discord a shared table can still be opened for local testing with ?table=<name>
+    const sharedTableId = useMemo(() => {
+        if (discordContext?.instanceId) {
+            return discordContext.instanceId;
+        }
+        if (connectionState.status !== 'standalone') {
+            return null;
+        }
+        return new URLSearchParams(window.location.search).get('table');
+    }, [discordContext, connectionState.status]);
+
+    const tablePlayer = useMemo(() => {
+        if (discordProfile) {
+            return discordProfile;
+        }
+        return connectionState.status === 'standalone' ? getGuestPlayer() : null;
+    }, [discordProfile, connectionState.status]);
+
+    const canJoinSharedTable = Boolean(getRelayUrl() && sharedTableId && tablePlayer);
+
+    const isDailyLocked = Boolean(dailyResult);
+    const canStartDaily = !isDailyLocked && isConnectionSettled;
+
     const shouldShowStatus = Boolean(statusBadge) && (connectionState.status !== 'connected' || !discordProfile);
 
+    const lastRound = gameState.lastRound?.round ?? null;
+    const lastDealtCard = lastRound && <strong><CardText card={lastRound.nextCard} colored={false}/></strong>;
+    const lostPotText = gameState.scoring === 'pot' && gameState.lostPot > 0
+        && t('result.potLost', {count: gameState.lostPot});
+    const fairness = gameState.fairness;
+    const fairnessText = fairness && t(`fairness.${fairness.status}`, {
+        reason: fairness.reason && t(`fairness.reason.${fairness.reason}`, {position: fairness.position})
+    });
+
     return (
-        <div className="app-shell">
+        <div className={`app-shell${highContrastSuits ? ' high-contrast-suits' : ''}`}>
+            <p className="visually-hidden" role="status" aria-live="polite">{announcement}</p>
             <header className="header">
                 <h1>Streets</h1>
-                {connectionState.status === 'connected' && discordProfile ? (
-                    <span className={`status-badge status-connected discord-profile`}>
-                        <img
-                            alt={`${discordProfile.name}'s avatar`}
-                            className="discord-avatar"
-                            src={discordProfile.avatarUrl}
-                            width={32}
-                            height={32}
-                        />
-                        <span className="discord-name">{discordProfile.name}</span>
-                    </span>
-                ) : (
-                    shouldShowStatus && (
-                        <span className={`status-badge status-${statusBadge}`}>{connectionState.message}</span>
-                    )
-                )}
+                <div className="header-controls">
+                    <select className="language-select" value={chosenLocale ?? ''} aria-label={t('language.label')}
+                            onChange={(event) => setLocale(event.target.value || null)}>
+                        <option value="">
+                            {t('language.automatic', {
+                                language: locales.find(({id}) => id === detectedLocale)?.label
+                            })}
+                        </option>
+                        {locales.map(({id, label}) => (
+                            <option key={id} value={id} lang={id}>{label}</option>
+                        ))}
+                    </select>
+                    {connectionState.status === 'connected' && discordProfile ? (
+                        <span className={`status-badge status-connected discord-profile`}>
+                            <img
+                                alt={t('profile.avatar', {name: discordProfile.name})}
+                                className="discord-avatar"
+                                src={discordProfile.avatarUrl}
+                                width={32}
+                                height={32}
+                            />
+                            <span className="discord-name">{discordProfile.name}</span>
+                        </span>
+                    ) : (
+                        shouldShowStatus && (
+                            <span className={`status-badge status-${statusBadge}`}>
+                                {t(`connection.${connectionState.status}`, connectionState)}
+                                {connectionState.status === 'error' && (
+                                    <button className="status-retry" onClick={retryConnection}>
+                                        {t('connection.retry')}
+                                    </button>
+                                )}
+                            </span>
+                        )
+                    )}
+                </div>
             </header>
 
-            {gameState.status === 'idle' && (
+            {updateReady && (
+                <div className="update-prompt" role="status">
+                    <p>{t('update.available')}</p>
+                    <div className="game-actions">
+                        <button className="primary" onClick={applyUpdate}>{t('update.reload')}</button>
+                        <button className="secondary" onClick={dismissUpdate}>{t('update.later')}</button>
+                    </div>
+                </div>
+            )}
+
+            {gameState.status === 'idle' && tableMode === 'solo' && !replay && (
                 <section className="panel">
                     <div className="panel-body">
-                        <h2>How to play</h2>
+                        <h2>{t('howToPlay.title')}</h2>
+                        {describeRules(t, rules).map((sentence) => <p key={sentence}>{sentence}</p>)}
                         <p>
-                            Predict whether the next number will be higher or lower than the current number. Numbers
-                            range from 2 to Ace. Each correct
-                            guess awards 1 point. Miss once and the game ends.
+                            {t(scoringMode === 'pot' ? 'howToPlay.pot' : 'howToPlay.streak')}
+                            {' '}{t('howToPlay.shoe')}
                         </p>
                     </div>
                 </section>
@@ -380,12 +822,146 @@ function App() {
 
             <section className="panel game-panel">
                 <div className="panel-body">
-                    {gameState.status === 'idle' ? (
+                    {tableMode === 'shared' ? (
+                        <SharedTable instanceId={sharedTableId} player={tablePlayer}
+                                     accessToken={discordProfile ? accessToken : null}
+                                     onLeave={() => setTableMode('solo')}/>
+                    ) : replay ? (
+                        <ReplayViewer key={replay.code} replay={replay} onClose={() => setReplay(null)}/>
+                    ) : gameState.status === 'idle' ? (
                         <div className="empty-state">
-                            <p>You haven't started a round yet.</p>
-                            <button className="primary" onClick={startGame}>
-                                Start game
-                            </button>
+                            {resumeOffer ? (
+                                <div className="resume-prompt">
+                                    <p>
+                                        {resumeOffer.scoring === 'pot'
+                                            ? t('resume.pot', {count: resumeOffer.pot})
+                                            : t('resume.streak', {count: resumeOffer.score})}
+                                        {resumeOffer.mode !== 'classic' && (
+                                            <span className="round-tag">{t(`mode.${resumeOffer.mode}`)}</span>
+                                        )}
+                                    </p>
+                                    <div className="game-actions">
+                                        <button className="primary" disabled={rankedPending} onClick={resumeGame}>
+                                            {t('resume.resume')}
+                                        </button>
+                                        <button className="secondary" onClick={discardSavedGame}>
+                                            {t('resume.discard')}
+                                        </button>
+                                    </div>
+                                </div>
+                            ) : (
+                                <p>{t('idle.noRound')}</p>
+                            )}
+                            <label className="game-option">
+                                {t('options.decks')}
+                                <select value={deckCount}
+                                        onChange={(event) => setDeckCount(Number(event.target.value))}>
+                                    {DECK_COUNT_OPTIONS.map((count) => (
+                                        <option key={count} value={count}>
+                                            {t('options.deckCount', {count, cards: count * 52})}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="game-option">
+                                {t('options.scoring')}
+                                <select value={scoringMode}
+                                        onChange={(event) => setScoringMode(event.target.value)}>
+                                    {SCORING_MODES.map((id) => (
+                                        <option key={id} value={id}>{t(`scoring.${id}.label`)}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="game-option">
+                                {t('options.lives')}
+                                <select value={rules.lives}
+                                        onChange={(event) => updateRules({lives: Number(event.target.value)})}>
+                                    {LIVES_OPTIONS.map((lives) => (
+                                        <option key={lives} value={lives}>
+                                            {t('options.livesCount', {count: lives})}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="game-option">
+                                {t('options.ties')}
+                                <select value={rules.ties}
+                                        onChange={(event) => updateRules({ties: event.target.value})}>
+                                    {TIE_RULES.map((id) => (
+                                        <option key={id} value={id}>{t(`ties.${id}`)}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="game-option game-option-inline">
+                                <input type="checkbox" checked={rules.aceLow}
+                                       onChange={(event) => updateRules({aceLow: event.target.checked})}/>
+                                {t('options.aceLow')}
+                            </label>
+                            <label className="game-option game-option-inline">
+                                <input type="checkbox" checked={rules.blitz}
+                                       onChange={(event) => updateRules({blitz: event.target.checked})}/>
+                                {t('options.blitz', {seconds: BLITZ_SECONDS})}
+                            </label>
+                            <label className="game-option game-option-inline">
+                                <input type="checkbox" checked={assistEnabled}
+                                       onChange={(event) => setAssistEnabled(event.target.checked)}/>
+                                {t('options.assist')}
+                            </label>
+                            <label className="game-option game-option-inline">
+                                <input type="checkbox" checked={highContrastSuits}
+                                       onChange={(event) => toggleHighContrastSuits(event.target.checked)}/>
+                                {t('options.highContrastSuits')}
+                            </label>
+                            <div className="game-actions">
+                                <button ref={startButtonRef} className="primary" aria-keyshortcuts="Enter"
+                                        onClick={() => startGame('classic')}>
+                                    {t('actions.start')}
+                                </button>
+                                <button className="secondary" disabled={!canStartDaily}
+                                        onClick={() => startGame('daily')}>
+                                    {t('mode.daily')}
+                                </button>
+                                {accessToken && getApiBaseUrl() && (
+                                    <button className="secondary" disabled={rankedPending}
+                                            onClick={() => startGame('ranked')}>
+                                        {t('mode.ranked')}
+                                    </button>
+                                )}
+                                {canJoinSharedTable && (
+                                    <button className="secondary" onClick={() => setTableMode('shared')}>
+                                        {t('actions.sharedTable')}
+                                    </button>
+                                )}
+                                <button className="secondary" aria-pressed={showStats}
+                                        onClick={() => setShowStats((shown) => !shown)}>
+                                    {t(showStats ? 'actions.hideStats' : 'actions.showStats')}
+                                </button>
+                                <button className="secondary" aria-pressed={showAchievements}
+                                        onClick={() => setShowAchievements((shown) => !shown)}>
+                                    {t(showAchievements ? 'actions.hideAchievements' : 'actions.showAchievements')}
+                                </button>
+                            </div>
+                            <p className="daily-note">
+                                {isDailyLocked
+                                    ? (dailyResult.score === null
+                                        ? t('daily.started')
+                                        : t('daily.scored', {score: dailyResult.score}))
+                                    : t('daily.rules')}
+                            </p>
+                            {gameError && <p className="game-error">{t(gameError)}</p>}
+                            <form className="replay-import"
+                                  onSubmit={(event) => {
+                                      event.preventDefault();
+                                      openReplay(replayInput);
+                                  }}>
+                                <input type="text" value={replayInput} placeholder={t('replay.placeholder')}
+                                       aria-label={t('replay.codeLabel')}
+                                       onChange={(event) => setReplayInput(event.target.value)}/>
+                                <button className="secondary" type="submit" disabled={!replayInput.trim()}>
+                                    {t('replay.import')}
+                                </button>
+                            </form>
+                            {replayError && <p className="game-error">{t(replayError)}</p>}
                         </div>
                     ) : (
                         <>
@@ -394,39 +970,52 @@ function App() {
                                     <div className="card card-back" aria-hidden="true"/>
                                     <div className="card card-back offset" aria-hidden="true"/>
                                     <div className="card card-back offset" aria-hidden="true"/>
+                                    <span className="card-stack-count">
+                                        {t('table.cardsLeft', {count: cardsLeft})}
+                                        {gameState.shoe?.reshuffles > 0
+                                            && t('table.reshuffled', {count: gameState.shoe.reshuffles})}
+                                    </span>
                                 </div>
 
-                                <div className="card current-card" aria-live="polite">
-                                    <div
-                                        className={`card-face suit-${displayedSuitClass}${isFailureDisplay ? ' card-face-failed' : ''}`}>
-                                        <div className="card-corner top">
-                                            <span className="card-rank">{displayedCardRank}</span>
-                                            <span className="card-suit">{displayedCardSuit}</span>
-                                        </div>
-                                        <div className="card-center">
-                                            <span className="card-suit-large">{displayedCardSuit}</span>
-                                        </div>
-                                        <div className="card-corner bottom">
-                                            <span className="card-rank">{displayedCardRank}</span>
-                                            <span className="card-suit">{displayedCardSuit}</span>
-                                        </div>
-                                    </div>
-                                </div>
+                                <PlayingCard card={displayedCard} failed={isFailureDisplay} className="current-card"/>
 
                                 <div className="arrow-controls">
                                     <button
-                                        className="arrow arrow-up"
+                                        ref={higherButtonRef}
+                                        className={`arrow arrow-up${recommendedGuess === 'higher' ? ' arrow-recommended' : ''}`}
                                         disabled={!canGuess}
                                         onClick={() => makeGuess('higher')}
-                                        aria-label="Guess higher"
+                                        aria-label={t('actions.guessHigher')}
+                                        aria-keyshortcuts="ArrowUp H"
                                     >
                                         <span className="arrow-icon">▲</span>
                                     </button>
+                                    {currentOdds && (
+                                        <div className="arrow-odds">
+                                            {guessChoices.map((choice) => (
+                                                <span key={choice}>
+                                                    {t(`guess.${choice}`)} {formatPercent(currentOdds[choice])}
+                                                </span>
+                                            ))}
+                                        </div>
+                                    )}
+                                    {guessChoices.includes('same') && (
+                                        <button
+                                            className={`arrow arrow-same${recommendedGuess === 'same' ? ' arrow-recommended' : ''}`}
+                                            disabled={!canGuess}
+                                            onClick={() => makeGuess('same')}
+                                            aria-label={t('actions.guessSame')}
+                                            aria-keyshortcuts="S"
+                                        >
+                                            <span className="arrow-icon">=</span>
+                                        </button>
+                                    )}
                                     <button
-                                        className="arrow arrow-down"
+                                        className={`arrow arrow-down${recommendedGuess === 'lower' ? ' arrow-recommended' : ''}`}
                                         disabled={!canGuess}
                                         onClick={() => makeGuess('lower')}
-                                        aria-label="Guess lower"
+                                        aria-label={t('actions.guessLower')}
+                                        aria-keyshortcuts="ArrowDown L"
                                     >
                                         <span className="arrow-icon">▼</span>
                                     </button>
@@ -434,88 +1023,130 @@ function App() {
                             </div>
 
                             <div className="status">
-                                {gameState.lastRound?.outcome === 'correct' && canGuess && (
+                                {gameError && <p className="game-error">{t(gameError)}</p>}
+
+                                {gameState.lastRound?.outcome === 'correct' && gameState.status === 'guessing' && (
                                     <p className="success">
-                                        You were right! The next number was{' '}
-                                        <strong>
-                                            {gameState.lastRound.round.nextCard.rank.label}
-                                            {gameState.lastRound.round.nextCard.suit.symbol}
-                                        </strong>
-                                        .
+                                        {t('result.correct', {card: lastDealtCard})}
+                                        {gameState.scoring === 'pot'
+                                            && t('result.payout', {payout: <strong>+{lastRound.payout}</strong>})}
                                     </p>
                                 )}
 
-                                {gameState.lastRound?.outcome === 'failed' && (
-                                    <div className="failure">
-                                        <p>
-                                            Game over! You
-                                            guessed <strong>{toTitleCase(gameState.lastRound.round.guess)}</strong> but
-                                            the next
-                                            card was{' '}
-                                            <strong>
-                                                {gameState.lastRound.round.nextCard.rank.label}
-                                                {gameState.lastRound.round.nextCard.suit.symbol}
-                                            </strong>
-                                            .
-                                        </p>
+                                {gameState.lastRound?.outcome === 'push' && gameState.status === 'guessing' && (
+                                    <p className="push">{t('result.push', {card: lastDealtCard})}</p>
+                                )}
+
+                                {gameState.lastRound?.outcome === 'missed' && gameState.status === 'guessing' && (
+                                    <p className="missed">
+                                        {t('result.missed', {card: lastDealtCard})}
+                                        {t('result.livesLeft', {count: gameState.lives})}
+                                        {lostPotText}
+                                    </p>
+                                )}
+
+                                {canCashOut && (
+                                    <button className="primary cash-out" aria-keyshortcuts="C" onClick={cashOut}>
+                                        {t('actions.cashOut', {count: gameState.pot})}
+                                    </button>
+                                )}
+
+                                {gameState.status === 'finished' && (
+                                    <div className={isFailureDisplay ? 'failure' : 'cashed-out'}>
+                                        {isFailureDisplay ? (
+                                            <p>
+                                                {t('result.failed', {
+                                                    guess: <strong>{t(`guess.${lastRound.guess}`)}</strong>,
+                                                    card: lastDealtCard
+                                                })}
+                                                {lostPotText}
+                                            </p>
+                                        ) : gameState.lastRound?.outcome === 'time-up' ? (
+                                            <p>{t('result.timeUp')}</p>
+                                        ) : (
+                                            <p>{t('result.cashedOut')}</p>
+                                        )}
                                         <p>
-                                            Your final score: <strong>{gameState.score}</strong>
+                                            {t(gameState.scoring === 'pot' ? 'result.bankedTotal' : 'result.finalScore', {
+                                                score: <strong>{gameState.score}</strong>
+                                            })}
+                                            {gameState.assisted && <span className="round-tag">{t('tag.assisted')}</span>}
                                         </p>
-                                        <button className="primary" onClick={startGame}>
-                                            Play again
+                                        {gameState.mode === 'ranked' ? (
+                                            <p className={`game-seed fairness-${gameState.fairness.status}`}>
+                                                {fairnessText}
+                                            </p>
+                                        ) : (
+                                            <p className="game-seed">
+                                                {t(gameState.mode === 'daily' ? 'result.dailySeed' : 'result.seed', {
+                                                    date: dailyDate,
+                                                    seed: <code>{gameState.seed}</code>
+                                                })}
+                                            </p>
+                                        )}
+                                        <div className="replay-share">
+                                            <input type="text" readOnly value={replayCode} aria-label={t('replay.codeLabel')}
+                                                   onFocus={(event) => event.target.select()}/>
+                                            <button className="secondary" onClick={shareReplay}>
+                                                {t('replay.share')}
+                                            </button>
+                                        </div>
+                                        {replayShareStatus && <p className="game-seed">{replayShareStatus}</p>}
+                                        <button ref={playAgainButtonRef} className="primary" aria-keyshortcuts="Enter"
+                                                onClick={() => startGame('classic')}>
+                                            {t('actions.playAgain')}
                                         </button>
                                     </div>
                                 )}
                             </div>
 
                             <div className="scoreboard-section">
-                                <div className="scoreboard" ref={scoreboardRef}>
-                                    <div className="score-header">
-                                        <h3>Scoreboard</h3>
-                                        <div className="score-metrics">
-                                            <span className="score-highest">Highest: {highScore}</span>
-                                            <span className="score">Score: {gameState.score}</span>
-                                        </div>
-                                    </div>
-                                    <ul>
-                                        {gameState.history.length === 0 && <li>No rounds yet.</li>}
-                                        {gameState.history.map((round) => (
-                                            <li key={round.id}
-                                                className={round.success ? 'round-success' : 'round-fail'}>
-                                                <span>Round #{round.id}</span>
-                                                <span className="card-sequence">
-                        <span className={`card-text suit-${round.startingCard.suit.color}`}>
-                          {round.startingCard.rank.label}
-                            {round.startingCard.suit.symbol}
-                        </span>
-                                                    {' '}
-                                                    →
-                                                    {' '}
-                                                    <span className={`card-text suit-${round.nextCard.suit.color}`}>
-                          {round.nextCard.rank.label}
-                                                        {round.nextCard.suit.symbol}
-                        </span>
-                      </span>
-                                                <span>{toTitleCase(round.guess)}</span>
-                                                <span>{round.success ? 'Correct' : 'Incorrect'}</span>
-                                            </li>
-                                        ))}
-                                    </ul>
-                                </div>
+                                <Scoreboard game={gameState} highScore={highScore} secondsLeft={secondsLeft}/>
                                 {gameState.status === 'finished' && (
-                                    <button className="secondary" onClick={captureTable}>
-                                        Export table
-                                    </button>
+                                    <div className="export-menu">
+                                        <button className="secondary" aria-keyshortcuts="E"
+                                                onClick={() => exportHistory('json')}>
+                                            {t('export.json')}
+                                        </button>
+                                        <button className="secondary" onClick={() => exportHistory('csv')}>
+                                            {t('export.csv')}
+                                        </button>
+                                        <button className="secondary" onClick={() => exportScoreCard('download')}>
+                                            {t('export.scoreCard')}
+                                        </button>
+                                        {connectionState.status === 'connected' && discordSdk && accessToken && (
+                                            <button className="secondary" onClick={() => exportScoreCard('discord')}>
+                                                {t('export.discord')}
+                                            </button>
+                                        )}
+                                    </div>
                                 )}
+                                {exportStatus && <p className="game-seed">{exportStatus}</p>}
                             </div>
                         </>
                     )}
+                    {isSoloTable && <KeyboardHint shortcuts={shortcutHints}/>}
                 </div>
             </section>
 
+            {gameState.status === 'idle' && tableMode === 'solo' && !replay && showStats && (
+                <StatsPanel playerId={playerId} refreshKey={statsVersion} rules={rules}/>
+            )}
+
+            {gameState.status === 'idle' && tableMode === 'solo' && !replay && showAchievements && (
+                <AchievementsPanel playerId={playerId} refreshKey={achievementsVersion}/>
+            )}
+
+            {gameState.status === 'idle' && tableMode === 'solo' && !replay && getApiBaseUrl() && (
+                <Leaderboard guildId={discordContext?.guildId ?? null} playerId={scorerId}
+                             refreshKey={leaderboardVersion} rules={rules}/>
+            )}
+
+            <AchievementToasts achievements={achievementToasts} onDismiss={dismissAchievementToast}/>
+
             <footer className="footer">
                 <p>
-                    Powered by YOINC.
+                    {t('footer.poweredBy')}
                 </p>
             </footer>
         </div>
@@ -0,0 +1,73 @@
+import {ACHIEVEMENTS} from './definitions';
+
+const ACHIEVEMENTS_STORAGE_KEY_PREFIX = 'streets_achievements_';
+const ACHIEVEMENTS_VERSION = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const storageKey = (userId) => `${ACHIEVEMENTS_STORAGE_KEY_PREFIX}${userId ?? 'local'}`;
+
+const emptyRecord = () => ({version: ACHIEVEMENTS_VERSION, unlocked: {}, dailyDates: []});
+
+export const readAchievements = (userId) => {
+    if (typeof window === 'undefined') {
+        return emptyRecord();
+    }
+
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(storageKey(userId)));
+        return stored?.version === ACHIEVEMENTS_VERSION ? stored : emptyRecord();
+    } catch (error) {
+        return emptyRecord();
+    }
+};
+
+const writeAchievements = (userId, record) => {
+    if (typeof window !== 'undefined') {
+        window.localStorage.setItem(storageKey(userId), JSON.stringify(record));
+    }
+};
+
+// Consecutive days, ending with the most recent one, on which the Daily Street was played
+const dailyStreak = (dates) => {
+    const days = [...new Set(dates)].sort().reverse();
+    let streak = days.length > 0 ? 1 : 0;
+    while (streak < days.length && Date.parse(days[streak - 1]) - Date.parse(days[streak]) === DAY_MS) {
+        streak += 1;
+    }
+    return streak;
+};
+
+// Checks every achievement registered for the event ('guess' or 'finish') and stores
+// the ones unlocked for the first time, which are returned for the toasts
+export const evaluateAchievements = (userId, event, {game, dailyDate = null}) => {
+    const record = readAchievements(userId);
+    const dailyDates = event === 'finish' && game.mode === 'daily' && dailyDate && !record.dailyDates.includes(dailyDate)
+        ? [...record.dailyDates, dailyDate].slice(-30)
+        : record.dailyDates;
+
+    const context = {
+        game,
+        round: game.history[game.history.length - 1] ?? null,
+        progress: {dailyStreak: dailyStreak(dailyDates)}
+    };
+
+    const unlockedNow = ACHIEVEMENTS.filter((achievement) =>
+        achievement.on === event
+        && !record.unlocked[achievement.id]
+        && (event !== 'guess' || context.round)
+        && achievement.check(context));
+
+    if (unlockedNow.length > 0 || dailyDates !== record.dailyDates) {
+        const unlockedAt = new Date().toISOString();
+        writeAchievements(userId, {
+            ...record,
+            dailyDates,
+            unlocked: {
+                ...record.unlocked,
+                ...Object.fromEntries(unlockedNow.map(({id}) => [id, unlockedAt]))
+            }
+        });
+    }
+
+    return unlockedNow;
+};
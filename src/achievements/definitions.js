@@ -0,0 +1,77 @@
+import {currentStreak} from '../game/streaks';
+
+// Every achievement is plain data plus a check. `on` says when it is checked: after
+// each guess or once a game is finished. Checks get {game, round, progress}, where
+// round is the latest round and progress is what the player's history tracks across
+// games (see achievements.js). To add an achievement, add an entry here and its
+// achievement.<id>.title and .description to the message catalogs in src/i18n.
+
+const streakOf = (length) => ({game}) => currentStreak(game.history).length >= length;
+
+const suitsInStreak = ({game}) => new Set(currentStreak(game.history)
+    .flatMap((round) => [round.startingCard.suit.name, round.nextCard.suit.name])).size;
+
+export const ACHIEVEMENTS = [
+    {
+        id: 'first-game',
+        on: 'finish',
+        check: () => true
+    },
+    {
+        id: 'streak-5',
+        on: 'guess',
+        check: streakOf(5)
+    },
+    {
+        id: 'streak-10',
+        on: 'guess',
+        check: streakOf(10)
+    },
+    {
+        id: 'streak-20',
+        on: 'guess',
+        check: streakOf(20)
+    },
+    {
+        id: 'long-shot',
+        on: 'guess',
+        check: ({round}) => round.success && typeof round.odds === 'number' && round.odds < 0.25
+    },
+    {
+        id: 'ace-run',
+        on: 'guess',
+        check: ({game}) => game.history
+            .filter((round) => round.success && round.guess === 'lower' && round.startingCard.rank.label === 'A')
+            .length >= 2
+    },
+    {
+        id: 'four-suits',
+        on: 'guess',
+        check: (context) => suitsInStreak(context) === 4
+    },
+    {
+        id: 'called-it',
+        on: 'guess',
+        check: ({round}) => round.success && round.guess === 'same'
+    },
+    {
+        id: 'cash-50',
+        on: 'finish',
+        check: ({game}) => game.scoring === 'pot' && game.score >= 50
+    },
+    {
+        id: 'blitz-15',
+        on: 'finish',
+        check: ({game}) => Boolean(game.rules?.blitz) && game.score >= 15
+    },
+    {
+        id: 'daily-3',
+        on: 'finish',
+        check: ({progress}) => progress.dailyStreak >= 3
+    },
+    {
+        id: 'daily-7',
+        on: 'finish',
+        check: ({progress}) => progress.dailyStreak >= 7
+    }
+];
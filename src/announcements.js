@@ -0,0 +1,40 @@
+import {cardName} from './i18n/gameText';
+
+// Spoken text for screen readers. The card glyphs on screen ("7♥") are read out
+// inconsistently, so cards and results are announced in words instead.
+
+// What to announce after the game last changed: a new game, a guess or its end
+export const gameAnnouncement = (t, game) => {
+    if (game.status === 'guessing' && game.history.length === 0) {
+        return t('announce.newGame', {card: cardName(t, game.currentCard)});
+    }
+
+    const outcome = game.lastRound?.outcome;
+    if (outcome === 'cashed-out') {
+        return t('announce.cashedOut', {count: game.score});
+    }
+    if (outcome === 'time-up') {
+        return t('announce.timeUp', {score: game.score});
+    }
+
+    const round = game.lastRound?.round;
+    if (!round) {
+        return null;
+    }
+
+    const card = cardName(t, round.nextCard);
+    switch (outcome) {
+        case 'correct':
+            return game.scoring === 'pot'
+                ? t('announce.correctPot', {card, pot: game.pot})
+                : t('announce.correct', {card, score: game.score});
+        case 'push':
+            return t('announce.push', {card});
+        case 'missed':
+            return t('announce.missed', {card, count: game.lives});
+        case 'failed':
+            return t('announce.failed', {card, score: game.score});
+        default:
+            return null;
+    }
+};
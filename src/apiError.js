@@ -0,0 +1,27 @@
+const STATUS_CODES = {
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not-found',
+    409: 'conflict',
+    429: 'rate-limited'
+};
+
+// The server answers in English, so the app shows its own text for the kind of failure
+// (the errors.* messages) and only logs what the server said. status is null when the
+// server couldn't be reached at all.
+export class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = status === null ? 'network' : STATUS_CODES[status] ?? (status >= 500 ? 'server' : 'rejected');
+    }
+}
+
+export const fetchApi = async (url, options) => {
+    try {
+        return await fetch(url, options);
+    } catch (error) {
+        throw new ApiError(null, error.message);
+    }
+};
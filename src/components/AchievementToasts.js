@@ -0,0 +1,33 @@
+import {useEffect} from 'react';
+import {useI18n} from '../i18n/I18nProvider';
+
+const TOAST_DURATION_MS = 4000;
+
+function AchievementToast({achievement, onDismiss}) {
+    const {t} = useI18n();
+
+    useEffect(() => {
+        const timer = setTimeout(() => onDismiss(achievement.id), TOAST_DURATION_MS);
+        return () => clearTimeout(timer);
+    }, [achievement.id, onDismiss]);
+
+    return (
+        <li className="achievement-toast">
+            <span className="achievement-toast-label">{t('achievements.toast')}</span>
+            <strong>{t(`achievement.${achievement.id}.title`)}</strong>
+            <span>{t(`achievement.${achievement.id}.description`)}</span>
+        </li>
+    );
+}
+
+function AchievementToasts({achievements, onDismiss}) {
+    return (
+        <ul className="achievement-toasts" aria-live="polite">
+            {achievements.map((achievement) => (
+                <AchievementToast key={achievement.id} achievement={achievement} onDismiss={onDismiss}/>
+            ))}
+        </ul>
+    );
+}
+
+export default AchievementToasts;
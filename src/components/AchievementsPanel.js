@@ -0,0 +1,46 @@
+import {useEffect, useState} from 'react';
+import {ACHIEVEMENTS} from '../achievements/definitions';
+import {readAchievements} from '../achievements/achievements';
+import {useI18n} from '../i18n/I18nProvider';
+
+function AchievementsPanel({playerId, refreshKey}) {
+    const {t} = useI18n();
+    const [record, setRecord] = useState(() => readAchievements(playerId));
+
+    useEffect(() => {
+        setRecord(readAchievements(playerId));
+    }, [playerId, refreshKey]);
+
+    const unlockedCount = ACHIEVEMENTS.filter(({id}) => record.unlocked[id]).length;
+
+    return (
+        <section className="panel achievements">
+            <div className="panel-body">
+                <div className="leaderboard-header">
+                    <h2>{t('achievements.title')}</h2>
+                    <span className="game-seed">
+                        {t('achievements.progress', {unlocked: unlockedCount, total: ACHIEVEMENTS.length})}
+                    </span>
+                </div>
+                <ul className="achievement-gallery">
+                    {ACHIEVEMENTS.map(({id}) => {
+                        const unlockedAt = record.unlocked[id];
+                        return (
+                            <li key={id} className={unlockedAt ? 'achievement-unlocked' : 'achievement-locked'}>
+                                <strong>{t(`achievement.${id}.title`)}</strong>
+                                <span>{t(`achievement.${id}.description`)}</span>
+                                <span className="achievement-date">
+                                    {unlockedAt
+                                        ? t('achievements.unlockedOn', {date: unlockedAt.slice(0, 10)})
+                                        : t('achievements.locked')}
+                                </span>
+                            </li>
+                        );
+                    })}
+                </ul>
+            </div>
+        </section>
+    );
+}
+
+export default AchievementsPanel;
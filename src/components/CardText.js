@@ -0,0 +1,17 @@
+import {useI18n} from '../i18n/I18nProvider';
+import {cardLabel, cardName} from '../i18n/gameText';
+
+// A card written inline, e.g. "7♥"; screen readers get its name instead of the glyphs.
+// Suit colours are meant for light backgrounds, so text on the table leaves them out.
+function CardText({card, colored = true}) {
+    const {t} = useI18n();
+
+    return (
+        <span className={colored ? `card-text suit-${card.suit.color} suit-${card.suit.name}` : undefined}>
+            <span aria-hidden="true">{cardLabel(t, card)}</span>
+            <span className="visually-hidden">{cardName(t, card)}</span>
+        </span>
+    );
+}
+
+export default CardText;
@@ -0,0 +1,18 @@
+// The keyboard shortcuts available right now, as [keys, action] pairs
+function KeyboardHint({shortcuts}) {
+    if (shortcuts.length === 0) {
+        return null;
+    }
+
+    return (
+        <p className="keyboard-hint">
+            {shortcuts.map(([keys, action]) => (
+                <span key={action}>
+                    {keys.map((key) => <kbd key={key}>{key}</kbd>)} {action}
+                </span>
+            ))}
+        </p>
+    );
+}
+
+export default KeyboardHint;
@@ -0,0 +1,119 @@
+import {useEffect, useState} from 'react';
+import {boardFor, fetchLeaderboard, LEADERBOARD_BOARDS, LEADERBOARD_PERIODS} from '../leaderboard';
+import {DEFAULT_SCORING, SCORING_MODES} from '../game/scoring';
+import {DEFAULT_RULES, rulesKey} from '../game/rules';
+import {useI18n} from '../i18n/I18nProvider';
+
+function Leaderboard({guildId, playerId, refreshKey, rules = DEFAULT_RULES}) {
+    const {t} = useI18n();
+    const [mode, setMode] = useState(LEADERBOARD_BOARDS[0]);
+    const [scoring, setScoring] = useState(DEFAULT_SCORING);
+    const [assisted, setAssisted] = useState(false);
+    const [withRules, setWithRules] = useState(false);
+    const [period, setPeriod] = useState('all');
+    const [scope, setScope] = useState('guild');
+    const [state, setState] = useState({status: 'loading', entries: [], error: null});
+
+    const effectiveGuildId = scope === 'guild' ? guildId : null;
+    // The Daily Street is always played by the standard rules, as a plain streak without assist
+    const isDaily = mode === 'daily';
+    const hasVariant = rulesKey(rules) !== '' && !isDaily;
+    const board = isDaily ? mode : boardFor({mode, scoring, assisted, rules: hasVariant && withRules ? rules : null});
+
+    useEffect(() => {
+        let cancelled = false;
+        setState((prev) => ({...prev, status: 'loading', error: null}));
+
+        fetchLeaderboard({board, period, guildId: effectiveGuildId})
+            .then((entries) => {
+                if (!cancelled) {
+                    setState({status: 'ready', entries, error: null});
+                }
+            })
+            .catch((error) => {
+                if (!cancelled) {
+                    console.error('Failed to load the leaderboard:', error);
+                    setState({status: 'error', entries: [], error: `errors.${error.code ?? 'unexpected'}`});
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [board, period, effectiveGuildId, refreshKey]);
+
+    return (
+        <section className="panel leaderboard">
+            <div className="panel-body">
+                <div className="leaderboard-header">
+                    <h2>{t('leaderboard.title')}</h2>
+                    <div className="leaderboard-filters">
+                        <select value={mode} onChange={(event) => setMode(event.target.value)}
+                                aria-label={t('leaderboard.mode')}>
+                            {LEADERBOARD_BOARDS.map((id) => (
+                                <option key={id} value={id}>{t(`mode.${id}`)}</option>
+                            ))}
+                        </select>
+                        {!isDaily && (
+                            <select value={scoring} onChange={(event) => setScoring(event.target.value)}
+                                    aria-label={t('leaderboard.scoring')}>
+                                {SCORING_MODES.map((id) => (
+                                    <option key={id} value={id}>{t(`scoring.${id}.title`)}</option>
+                                ))}
+                            </select>
+                        )}
+                        <select value={period} onChange={(event) => setPeriod(event.target.value)}
+                                aria-label={t('leaderboard.period')}>
+                            {LEADERBOARD_PERIODS.map((id) => (
+                                <option key={id} value={id}>{t(`period.${id}`)}</option>
+                            ))}
+                        </select>
+                        {guildId && (
+                            <select value={scope} onChange={(event) => setScope(event.target.value)}
+                                    aria-label={t('leaderboard.scope')}>
+                                <option value="guild">{t('leaderboard.thisServer')}</option>
+                                <option value="global">{t('leaderboard.everyone')}</option>
+                            </select>
+                        )}
+                        {!isDaily && (
+                            <label className="leaderboard-toggle">
+                                <input type="checkbox" checked={assisted}
+                                       onChange={(event) => setAssisted(event.target.checked)}/>
+                                {t('tag.assisted')}
+                            </label>
+                        )}
+                        {hasVariant && (
+                            <label className="leaderboard-toggle">
+                                <input type="checkbox" checked={withRules}
+                                       onChange={(event) => setWithRules(event.target.checked)}/>
+                                {t('leaderboard.myRules')}
+                            </label>
+                        )}
+                    </div>
+                </div>
+
+                {state.status === 'loading' && <p>{t('leaderboard.loading')}</p>}
+                {state.status === 'error' && <p className="leaderboard-error">{t(state.error)}</p>}
+                {state.status === 'ready' && state.entries.length === 0 && <p>{t('leaderboard.empty')}</p>}
+                {state.entries.length > 0 && (
+                    <ol className="leaderboard-entries">
+                        {state.entries.map((entry) => (
+                            <li key={entry.userId}
+                                className={entry.userId === playerId ? 'leaderboard-entry-self' : undefined}>
+                                <span className="leaderboard-rank">#{entry.rank}</span>
+                                {entry.avatarUrl ? (
+                                    <img alt="" className="discord-avatar" src={entry.avatarUrl} width={32}
+                                         height={32}/>
+                                ) : <span className="discord-avatar"/>}
+                                <span className="leaderboard-name">{entry.name}</span>
+                                <span className="leaderboard-score">{entry.score}</span>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+            </div>
+        </section>
+    );
+}
+
+export default Leaderboard;
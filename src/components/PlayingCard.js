@@ -0,0 +1,31 @@
+import {useI18n} from '../i18n/I18nProvider';
+import {cardName, rankLabel} from '../i18n/gameText';
+
+function PlayingCard({card, failed = false, className = ''}) {
+    const {t} = useI18n();
+    const rank = card ? rankLabel(t, card.rank) : '—';
+    const suit = card?.suit.symbol ?? '♠';
+    const suitClass = card ? `suit-${card.suit.color} suit-${card.suit.name}` : 'suit-black';
+
+    // Keyed by the card so every newly dealt card plays the deal animation
+    return (
+        <div key={card ? `${rank}${suit}` : 'none'} className={`card ${className}`.trim()} role="img"
+             aria-label={card ? cardName(t, card) : t('card.none')}>
+            <div className={`card-face ${suitClass}${failed ? ' card-face-failed' : ''}`} aria-hidden="true">
+                <div className="card-corner top">
+                    <span className="card-rank">{rank}</span>
+                    <span className="card-suit">{suit}</span>
+                </div>
+                <div className="card-center">
+                    <span className="card-suit-large">{suit}</span>
+                </div>
+                <div className="card-corner bottom">
+                    <span className="card-rank">{rank}</span>
+                    <span className="card-suit">{suit}</span>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default PlayingCard;
@@ -0,0 +1,113 @@
+import {useEffect, useState} from 'react';
+import PlayingCard from './PlayingCard';
+import Scoreboard from './Scoreboard';
+import {useI18n} from '../i18n/I18nProvider';
+import {cardLabel} from '../i18n/gameText';
+
+const AUTOPLAY_INTERVAL_MS = 1200;
+
+const describeFrame = (t, frame) => {
+    const round = frame.lastRound?.round;
+    switch (frame.lastRound?.outcome) {
+        case 'cashed-out':
+            return t('replay.frame.cashedOut', {count: frame.score});
+        case 'time-up':
+            return t('replay.frame.timeUp', {count: frame.score});
+        case undefined:
+            return t('replay.frame.first', {card: cardLabel(t, frame.currentCard)});
+        default:
+            return t('replay.frame.round', {
+                guess: t(`guess.${round.guess}`),
+                start: cardLabel(t, round.startingCard),
+                next: cardLabel(t, round.nextCard),
+                outcome: t(`replay.outcome.${frame.lastRound.outcome}`)
+            });
+    }
+};
+
+function ReplayViewer({replay, onClose}) {
+    const {t} = useI18n();
+    const {frames, mode} = replay;
+    const [step, setStep] = useState(0);
+    const [playing, setPlaying] = useState(false);
+
+    const lastStep = frames.length - 1;
+    const frame = frames[step];
+
+    useEffect(() => {
+        if (!playing) {
+            return;
+        }
+        if (step >= lastStep) {
+            setPlaying(false);
+            return;
+        }
+
+        const timer = setTimeout(() => setStep((current) => Math.min(current + 1, lastStep)), AUTOPLAY_INTERVAL_MS);
+        return () => clearTimeout(timer);
+    }, [playing, step, lastStep]);
+
+    const togglePlaying = () => {
+        if (!playing && step >= lastStep) {
+            setStep(0);
+        }
+        setPlaying(!playing);
+    };
+
+    return (
+        <div className="replay-viewer">
+            <div className="replay-header">
+                <h3>
+                    {t('replay.title')}
+                    <span className="round-tag">{t(`mode.${mode}`)}</span>
+                    {frame.assisted && <span className="round-tag">{t('tag.assisted')}</span>}
+                    {!replay.seed && <span className="round-tag unverified-tag">{t('replay.unverified')}</span>}
+                </h3>
+                <button className="secondary" onClick={onClose}>
+                    {t('replay.close')}
+                </button>
+            </div>
+
+            <div className="table">
+                <PlayingCard card={frame.currentCard}
+                             failed={frame.status === 'finished' && frame.lastRound?.outcome === 'failed'}
+                             className="current-card"/>
+            </div>
+
+            <p className="replay-step" aria-live="polite">{describeFrame(t, frame)}</p>
+
+            <div className="replay-controls">
+                <button className="secondary" disabled={step === 0}
+                        onClick={() => {
+                            setPlaying(false);
+                            setStep(step - 1);
+                        }}>
+                    {t('replay.previous')}
+                </button>
+                <span className="replay-progress">{t('replay.step', {step, total: lastStep})}</span>
+                <button className="primary" onClick={togglePlaying}>
+                    {t(playing ? 'replay.pause' : 'replay.autoplay')}
+                </button>
+                <button className="secondary" disabled={step === lastStep}
+                        onClick={() => {
+                            setPlaying(false);
+                            setStep(step + 1);
+                        }}>
+                    {t('replay.next')}
+                </button>
+            </div>
+
+            <p className={replay.seed ? 'game-seed' : 'game-seed fairness-failed'}>
+                {replay.seed
+                    ? t('replay.seeded', {seed: <code>{replay.seed}</code>})
+                    : t('replay.serverDealt')}
+            </p>
+
+            <div className="scoreboard-section">
+                <Scoreboard game={frame}/>
+            </div>
+        </div>
+    );
+}
+
+export default ReplayViewer;
@@ -0,0 +1,79 @@
+import CardText from './CardText';
+import {formatPercent} from '../format';
+import {useI18n} from '../i18n/I18nProvider';
+
+const roundClass = (round) => {
+    if (round.success) {
+        return 'round-success';
+    }
+    return round.result === 'push' ? 'round-push' : 'round-fail';
+};
+
+const roundResult = (round) => {
+    if (round.success) {
+        return 'round.correct';
+    }
+    return round.result === 'push' ? 'round.push' : 'round.incorrect';
+};
+
+function Scoreboard({game, highScore = null, secondsLeft = null}) {
+    const {t} = useI18n();
+    const isAgainstOdds = (round) => Boolean(game.assisted) && Boolean(round.favored) && round.guess !== round.favored;
+
+    return (
+        <div className="scoreboard">
+            <div className="score-header">
+                <h3>{t('scoreboard.title')}</h3>
+                <div className="score-metrics">
+                    {highScore !== null && (
+                        <span className="score-highest">{t('scoreboard.highest', {score: highScore})}</span>
+                    )}
+                    {game.rules?.lives > 1 && (
+                        <span className="score-lives">{t('scoreboard.lives', {count: game.lives})}</span>
+                    )}
+                    {secondsLeft !== null && (
+                        <span className={`score-timer${secondsLeft <= 10 ? ' score-timer-low' : ''}`}>
+                            {t('scoreboard.time', {seconds: secondsLeft})}
+                        </span>
+                    )}
+                    {game.scoring === 'pot' && game.status === 'guessing' ? (
+                        <span className="score">{t('scoreboard.pot', {pot: game.pot})}</span>
+                    ) : (
+                        <span className="score">
+                            {t(game.scoring === 'pot' ? 'scoreboard.banked' : 'scoreboard.score', {score: game.score})}
+                        </span>
+                    )}
+                </div>
+            </div>
+            <ul>
+                {game.history.length === 0 && <li>{t('scoreboard.empty')}</li>}
+                {game.history.map((round) => (
+                    <li key={round.id}
+                        className={`${roundClass(round)}${isAgainstOdds(round) ? ' round-against-odds' : ''}`}>
+                        <span>{t('scoreboard.round', {id: round.id})}</span>
+                        <span className="card-sequence">
+                            <CardText card={round.startingCard}/>
+                            {' '}
+                            →
+                            {' '}
+                            <CardText card={round.nextCard}/>
+                        </span>
+                        <span>
+                            {t(`guess.${round.guess}`)}
+                            {game.assisted && typeof round.odds === 'number' && ` (${formatPercent(round.odds)})`}
+                        </span>
+                        <span>
+                            {t(roundResult(round))}
+                            {game.scoring === 'pot' && round.success && ` +${round.payout}`}
+                            {isAgainstOdds(round) && (
+                                <span className="round-tag">{t('round.againstOdds')}</span>
+                            )}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+}
+
+export default Scoreboard;
@@ -0,0 +1,178 @@
+import PlayingCard from './PlayingCard';
+import CardText from './CardText';
+import {remainingCards} from '../game/deck';
+import {useSharedTable} from '../multiplayer/useSharedTable';
+import {useI18n} from '../i18n/I18nProvider';
+
+const CONNECTION_MESSAGES = ['connecting', 'reconnecting', 'closed'];
+
+function SharedTable({instanceId, player, accessToken, onLeave}) {
+    const {t} = useI18n();
+    const {connection, error, hostId, isHost, players, table, start, guess, reset} = useSharedTable({
+        instanceId,
+        player,
+        accessToken,
+        enabled: true
+    });
+
+    const nameOf = (playerId) =>
+        table.seats.find((seat) => seat.id === playerId)?.name
+        ?? players.find((candidate) => candidate.id === playerId)?.name
+        ?? t('sharedTable.someone');
+
+    const isMyTurn = table.status === 'guessing' && table.turn === player.id;
+    const cardsLeft = remainingCards(table.shoe);
+    const hostName = players.find(({id}) => id === hostId)?.name;
+    const lastRound = table.lastRound?.round;
+
+    return (
+        <div className="shared-table">
+            <div className="shared-table-header">
+                <div>
+                    <h3>{t('sharedTable.title')}</h3>
+                    <p className="shared-table-meta">
+                        {CONNECTION_MESSAGES.includes(connection)
+                            ? t(`sharedTable.${connection}`)
+                            : hostName ? t('sharedTable.hostedBy', {name: hostName}) : t('sharedTable.waitingForHost')}
+                    </p>
+                </div>
+                <button className="secondary" onClick={onLeave}>
+                    {t('sharedTable.leave')}
+                </button>
+            </div>
+
+            {error && <p className="shared-table-error">{t(`sharedTable.error.${error}`)}</p>}
+
+            <ul className="table-players">
+                {(table.status === 'waiting' ? players : table.seats).map((seat) => {
+                    const presence = players.find(({id}) => id === seat.id);
+                    return (
+                        <li key={seat.id}
+                            className={`table-player${table.turn === seat.id ? ' table-player-turn' : ''}`}>
+                            {seat.avatarUrl && (
+                                <img alt="" className="discord-avatar" src={seat.avatarUrl} width={28} height={28}/>
+                            )}
+                            <span className="table-player-name">
+                                {seat.id === player.id ? t('sharedTable.you', {name: seat.name}) : seat.name}
+                            </span>
+                            {seat.status && (
+                                <span className={`table-player-status seat-${seat.status}`}>
+                                    {t(`sharedTable.seat.${seat.status}`)} · {seat.score}
+                                </span>
+                            )}
+                            {presence && !presence.connected && (
+                                <span className="table-player-status seat-offline">{t('sharedTable.seatReconnecting')}</span>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+
+            {table.status === 'waiting' ? (
+                <div className="empty-state">
+                    <p>
+                        {t(isHost ? 'sharedTable.intro' : 'sharedTable.waitingForDeal')}
+                    </p>
+                    {isHost && (
+                        <button className="primary" onClick={start} disabled={connection !== 'connected'}>
+                            {t('sharedTable.deal')}
+                        </button>
+                    )}
+                </div>
+            ) : (
+                <>
+                    <div className="table">
+                        <div className="card-stack">
+                            <div className="card card-back" aria-hidden="true"/>
+                            <div className="card card-back offset" aria-hidden="true"/>
+                            <div className="card card-back offset" aria-hidden="true"/>
+                            <span className="card-stack-count">
+                                {t('table.cardsLeft', {count: cardsLeft})}
+                            </span>
+                        </div>
+
+                        <PlayingCard card={table.currentCard} className="current-card"
+                                     failed={table.status === 'finished' && table.lastRound?.outcome === 'failed'}/>
+
+                        <div className="arrow-controls">
+                            <button
+                                className="arrow arrow-up"
+                                disabled={!isMyTurn}
+                                onClick={() => guess('higher')}
+                                aria-label={t('actions.guessHigher')}
+                            >
+                                <span className="arrow-icon">▲</span>
+                            </button>
+                            <button
+                                className="arrow arrow-down"
+                                disabled={!isMyTurn}
+                                onClick={() => guess('lower')}
+                                aria-label={t('actions.guessLower')}
+                            >
+                                <span className="arrow-icon">▼</span>
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="status">
+                        {lastRound && (
+                            <p className={lastRound.success ? 'success' : 'failure'}>
+                                {t(lastRound.success ? 'sharedTable.lastRound' : 'sharedTable.lastRoundOut', {
+                                    name: nameOf(lastRound.playerId),
+                                    guess: t(`guess.${lastRound.guess}`),
+                                    card: <strong><CardText card={lastRound.nextCard} colored={false}/></strong>
+                                })}
+                            </p>
+                        )}
+
+                        {table.status === 'guessing' && (
+                            <p>
+                                {isMyTurn
+                                    ? t('sharedTable.yourTurn')
+                                    : t('sharedTable.waitingFor', {name: nameOf(table.turn)})}
+                            </p>
+                        )}
+
+                        {table.status === 'finished' && (
+                            <div className="failure">
+                                <p>
+                                    {table.winnerId
+                                        ? t('sharedTable.winner', {name: <strong>{nameOf(table.winnerId)}</strong>})
+                                        : t('sharedTable.everyoneOut')}
+                                </p>
+                                {isHost && (
+                                    <button className="primary" onClick={reset}>
+                                        {t('sharedTable.newTable')}
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                    </div>
+
+                    <div className="scoreboard">
+                        <div className="score-header">
+                            <h3>{t('sharedTable.history')}</h3>
+                        </div>
+                        <ul>
+                            {table.history.length === 0 && <li>{t('scoreboard.empty')}</li>}
+                            {table.history.map((round) => (
+                                <li key={round.id} className={round.success ? 'round-success' : 'round-fail'}>
+                                    <span>{t('sharedTable.round', {id: round.id, name: nameOf(round.playerId)})}</span>
+                                    <span className="card-sequence">
+                                        <CardText card={round.startingCard}/>
+                                        {' '}→{' '}
+                                        <CardText card={round.nextCard}/>
+                                    </span>
+                                    <span>{t(`guess.${round.guess}`)}</span>
+                                    <span>{t(round.success ? 'round.correct' : 'round.out')}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default SharedTable;
@@ -0,0 +1,139 @@
+import {useEffect, useState} from 'react';
+import {RANKS} from '../game/cards';
+import {DEFAULT_RULES, rulesKey} from '../game/rules';
+import {DEFAULT_SCORING, SCORING_MODES} from '../game/scoring';
+import {readStats, resetStats, summarizeStats} from '../stats';
+import {downloadFile} from '../exportGame';
+import {formatPercent} from '../format';
+import {useI18n} from '../i18n/I18nProvider';
+import {rankLabel} from '../i18n/gameText';
+
+const DIRECTIONS = ['higher', 'lower', 'same'];
+
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+
+function StatsPanel({playerId, refreshKey, rules = DEFAULT_RULES}) {
+    const {t} = useI18n();
+    const [stats, setStats] = useState(() => readStats(playerId));
+    const [scoring, setScoring] = useState(DEFAULT_SCORING);
+    const [withRules, setWithRules] = useState(false);
+
+    useEffect(() => {
+        setStats(readStats(playerId));
+    }, [playerId, refreshKey]);
+
+    const hasVariant = rulesKey(rules) !== '';
+    const summary = summarizeStats(stats, {scoring, rules: hasVariant && withRules ? rulesKey(rules) : ''});
+    const directions = DIRECTIONS.filter((direction) =>
+        Object.values(stats.accuracy).some((totals) => totals[direction]));
+    const tallest = Math.max(1, ...summary.histogram.map(({count}) => count));
+
+    const bucketLabel = ({from, to}) => (from === to ? String(from) : t('stats.range', {from, to}));
+
+    const reset = () => {
+        if (window.confirm(t('stats.resetConfirm'))) {
+            resetStats(playerId);
+            setStats(readStats(playerId));
+        }
+    };
+
+    const exportStats = () => {
+        downloadFile(`streets-stats-${new Date().toISOString().slice(0, 10)}.json`,
+            JSON.stringify(stats, null, 2), 'application/json');
+    };
+
+    return (
+        <section className="panel stats">
+            <div className="panel-body">
+                <div className="leaderboard-header">
+                    <h2>{t('stats.title')}</h2>
+                    <div className="leaderboard-filters">
+                        <select value={scoring} onChange={(event) => setScoring(event.target.value)}
+                                aria-label={t('leaderboard.scoring')}>
+                            {SCORING_MODES.map((id) => (
+                                <option key={id} value={id}>{t(`scoring.${id}.title`)}</option>
+                            ))}
+                        </select>
+                        {hasVariant && (
+                            <label className="leaderboard-toggle">
+                                <input type="checkbox" checked={withRules}
+                                       onChange={(event) => setWithRules(event.target.checked)}/>
+                                {t('leaderboard.myRules')}
+                            </label>
+                        )}
+                        <button className="secondary" onClick={exportStats}>{t('stats.export')}</button>
+                        <button className="secondary" onClick={reset} disabled={stats.readOnly}>
+                            {t('stats.reset')}
+                        </button>
+                    </div>
+                </div>
+
+                {stats.readOnly && <p className="game-seed">{t('stats.readOnly')}</p>}
+
+                <dl className="stats-summary">
+                    <div><dt>{t('stats.gamesPlayed')}</dt><dd>{summary.gamesPlayed}</dd></div>
+                    <div><dt>{t('stats.average')}</dt><dd>{formatNumber(summary.average)}</dd></div>
+                    <div><dt>{t('stats.median')}</dt><dd>{formatNumber(summary.median)}</dd></div>
+                    <div><dt>{t('stats.best')}</dt><dd>{summary.best}</dd></div>
+                    <div><dt>{t('stats.longestStreak')}</dt><dd>{summary.longestStreak}</dd></div>
+                </dl>
+
+                {summary.histogram.length === 0 ? (
+                    <p>{t('stats.empty')}</p>
+                ) : (
+                    <>
+                        <h3>{t('stats.distribution')}</h3>
+                        <div className="stats-histogram" role="img"
+                             aria-label={summary.histogram.map((bucket) =>
+                                 t('stats.bucket', {range: bucketLabel(bucket), count: bucket.count})).join(', ')}>
+                            {summary.histogram.map(({from, to, count}) => (
+                                <div key={from} className="stats-bar" title={t('stats.games', {count})}>
+                                    <span className="stats-bar-fill" style={{height: `${(count / tallest) * 100}%`}}/>
+                                    <span className="stats-bar-label">{from === to ? from : `${from}–${to}`}</span>
+                                </div>
+                            ))}
+                        </div>
+
+                        <h3>{t('stats.accuracy')}</h3>
+                        <p className="game-seed">{t('stats.accuracyNote')}</p>
+                        <table className="stats-accuracy">
+                            <thead>
+                                <tr>
+                                    <th>{t('stats.card')}</th>
+                                    {directions.map((direction) => <th key={direction}>{t(`guess.${direction}`)}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {RANKS.filter(({label}) => stats.accuracy[label]).map((rank) => (
+                                    <tr key={rank.label}>
+                                        <th>{rankLabel(t, rank)}</th>
+                                        {directions.map((direction) => {
+                                            const totals = stats.accuracy[rank.label][direction];
+                                            return (
+                                                <td key={direction}>
+                                                    {totals ? (
+                                                        <>
+                                                            {formatPercent(totals.wins / totals.attempts)}
+                                                            <span className="stats-expected">
+                                                                {t('stats.expected', {
+                                                                    expected: formatPercent(totals.expected / totals.attempts),
+                                                                    attempts: totals.attempts
+                                                                })}
+                                                            </span>
+                                                        </>
+                                                    ) : '–'}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </>
+                )}
+            </div>
+        </section>
+    );
+}
+
+export default StatsPanel;
@@ -0,0 +1,36 @@
+const DAILY_STORAGE_KEY_PREFIX = 'streets_daily_';
+
+export const DAILY_DECK_COUNT = 1;
+
+// Daily challenges roll over at midnight UTC so every player shares the same day
+export const getDailyDate = (now = new Date()) => now.toISOString().slice(0, 10);
+
+// Scoped to the guild (or the channel for DMs and group DMs) when running inside Discord,
+// so a server plays its own Daily Street; standalone players share the global one
+export const getDailySeed = (date, {guildId, channelId} = {}) => {
+    const scope = guildId ?? channelId;
+    return scope ? `daily-${date}-${scope}` : `daily-${date}`;
+};
+
+const storageKey = (userId) => `${DAILY_STORAGE_KEY_PREFIX}${userId ?? 'local'}`;
+
+export const readDailyResult = (userId, date) => {
+    if (typeof window === 'undefined') {
+        return null;
+    }
+
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(storageKey(userId)));
+        return stored?.date === date ? stored : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+export const saveDailyResult = (userId, result) => {
+    if (typeof window === 'undefined') {
+        return;
+    }
+
+    window.localStorage.setItem(storageKey(userId), JSON.stringify(result));
+};
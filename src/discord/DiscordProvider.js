@@ -0,0 +1,223 @@
+import {createContext, useCallback, useContext, useEffect, useMemo, useRef, useState} from 'react';
+import {DiscordSDK} from '@discord/embedded-app-sdk';
+import {
+    authenticateSession,
+    cacheToken,
+    exchangeCode,
+    permanentError,
+    refreshDelay,
+    requestAccessToken,
+    retryWithBackoff
+} from './auth';
+
+const DiscordContext = createContext(null);
+
+// Pauses between connection attempts; once they are used up the error sticks until Retry
+const RETRY_DELAYS_MS = [1000, 3000, 9000];
+const READY_TIMEOUT_MS = 15000;
+
+// How the mock Discord client (./mockSdk.js) behaves: connects straight away, needs consent
+// first, needs it again for a scope added since, is declined, fails twice before it
+// connects, or never connects
+const MOCK_SCENARIOS = ['connected', 'consent', 'rescope', 'declined', 'flaky', 'offline'];
+
+// REACT_APP_DISCORD_MOCK=<scenario> or ?discord_mock=<scenario> fake an Activity launch
+// (a frame_id) in development builds and tests; any other value picks 'connected'
+const mockScenario = () => {
+    if (process.env.NODE_ENV === 'production') {
+        return null;
+    }
+    const requested = new URLSearchParams(window.location.search).get('discord_mock')
+        ?? process.env.REACT_APP_DISCORD_MOCK;
+    if (!requested) {
+        return null;
+    }
+    return MOCK_SCENARIOS.includes(requested) ? requested : 'connected';
+};
+
+const withTimeout = (promise, ms, message) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const avatarUrlFor = (user) => (user.avatar
+    ? `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png?size=64`
+    : `https://cdn.discordapp.com/embed/avatars/${Number(user.discriminator ?? 0) % 5}.png?size=64`);
+
+// Connects to the Discord Activity runtime once for the whole app and keeps the SDK
+// around, so anything below can talk to Discord without setting up its own client
+export function DiscordProvider({children}) {
+    const [sdk, setSdk] = useState(null);
+
+    // The status names the message shown for it; errors carry what went wrong and
+    // retries which attempt is next
+    const [connectionState, setConnectionState] = useState({status: 'pending'});
+
+    const [discordProfile, setDiscordProfile] = useState(null);
+
+    const [discordContext, setDiscordContext] = useState(null);
+
+    // Bumped by retry() to run the connection again
+    const [connectionKey, setConnectionKey] = useState(0);
+
+    // One client per page: a retry reuses it instead of handshaking with Discord again
+    const sdkRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        let refreshTimer = null;
+
+        const update = (state) => {
+            if (!cancelled) {
+                setConnectionState(state);
+            }
+        };
+
+        const fail = (error) => {
+            if (!cancelled) {
+                setDiscordProfile(null);
+                setConnectionState({status: 'error', error});
+            }
+        };
+
+        const initDiscord = async () => {
+            if (typeof window === 'undefined') {
+                return;
+            }
+
+            const scenario = mockScenario();
+            const params = new URLSearchParams(window.location.search);
+            const frameId = params.get('frame_id') ?? (scenario ? 'mock' : null);
+
+            if (!frameId) {
+                if (!cancelled) {
+                    setDiscordProfile(null);
+                    setConnectionState({status: 'standalone'});
+                }
+                return;
+            }
+
+            const mock = scenario ? await import('./mockSdk') : null;
+
+            const clientId = process.env.REACT_APP_DISCORD_CLIENT_ID ?? (mock ? 'mock-client-id' : null);
+            if (!clientId) {
+                fail('Missing REACT_APP_DISCORD_CLIENT_ID env variable.');
+                return;
+            }
+
+            const tokenEndpoint = process.env.REACT_APP_DISCORD_TOKEN_ENDPOINT;
+            const exchange = tokenEndpoint ? (code) => exchangeCode(tokenEndpoint, code) : mock?.mockExchange;
+            if (!exchange) {
+                fail('Missing REACT_APP_DISCORD_TOKEN_ENDPOINT env variable.');
+                return;
+            }
+
+            update({status: 'connecting'});
+            sdkRef.current ??= mock ? mock.createMockSdk(clientId, scenario) : new DiscordSDK(clientId);
+            const client = sdkRef.current;
+
+            const connect = async () => {
+                await withTimeout(client.ready(), READY_TIMEOUT_MS, 'Discord did not respond.');
+                if (cancelled) {
+                    throw permanentError('Connection cancelled.');
+                }
+                return authenticateSession(client, {
+                    clientId,
+                    exchange,
+                    onConsent: () => update({status: 'authorizing'})
+                });
+            };
+
+            const connectWithRetries = () => retryWithBackoff(connect, {
+                delays: RETRY_DELAYS_MS,
+                isCancelled: () => cancelled,
+                onRetry: (error, attempt) => {
+                    console.warn('Discord connection failed, retrying:', error);
+                    update({
+                        status: 'retrying',
+                        attempt,
+                        attempts: RETRY_DELAYS_MS.length,
+                        error: String(error?.message ?? error)
+                    });
+                }
+            });
+
+            // Swaps the token for a fresh one shortly before it expires. Only silently: if
+            // Discord wants consent again, the player is asked on the next launch instead.
+            const scheduleRefresh = (token) => {
+                refreshTimer = setTimeout(async () => {
+                    try {
+                        const next = await requestAccessToken(client, {clientId, exchange});
+                        cacheToken(clientId, next);
+                        if (!cancelled) {
+                            setDiscordContext((context) => ({...context, accessToken: next.accessToken}));
+                            scheduleRefresh(next);
+                        }
+                    } catch (error) {
+                        console.warn('Could not refresh the Discord access token:', error);
+                    }
+                }, refreshDelay(token));
+            };
+
+            try {
+                const {token, user} = await connectWithRetries();
+
+                // The client's language, for the UI; identify is all this needs
+                const {locale} = await client.commands.userSettingsGetLocale().catch((error) => {
+                    console.warn('Could not read the Discord locale:', error);
+                    return {locale: null};
+                });
+
+                if (!cancelled) {
+                    setSdk(client);
+                    setDiscordProfile({
+                        id: user.id,
+                        name: user.global_name || user.username || 'Discord user',
+                        avatarUrl: avatarUrlFor(user),
+                        locale
+                    });
+                    setDiscordContext({
+                        guildId: client.guildId,
+                        channelId: client.channelId,
+                        instanceId: client.instanceId,
+                        accessToken: token.accessToken
+                    });
+                    setConnectionState({status: 'connected'});
+                    scheduleRefresh(token);
+                }
+            } catch (error) {
+                if (!cancelled) {
+                    console.error('Discord OAuth flow failed:', error);
+                    fail(String(error?.message ?? error));
+                }
+            }
+        };
+
+        initDiscord();
+
+        return () => {
+            cancelled = true;
+            clearTimeout(refreshTimer);
+        };
+    }, [connectionKey]);
+
+    const retry = useCallback(() => setConnectionKey((key) => key + 1), []);
+
+    const value = useMemo(
+        () => ({sdk, connectionState, discordProfile, discordContext, retry}),
+        [sdk, connectionState, discordProfile, discordContext, retry]
+    );
+
+    return <DiscordContext.Provider value={value}>{children}</DiscordContext.Provider>;
+}
+
+export const useDiscord = () => {
+    const value = useContext(DiscordContext);
+    if (!value) {
+        throw new Error('useDiscord must be used inside a DiscordProvider.');
+    }
+    return value;
+};
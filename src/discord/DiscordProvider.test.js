@@ -0,0 +1,52 @@
+import {render, screen} from '@testing-library/react';
+import {DiscordProvider, useDiscord} from './DiscordProvider';
+
+function ConnectionStatus() {
+    const {connectionState, discordProfile, discordContext} = useDiscord();
+    return (
+        <p>
+            {connectionState.status}
+            {discordProfile && ` as ${discordProfile.name}`}
+            {discordContext && ` with ${discordContext.accessToken}`}
+        </p>
+    );
+}
+
+const launch = (search) => {
+    window.history.replaceState(null, '', `/${search}`);
+    return render(<DiscordProvider><ConnectionStatus /></DiscordProvider>);
+};
+
+const consoleMethods = ['info', 'warn', 'error'];
+let silenced;
+
+beforeEach(() => {
+    window.sessionStorage.clear();
+    silenced = consoleMethods.map((method) => jest.spyOn(console, method).mockImplementation(() => {}));
+});
+
+afterEach(() => {
+    silenced.forEach((spy) => spy.mockRestore());
+    window.history.replaceState(null, '', '/');
+});
+
+test('plays standalone outside Discord', async () => {
+    launch('');
+
+    expect(await screen.findByText('standalone')).toBeInTheDocument();
+});
+
+test('connects to the mock Discord client with the player\'s profile', async () => {
+    launch('?discord_mock=connected');
+
+    expect(screen.getByText(/^(pending|connecting)$/)).toBeInTheDocument();
+    expect(await screen.findByText(/^connected as Mock Player with mock-token-/, {}, {timeout: 5000}))
+        .toBeInTheDocument();
+});
+
+test('asks for consent and ends in an error once it is declined', async () => {
+    launch('?discord_mock=declined');
+
+    expect(await screen.findByText('authorizing', {}, {timeout: 5000})).toBeInTheDocument();
+    expect(await screen.findByText('error', {}, {timeout: 5000})).toBeInTheDocument();
+});
@@ -0,0 +1,166 @@
+const TOKEN_STORAGE_KEY_PREFIX = 'streets_discord_token_';
+// Tokens are replaced this long before they expire, so requests never race the expiry
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// Discord's own lifetime, for token endpoints that leave out expires_in
+const DEFAULT_TOKEN_LIFETIME_S = 7 * 24 * 60 * 60;
+
+const storageKey = (clientId) => `${TOKEN_STORAGE_KEY_PREFIX}${clientId}`;
+
+// The access token is kept for the browser session only, so reopening the Activity in the
+// same window reuses it instead of exchanging a new code on every load
+export const readCachedToken = (clientId) => {
+    try {
+        const stored = JSON.parse(window.sessionStorage.getItem(storageKey(clientId)));
+        return stored?.accessToken && stored.expiresAt - REFRESH_MARGIN_MS > Date.now() ? stored : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+export const cacheToken = (clientId, token) => {
+    try {
+        window.sessionStorage.setItem(storageKey(clientId), JSON.stringify(token));
+    } catch (error) {
+        // Storage can be unavailable in the Discord iframe; the token then lasts for this page only
+    }
+};
+
+export const clearCachedToken = (clientId) => {
+    try {
+        window.sessionStorage.removeItem(storageKey(clientId));
+    } catch (error) {
+        // See cacheToken
+    }
+};
+
+// Milliseconds until a token should be refreshed, capped to what setTimeout accepts
+export const refreshDelay = ({expiresAt}) =>
+    Math.min(Math.max(0, expiresAt - REFRESH_MARGIN_MS - Date.now()), 0x7fffffff);
+
+// Errors that asking again won't fix; everything else is retried with backoff
+export const permanentError = (message) => {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+};
+
+// identify for the player's profile, rpc.activities.write for Rich Presence (setActivity)
+export const SCOPES = ['identify', 'rpc.activities.write'];
+
+// Players who consented before Rich Presence was added only granted identify
+const grantsAllScopes = (auth) => SCOPES.every((scope) => auth?.scopes?.includes(scope));
+
+const requestCode = async (sdk, clientId, prompt) => {
+    const {code} = await sdk.commands.authorize({
+        client_id: clientId,
+        response_type: 'code',
+        state: crypto.randomUUID(),
+        ...(prompt ? {prompt} : {}),
+        scope: SCOPES
+    });
+    if (!code) {
+        throw new Error('Discord authorization did not return a code.');
+    }
+    return code;
+};
+
+// Exchanges the authorization code for an access token via the backend
+export const exchangeCode = async (tokenEndpoint, code) => {
+    const response = await fetch(tokenEndpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({code})
+    });
+
+    if (!response.ok) {
+        const errorPayload = await response.json().catch(() => ({}));
+        throw new Error(errorPayload?.error ?? `Token exchange failed with status ${response.status}`);
+    }
+
+    return response.json();
+};
+
+// Asks Discord for an authorization code for SCOPES and trades it in. Silent authorization
+// fails until the player has consented once; Discord then shows its consent prompt, unless
+// the caller can't interrupt the player (onConsent is null). consent skips straight to it.
+export const requestAccessToken = async (sdk, {clientId, exchange, onConsent = null, consent = false}) => {
+    const askForConsent = async () => {
+        onConsent();
+        try {
+            return await requestCode(sdk, clientId);
+        } catch (consentError) {
+            console.warn('Discord authorization was not granted:', consentError);
+            throw permanentError('Discord authorization was declined.');
+        }
+    };
+
+    let code;
+    if (consent) {
+        code = await askForConsent();
+    } else {
+        try {
+            code = await requestCode(sdk, clientId, 'none');
+        } catch (error) {
+            if (!onConsent) {
+                throw error;
+            }
+            code = await askForConsent();
+        }
+    }
+
+    const {access_token: accessToken, expires_in: expiresIn} = await exchange(code);
+    if (!accessToken) {
+        throw new Error('Token exchange response missing access_token.');
+    }
+
+    return {accessToken, expiresAt: Date.now() + (Number(expiresIn) || DEFAULT_TOKEN_LIFETIME_S) * 1000};
+};
+
+// A token from earlier in this session is tried first; a code is only exchanged when there
+// is none, Discord no longer accepts it or it lacks a scope. Silent authorization only
+// renews what the player granted before, so a narrower grant takes the consent prompt.
+export const authenticateSession = async (sdk, {clientId, exchange, onConsent = null}) => {
+    let token = readCachedToken(clientId);
+    let auth = token
+        ? await sdk.commands.authenticate({access_token: token.accessToken}).catch((error) => {
+            console.warn('Cached Discord token was rejected:', error);
+            return null;
+        })
+        : null;
+
+    if (!grantsAllScopes(auth)) {
+        clearCachedToken(clientId);
+        token = await requestAccessToken(sdk, {clientId, exchange, onConsent});
+        auth = await sdk.commands.authenticate({access_token: token.accessToken});
+        if (!grantsAllScopes(auth) && onConsent) {
+            token = await requestAccessToken(sdk, {clientId, exchange, onConsent, consent: true});
+            auth = await sdk.commands.authenticate({access_token: token.accessToken});
+        }
+        cacheToken(clientId, token);
+    }
+
+    if (!auth?.user) {
+        throw new Error('Discord authentication did not return a user profile.');
+    }
+    return {token, user: auth.user};
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs attempt() until it succeeds, pausing delays[n] after the nth failure. Permanent
+// errors, cancellation and running out of delays end it with the last error.
+export const retryWithBackoff = async (attempt, {delays, onRetry = () => {}, isCancelled = () => false, wait = sleep}) => {
+    for (let index = 0; ; index += 1) {
+        try {
+            return await attempt();
+        } catch (error) {
+            if (isCancelled() || error.retryable === false || index >= delays.length) {
+                throw error;
+            }
+            onRetry(error, index + 1);
+            await wait(delays[index]);
+        }
+    }
+};
@@ -0,0 +1,144 @@
+import {
+    authenticateSession,
+    cacheToken,
+    permanentError,
+    readCachedToken,
+    requestAccessToken,
+    retryWithBackoff
+} from './auth';
+import {createMockSdk, mockExchange} from './mockSdk';
+
+const CLIENT_ID = 'mock-client-id';
+
+const connectedSdk = async (scenario) => {
+    const sdk = createMockSdk(CLIENT_ID, scenario);
+    await sdk.ready();
+    return sdk;
+};
+
+// The mock SDK logs every command it receives
+const consoleMethods = ['info', 'warn'];
+let silenced;
+
+beforeEach(() => {
+    window.sessionStorage.clear();
+    silenced = consoleMethods.map((method) => jest.spyOn(console, method).mockImplementation(() => {}));
+});
+
+afterEach(() => {
+    silenced.forEach((spy) => spy.mockRestore());
+});
+
+test('authorizes silently when the player already consented', async () => {
+    const onConsent = jest.fn();
+    const token = await requestAccessToken(await connectedSdk('connected'), {
+        clientId: CLIENT_ID,
+        exchange: mockExchange,
+        onConsent
+    });
+
+    expect(token.accessToken).toMatch(/^mock-token-mock-/);
+    expect(token.expiresAt).toBeGreaterThan(Date.now());
+    expect(onConsent).not.toHaveBeenCalled();
+});
+
+test('falls back to the consent prompt when silent authorization fails', async () => {
+    const sdk = await connectedSdk('consent');
+    const onConsent = jest.fn();
+
+    await expect(requestAccessToken(sdk, {clientId: CLIENT_ID, exchange: mockExchange}))
+        .rejects.toThrow('User has not authorized the application.');
+
+    const token = await requestAccessToken(sdk, {clientId: CLIENT_ID, exchange: mockExchange, onConsent});
+    expect(onConsent).toHaveBeenCalledTimes(1);
+    expect(token.accessToken).toEqual(expect.any(String));
+});
+
+test('does not retry a declined consent prompt', async () => {
+    const sdk = await connectedSdk('declined');
+
+    const error = await requestAccessToken(sdk, {clientId: CLIENT_ID, exchange: mockExchange, onConsent: () => {}})
+        .catch((caught) => caught);
+    expect(error.message).toBe('Discord authorization was declined.');
+    expect(error.retryable).toBe(false);
+});
+
+test('reuses the session token and only exchanges a code without one', async () => {
+    const sdk = await connectedSdk('connected');
+    const exchange = jest.fn(mockExchange);
+
+    const first = await authenticateSession(sdk, {clientId: CLIENT_ID, exchange});
+    expect(first.user.global_name).toBe('Mock Player');
+    expect(readCachedToken(CLIENT_ID)).toEqual(first.token);
+
+    const second = await authenticateSession(sdk, {clientId: CLIENT_ID, exchange});
+    expect(second.token).toEqual(first.token);
+    expect(exchange).toHaveBeenCalledTimes(1);
+});
+
+test('asks for consent again when an earlier grant lacks Rich Presence', async () => {
+    const sdk = await connectedSdk('rescope');
+    const onConsent = jest.fn();
+
+    await authenticateSession(sdk, {clientId: CLIENT_ID, exchange: mockExchange, onConsent});
+
+    expect(onConsent).toHaveBeenCalledTimes(1);
+    await expect(sdk.commands.setActivity({activity: {details: 'Streets'}})).resolves.toBeTruthy();
+});
+
+test('replaces a session token that lacks a scope', async () => {
+    const sdk = await connectedSdk('connected');
+    cacheToken(CLIENT_ID, {accessToken: 'mock-token-before-rich-presence', expiresAt: Date.now() + 60 * 60 * 1000});
+
+    const {token} = await authenticateSession(sdk, {clientId: CLIENT_ID, exchange: mockExchange});
+
+    expect(token.accessToken).not.toBe('mock-token-before-rich-presence');
+    await expect(sdk.commands.setActivity({activity: {details: 'Streets'}})).resolves.toBeTruthy();
+});
+
+test('ignores cached tokens that are about to expire', () => {
+    cacheToken(CLIENT_ID, {accessToken: 'old', expiresAt: Date.now() + 60 * 1000});
+
+    expect(readCachedToken(CLIENT_ID)).toBeNull();
+});
+
+test('connects to a flaky Discord after retrying', async () => {
+    const sdk = await connectedSdk('flaky');
+    const onRetry = jest.fn();
+    const pause = jest.fn(async () => {});
+
+    const {user} = await retryWithBackoff(() => authenticateSession(sdk, {clientId: CLIENT_ID, exchange: mockExchange}), {
+        delays: [1000, 3000, 9000],
+        onRetry,
+        wait: pause
+    });
+
+    expect(user.id).toBe('100000000000000001');
+    expect(onRetry.mock.calls.map(([, attempt]) => attempt)).toEqual([1, 2]);
+    expect(pause.mock.calls).toEqual([[1000], [3000]]);
+});
+
+test('gives up once the retries are used up', async () => {
+    const sdk = await connectedSdk('offline');
+    const pause = jest.fn(async () => {});
+
+    await expect(retryWithBackoff(() => authenticateSession(sdk, {clientId: CLIENT_ID, exchange: mockExchange}), {
+        delays: [1000, 3000],
+        wait: pause
+    })).rejects.toThrow('Mock Discord is unreachable.');
+    expect(pause).toHaveBeenCalledTimes(2);
+});
+
+test('stops at permanent errors and when cancelled', async () => {
+    const declined = jest.fn(async () => {
+        throw permanentError('Discord authorization was declined.');
+    });
+    await expect(retryWithBackoff(declined, {delays: [0, 0]})).rejects.toThrow('declined');
+    expect(declined).toHaveBeenCalledTimes(1);
+
+    const failing = jest.fn(async () => {
+        throw new Error('Discord did not respond.');
+    });
+    await expect(retryWithBackoff(failing, {delays: [0, 0], isCancelled: () => true})).rejects.toThrow('respond');
+    expect(failing).toHaveBeenCalledTimes(1);
+});
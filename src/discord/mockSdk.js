@@ -0,0 +1,81 @@
+import {DiscordSDKMock} from '@discord/embedded-app-sdk';
+
+// Development stand-in for the Discord client, so the connected flow can be worked on in a
+// plain browser tab. DiscordProvider loads it on demand when a mock scenario is requested;
+// the scenario picks how the connection goes (see MOCK_SCENARIOS there).
+
+const MOCK_LATENCY_MS = 400;
+const MOCK_GUILD_ID = '100000000000000042';
+const MOCK_CHANNEL_ID = '100000000000000043';
+
+const MOCK_USER = {
+    id: '100000000000000001',
+    username: 'mockplayer',
+    global_name: 'Mock Player',
+    discriminator: '0',
+    avatar: null
+};
+
+const later = (work) => new Promise((resolve, reject) => {
+    setTimeout(() => {
+        try {
+            resolve(work());
+        } catch (error) {
+            reject(error);
+        }
+    }, MOCK_LATENCY_MS);
+});
+
+const rpcError = (code, message) => Object.assign(new Error(message), {code});
+
+export const createMockSdk = (clientId, scenario) => {
+    const sdk = new DiscordSDKMock(clientId, MOCK_GUILD_ID, MOCK_CHANNEL_ID, null);
+    let authenticateCalls = 0;
+    // The scopes granted with every code, and those of the token the client authenticated with
+    const grants = new Map();
+    let scopes = [];
+
+    sdk._updateCommandMocks({
+        // consent and declined players haven't authorized the app yet, so silent authorization fails;
+        // rescope players consented to identify only, which is all silent authorization renews
+        authorize: ({prompt, scope}) => later(() => {
+            if (scenario === 'declined' || (scenario === 'consent' && prompt === 'none')) {
+                throw rpcError(5000, prompt === 'none' ? 'User has not authorized the application.' : 'User denied.');
+            }
+            const code = `mock-${crypto.randomUUID()}`;
+            grants.set(code, scenario === 'rescope' && prompt === 'none' ? ['identify'] : scope);
+            return {code};
+        }),
+        // flaky fails twice before it works, offline never does
+        authenticate: ({access_token: accessToken}) => later(() => {
+            authenticateCalls += 1;
+            if (scenario === 'offline' || (scenario === 'flaky' && authenticateCalls <= 2)) {
+                throw rpcError(4009, 'Mock Discord is unreachable.');
+            }
+            scopes = grants.get(accessToken.replace(/^mock-token-/, '')) ?? ['identify'];
+            return {
+                access_token: accessToken,
+                user: MOCK_USER,
+                scopes,
+                expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toString(),
+                application: {id: clientId, name: 'Streets', description: '', icon: null}
+            };
+        }),
+        // Like Discord, presence needs the rpc.activities.write scope
+        setActivity: ({activity}) => later(() => {
+            if (!scopes.includes('rpc.activities.write')) {
+                throw rpcError(4006, 'Not authenticated or invalid scope.');
+            }
+            return activity;
+        }),
+        userSettingsGetLocale: () => later(() => ({locale: navigator.language}))
+    });
+
+    return sdk;
+};
+
+// Without a token endpoint the code is "exchanged" locally; the token is only good for the mock
+export const mockExchange = (code) => later(() => ({
+    access_token: `mock-token-${code}`,
+    expires_in: 7 * 24 * 60 * 60
+}));
@@ -0,0 +1,91 @@
+import {useEffect, useMemo, useRef} from 'react';
+import {rulesKey} from '../game/rules';
+import {useDiscord} from './DiscordProvider';
+import {useI18n} from '../i18n/I18nProvider';
+
+// Discord rate limits activity updates, so a burst of quick guesses is collapsed into
+// one update every few seconds that always carries the latest state
+const PRESENCE_THROTTLE_MS = 5000;
+
+const ACTIVITY_TYPE_PLAYING = 0;
+
+const FINISHED_MESSAGES = {
+    'cashed-out': 'presence.cashedOut',
+    'time-up': 'presence.timeUp'
+};
+
+const modeLabel = (t, game) => [
+    t(`mode.${game.mode}`),
+    game.rules && rulesKey(game.rules) ? t('presence.houseRules') : null,
+    game.scoring === 'pot' ? t('presence.pushYourLuck') : null
+].filter(Boolean).join(' · ');
+
+// What Discord shows under the player's name, in the player's language; null clears the presence
+export const describePresence = (t, game, {tableMode = 'solo'} = {}) => {
+    if (tableMode === 'shared') {
+        return {type: ACTIVITY_TYPE_PLAYING, details: t('presence.sharedTable'), state: t('presence.sharedTableState')};
+    }
+
+    const startedAt = game.startedAt ? Date.parse(game.startedAt) : null;
+    const timestamps = startedAt ? {start: startedAt} : undefined;
+
+    if (game.status === 'guessing') {
+        return {
+            type: ACTIVITY_TYPE_PLAYING,
+            details: game.scoring === 'pot'
+                ? t('presence.pot', {count: game.pot})
+                : t('presence.streak', {count: game.score}),
+            state: modeLabel(t, game),
+            timestamps
+        };
+    }
+
+    if (game.status === 'finished') {
+        return {
+            type: ACTIVITY_TYPE_PLAYING,
+            details: t(FINISHED_MESSAGES[game.lastRound?.outcome] ?? 'presence.gameOver', {count: game.score}),
+            state: modeLabel(t, game)
+        };
+    }
+
+    return null;
+};
+
+export const useRichPresence = (game, {tableMode} = {}) => {
+    const {sdk, connectionState} = useDiscord();
+    const {t} = useI18n();
+    const isConnected = Boolean(sdk) && connectionState.status === 'connected';
+
+    const activityKey = useMemo(() => JSON.stringify(describePresence(t, game, {tableMode})), [t, game, tableMode]);
+
+    const sentRef = useRef({key: undefined, at: 0});
+    const timerRef = useRef(null);
+
+    useEffect(() => {
+        if (!isConnected) {
+            return;
+        }
+
+        clearTimeout(timerRef.current);
+        if (sentRef.current.key === activityKey) {
+            return;
+        }
+
+        const send = () => {
+            timerRef.current = null;
+            sentRef.current = {key: activityKey, at: Date.now()};
+            sdk.commands.setActivity({activity: JSON.parse(activityKey)}).catch((error) => {
+                console.error('Failed to update Discord presence:', error);
+            });
+        };
+
+        const wait = sentRef.current.at + PRESENCE_THROTTLE_MS - Date.now();
+        if (wait <= 0) {
+            send();
+        } else {
+            timerRef.current = setTimeout(send, wait);
+        }
+    }, [isConnected, sdk, activityKey]);
+
+    useEffect(() => () => clearTimeout(timerRef.current), []);
+};
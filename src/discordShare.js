@@ -0,0 +1,23 @@
+const DISCORD_API_BASE_URL = 'https://discord.com/api';
+
+// Uploads the image as an attachment of the Activity's application and opens Discord's
+// share dialog for it, so the player picks the channel or DM to post it to
+export const shareImageToDiscord = async (sdk, accessToken, blob, fileName) => {
+    const body = new FormData();
+    body.append('file', blob, fileName);
+
+    const response = await fetch(`${DISCORD_API_BASE_URL}/applications/${sdk.clientId}/attachment`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${accessToken}`
+        },
+        body
+    });
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok || !payload?.attachment?.url) {
+        throw new Error(payload?.message ?? `Uploading the score card failed with status ${response.status}`);
+    }
+
+    await sdk.commands.openShareMomentDialog({mediaUrl: payload.attachment.url});
+};
@@ -0,0 +1,21 @@
+const HIGH_CONTRAST_SUITS_KEY = 'streets_high_contrast_suits';
+
+// Four-colour suits that stay apart for colour-blind players. Until the player picks
+// either way, it follows the system's request for more contrast.
+export const readHighContrastSuits = () => {
+    if (typeof window === 'undefined') {
+        return false;
+    }
+
+    const stored = window.localStorage.getItem(HIGH_CONTRAST_SUITS_KEY);
+    if (stored !== null) {
+        return stored === 'true';
+    }
+    return window.matchMedia?.('(prefers-contrast: more)').matches ?? false;
+};
+
+export const writeHighContrastSuits = (enabled) => {
+    if (typeof window !== 'undefined') {
+        window.localStorage.setItem(HIGH_CONTRAST_SUITS_KEY, String(enabled));
+    }
+};
@@ -0,0 +1,74 @@
+import {cardCode} from './game/cards';
+import {DEFAULT_RULES} from './game/rules';
+
+const ROUND_RESULTS = {
+    win: 'correct',
+    lose: 'incorrect',
+    push: 'push'
+};
+
+const CSV_COLUMNS = ['round', 'starting_card', 'next_card', 'guess', 'result', 'odds', 'payout', 'played_at'];
+
+// Shared-table rounds only record whether the guess succeeded
+const roundResult = (round) => ROUND_RESULTS[round.result ?? (round.success ? 'win' : 'lose')];
+
+const exportRounds = (game) => game.history.map((round) => ({
+    round: round.id,
+    startingCard: cardCode(round.startingCard),
+    nextCard: cardCode(round.nextCard),
+    guess: round.guess,
+    result: roundResult(round),
+    odds: typeof round.odds === 'number' ? Number(round.odds.toFixed(4)) : null,
+    payout: round.payout ?? null,
+    playedAt: round.playedAt ?? null
+}));
+
+export const exportFileName = (game, extension) =>
+    `streets-${game.mode}-${(game.startedAt ?? new Date().toISOString()).slice(0, 10)}.${extension}`;
+
+export const gameToJson = (game, {player = null, replayCode = null} = {}) => JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    player: player ? {id: player.id, name: player.name} : null,
+    game: {
+        mode: game.mode,
+        seed: game.seed ?? null,
+        gameId: game.gameId ?? null,
+        rules: game.rules ?? DEFAULT_RULES,
+        scoring: game.scoring,
+        assisted: Boolean(game.assisted),
+        score: game.score,
+        outcome: game.lastRound?.outcome ?? null,
+        startedAt: game.startedAt ?? null,
+        replayCode
+    },
+    rounds: exportRounds(game)
+}, null, 2);
+
+const csvValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const gameToCsv = (game) => [
+    CSV_COLUMNS,
+    ...exportRounds(game).map((round) => [
+        round.round,
+        round.startingCard,
+        round.nextCard,
+        round.guess,
+        round.result,
+        round.odds,
+        round.payout,
+        round.playedAt
+    ])
+].map((row) => row.map(csvValue).join(',')).join('\n');
+
+export const downloadFile = (fileName, content, type) => {
+    const blob = content instanceof Blob ? content : new Blob([content], {type});
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = fileName;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,3 @@
+export const toTitleCase = (direction) => direction.charAt(0).toUpperCase() + direction.slice(1);
+
+export const formatPercent = (probability) => `${Math.round(probability * 100)}%`;
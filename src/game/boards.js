@@ -0,0 +1,10 @@
+import {rulesKey} from './rules.js';
+
+// Leaderboard (and local high score) a finished game counts towards. Variants that
+// change how hard a score is to reach are ranked on boards of their own.
+export const boardFor = ({mode, scoring, assisted, rules}) => [
+    mode,
+    rules ? rulesKey(rules) : null,
+    scoring === 'pot' ? 'pot' : null,
+    assisted ? 'assisted' : null
+].filter(Boolean).join('-');
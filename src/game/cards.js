@@ -0,0 +1,38 @@
+export const RANKS = [
+    {label: '2', value: 2},
+    {label: '3', value: 3},
+    {label: '4', value: 4},
+    {label: '5', value: 5},
+    {label: '6', value: 6},
+    {label: '7', value: 7},
+    {label: '8', value: 8},
+    {label: '9', value: 9},
+    {label: '10', value: 10},
+    {label: 'J', value: 11},
+    {label: 'Q', value: 12},
+    {label: 'K', value: 13},
+    {label: 'A', value: 14}
+];
+
+export const SUITS = [
+    {name: 'spades', symbol: '♠', color: 'black'},
+    {name: 'hearts', symbol: '♥', color: 'red'},
+    {name: 'clubs', symbol: '♣', color: 'black'},
+    {name: 'diamonds', symbol: '♦', color: 'red'}
+];
+
+export const createCard = (rank, suit) => ({
+    rank: {...rank},
+    suit: {...suit}
+});
+
+export const isSameCard = (a, b) => a.rank.value === b.rank.value && a.suit.name === b.suit.name;
+
+// Compact, stable card notation such as "10H" or "AS"
+export const cardCode = (card) => `${card.rank.label}${card.suit.name.charAt(0).toUpperCase()}`;
+
+export const cardFromCode = (code) => {
+    const rank = RANKS.find(({label}) => label === code.slice(0, -1));
+    const suit = SUITS.find(({name}) => name.charAt(0).toUpperCase() === code.slice(-1));
+    return rank && suit ? createCard(rank, suit) : null;
+};
@@ -0,0 +1,95 @@
+import {createCard, isSameCard, RANKS, SUITS} from './cards.js';
+import {createRandom} from './random.js';
+
+export const DECK_SIZE = RANKS.length * SUITS.length;
+
+export const DECK_COUNT_OPTIONS = [1, 2, 4, 6];
+
+export const DEFAULT_DECK_COUNT = 1;
+
+export const buildCards = (deckCount) => {
+    const cards = [];
+    for (let deck = 0; deck < deckCount; deck += 1) {
+        SUITS.forEach((suit) => {
+            RANKS.forEach((rank) => {
+                cards.push(createCard(rank, suit));
+            });
+        });
+    }
+    return cards;
+};
+
+// Fisher-Yates on a copy so shoes stay immutable inside state updaters
+const shuffle = (cards, random) => {
+    const shuffled = [...cards];
+    for (let i = shuffled.length - 1; i > 0; i -= 1) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+// Removes one copy of every excluded card, e.g. the card still lying on the table
+const removeCards = (cards, exclude) => {
+    const remaining = [...cards];
+    exclude.forEach((excluded) => {
+        const index = remaining.findIndex((card) => isSameCard(card, excluded));
+        if (index !== -1) {
+            remaining.splice(index, 1);
+        }
+    });
+    return remaining;
+};
+
+// rngState is the PRNG state the shuffle starts from; the shoe keeps the state it
+// ends on, so reshuffles of a seeded shoe are reproducible as well. Callers that
+// must not be predictable (the server) pass their own random source instead.
+export const createShoe = (deckCount = DEFAULT_DECK_COUNT, {rngState, random, exclude = [], reshuffles = 0} = {}) => {
+    const source = random ?? createRandom(rngState ?? Math.floor(Math.random() * 0xffffffff));
+    const cards = shuffle(removeCards(buildCards(deckCount), exclude), source);
+
+    return {
+        deckCount,
+        size: deckCount * DECK_SIZE,
+        cards,
+        reshuffles,
+        rngState: random ? null : source.getState()
+    };
+};
+
+// A shoe that was shuffled ahead of time comes into play without the card on the table
+export const removeFromShoe = (shoe, exclude) => ({...shoe, cards: removeCards(shoe.cards, exclude)});
+
+// Server-dealt games only expose how many cards are left, never the cards themselves
+export const remainingCards = (shoe) => shoe?.cards?.length ?? shoe?.remaining ?? 0;
+
+// Unless the rules allow ties, a card of the same rank as the one on the table is skipped
+const isEligibleAfter = (previous, allowTies) => (card) =>
+    allowTies || !previous || card.rank.value !== previous.rank.value;
+
+export const needsReshuffle = (shoe, {previous = null, allowTies = false} = {}) =>
+    !shoe.cards.some(isEligibleAfter(previous, allowTies));
+
+// Gathers the discards into a fresh shoe; the card still on the table stays out
+export const reshuffleShoe = (shoe, {previous = null, random} = {}) => createShoe(shoe.deckCount, {
+    rngState: shoe.rngState,
+    random,
+    exclude: previous ? [previous] : [],
+    reshuffles: shoe.reshuffles + 1
+});
+
+// Deals the top card of the shoe. previous is the card on the table: by default
+// equal ranks are never dealt in a row, so same-rank cards are skipped and stay in
+// the shoe. When no eligible card is left, the shoe is reshuffled first.
+export const drawCard = (shoe, {previous = null, allowTies = false, random} = {}) => {
+    const source = needsReshuffle(shoe, {previous, allowTies}) ? reshuffleShoe(shoe, {previous, random}) : shoe;
+    const index = source.cards.findIndex(isEligibleAfter(previous, allowTies));
+
+    const card = source.cards[index];
+    const cards = [...source.cards.slice(0, index), ...source.cards.slice(index + 1)];
+
+    return {
+        card,
+        shoe: {...source, cards}
+    };
+};
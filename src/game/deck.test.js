@@ -0,0 +1,58 @@
+import {cardCode} from './cards.js';
+import {buildCards, createShoe, DECK_SIZE, drawCard, needsReshuffle, remainingCards} from './deck.js';
+
+const codes = (cards) => cards.map(cardCode);
+
+test('builds every card once per deck', () => {
+    const cards = buildCards(2);
+
+    expect(cards).toHaveLength(2 * DECK_SIZE);
+    expect(new Set(codes(cards)).size).toBe(DECK_SIZE);
+});
+
+test('shuffles the same way for the same PRNG state', () => {
+    const shoe = createShoe(1, {rngState: 42});
+
+    expect(codes(shoe.cards)).toEqual(codes(createShoe(1, {rngState: 42}).cards));
+    expect(codes(shoe.cards)).not.toEqual(codes(createShoe(1, {rngState: 43}).cards));
+    expect([...codes(shoe.cards)].sort()).toEqual(codes(buildCards(1)).sort());
+});
+
+test('leaves excluded cards out of the shoe', () => {
+    const [excluded] = buildCards(1);
+    const shoe = createShoe(1, {rngState: 1, exclude: [excluded]});
+
+    expect(shoe.cards).toHaveLength(DECK_SIZE - 1);
+    expect(codes(shoe.cards)).not.toContain(cardCode(excluded));
+});
+
+test('skips cards of the same rank unless ties are allowed', () => {
+    const shoe = createShoe(1, {rngState: 7});
+    const top = shoe.cards[0];
+    const sameRank = shoe.cards.findIndex((card, index) => index > 0 && card.rank.value === top.rank.value);
+    const stacked = {...shoe, cards: [shoe.cards[sameRank], ...shoe.cards.filter((_, index) => index !== sameRank)]};
+
+    const {card, shoe: rest} = drawCard(stacked, {previous: top});
+    expect(card.rank.value).not.toBe(top.rank.value);
+    expect(rest.cards).toHaveLength(DECK_SIZE - 1);
+    expect(rest.cards[0]).toEqual(shoe.cards[sameRank]);
+
+    expect(drawCard(stacked, {previous: top, allowTies: true}).card).toEqual(shoe.cards[sameRank]);
+});
+
+test('reshuffles when no eligible card is left', () => {
+    const [previous, ...others] = buildCards(1);
+    const shoe = {...createShoe(1, {rngState: 3}), cards: others.filter((card) => card.rank.value === previous.rank.value)};
+
+    expect(needsReshuffle(shoe, {previous})).toBe(true);
+    const {card, shoe: next} = drawCard(shoe, {previous});
+    expect(card.rank.value).not.toBe(previous.rank.value);
+    expect(next.reshuffles).toBe(1);
+    expect(next.cards).toHaveLength(DECK_SIZE - 2);
+});
+
+test('counts the cards of server-dealt shoes', () => {
+    expect(remainingCards({remaining: 12})).toBe(12);
+    expect(remainingCards(createShoe(1, {rngState: 1}))).toBe(DECK_SIZE);
+    expect(remainingCards(null)).toBe(0);
+});
@@ -0,0 +1,69 @@
+import {createShoe, DEFAULT_DECK_COUNT, drawCard} from './deck.js';
+import {drawPool, guessOdds} from './odds.js';
+import {hashSeed} from './random.js';
+import {endIfTimeUp, resolveRound} from './round.js';
+import {allowsTies, BLITZ_SECONDS, DEFAULT_RULES, normalizeRules} from './rules.js';
+
+// The locally dealt game as pure functions: the React app and the simulator both play
+// through these, so a simulation deals, judges and scores exactly like the table does.
+
+export const startGame = ({
+    mode = 'classic',
+    seed,
+    deckCount = DEFAULT_DECK_COUNT,
+    rules = DEFAULT_RULES,
+    scoring = 'streak',
+    assisted = false,
+    now = Date.now()
+}) => {
+    const gameRules = normalizeRules(rules);
+    const {card, shoe} = drawCard(createShoe(deckCount, {rngState: hashSeed(seed)}));
+
+    return {
+        status: 'guessing',
+        mode,
+        seed,
+        startedAt: new Date(now).toISOString(),
+        rules: gameRules,
+        assisted,
+        scoring,
+        currentCard: card,
+        score: 0,
+        pot: 0,
+        lostPot: 0,
+        lives: gameRules.lives,
+        endsAt: gameRules.blitz ? now + BLITZ_SECONDS * 1000 : null,
+        history: [],
+        lastRound: null,
+        shoe
+    };
+};
+
+export const currentOdds = (game) => {
+    const rules = game.rules ?? DEFAULT_RULES;
+    return guessOdds(game.currentCard, drawPool(game, rules), rules);
+};
+
+// Deals the next card for a guess and judges it. A blitz game whose clock has run out
+// ends instead; pass now: null to play without a clock (the simulator does).
+export const playGuess = (game, direction, {now = Date.now()} = {}) => {
+    if (game.status !== 'guessing' || game.currentCard === null) {
+        return game;
+    }
+
+    const timedOut = now === null ? game : endIfTimeUp(game, now);
+    if (timedOut !== game) {
+        return timedOut;
+    }
+
+    const odds = currentOdds(game);
+    const {card: nextCard, shoe} = drawCard(game.shoe, {
+        previous: game.currentCard,
+        allowTies: allowsTies(game.rules ?? DEFAULT_RULES)
+    });
+    const playedAt = now === null ? undefined : new Date(now).toISOString();
+
+    return {...resolveRound(game, {direction, nextCard, odds, playedAt}), shoe};
+};
+
+export {canCashOut, cashOut, endIfTimeUp} from './round.js';
@@ -0,0 +1,76 @@
+import {cashOut, currentOdds, playGuess, startGame} from './engine.js';
+import {betterGuess} from './odds.js';
+import {BLITZ_SECONDS, DEFAULT_RULES} from './rules.js';
+
+const NOW = Date.parse('2024-05-01T12:00:00Z');
+
+const playUntilFinished = (game) => {
+    let current = game;
+    while (current.status === 'guessing') {
+        current = playGuess(current, betterGuess(currentOdds(current)) ?? 'higher', {now: null});
+    }
+    return current;
+};
+
+test('deals the same game for the same seed', () => {
+    const game = startGame({seed: 'abc', now: NOW});
+
+    expect(startGame({seed: 'abc', now: NOW})).toEqual(game);
+    expect(game).toMatchObject({status: 'guessing', score: 0, lives: 1, endsAt: null, history: []});
+    expect(game.startedAt).toBe('2024-05-01T12:00:00.000Z');
+});
+
+test('scores a streak until the first miss', () => {
+    const game = playUntilFinished(startGame({seed: 'streak', now: NOW}));
+    const wins = game.history.filter(({success}) => success).length;
+
+    expect(game.status).toBe('finished');
+    expect(game.score).toBe(wins);
+    expect(game.history[game.history.length - 1].success).toBe(false);
+    expect(game.lastRound.outcome).toBe('failed');
+});
+
+test('keeps playing while lives are left', () => {
+    const game = playUntilFinished(startGame({seed: 'lives', rules: {...DEFAULT_RULES, lives: 3}, now: NOW}));
+
+    expect(game.lives).toBe(0);
+    expect(game.history.filter(({result}) => result === 'lose')).toHaveLength(3);
+});
+
+test('banks the pot on cash out and loses it on a miss', () => {
+    let game = startGame({seed: 'pot', scoring: 'pot', now: NOW});
+    while (game.status === 'guessing' && game.pot === 0) {
+        game = playGuess(game, betterGuess(currentOdds(game)) ?? 'higher', {now: null});
+    }
+
+    expect(game.status).toBe('guessing');
+
+    expect(cashOut(game)).toMatchObject({status: 'finished', score: game.pot, lastRound: {outcome: 'cashed-out'}});
+    const missed = playUntilFinished(game);
+    expect(missed.score).toBe(0);
+    expect(missed.lostPot).toBeGreaterThan(0);
+});
+
+test('notes the guess the odds favored', () => {
+    const game = startGame({seed: 'favored', rules: {...DEFAULT_RULES, ties: 'same'}, now: NOW});
+    const odds = currentOdds(game);
+
+    const [round] = playGuess(game, 'same', {now: null}).history;
+    expect(round.favored).toBe(betterGuess(odds, ['higher', 'same', 'lower']));
+    expect(round.favored).not.toBe('same');
+});
+
+test('ends a blitz game once the clock runs out', () => {
+    const game = startGame({seed: 'blitz', rules: {...DEFAULT_RULES, blitz: true}, now: NOW});
+    expect(game.endsAt).toBe(NOW + BLITZ_SECONDS * 1000);
+
+    const late = playGuess(game, 'higher', {now: game.endsAt});
+    expect(late).toMatchObject({status: 'finished', lastRound: {outcome: 'time-up'}});
+    expect(late.history).toHaveLength(0);
+});
+
+test('ignores guesses once the game is over', () => {
+    const game = playUntilFinished(startGame({seed: 'over', now: NOW}));
+
+    expect(playGuess(game, 'higher', {now: null})).toBe(game);
+});
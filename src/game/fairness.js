@@ -0,0 +1,78 @@
+import {cardCode, RANKS, SUITS} from './cards.js';
+
+// Commit-reveal for server-dealt games: the server publishes sha256("<salt>:<card codes
+// in shoe order>") for every shoe it shuffles, and reveals salts and card orders once the
+// game is over. Each shoe is committed to one shoe ahead, before any guess could make the
+// server reshuffle to it, as a complete set of decks; the card on the table when it comes
+// into play is taken out of it then.
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+export const commitShoe = async (salt, codes) => {
+    const data = new TextEncoder().encode(`${salt}:${codes.join(',')}`);
+    return toHex(await crypto.subtle.digest('SHA-256', data));
+};
+
+const rankOf = (code) => code.slice(0, -1);
+
+const isFairComposition = (codes, deckCount) => {
+    const counts = new Map();
+    RANKS.forEach((rank) => SUITS.forEach((suit) => {
+        counts.set(cardCode({rank, suit}), deckCount);
+    }));
+
+    codes.forEach((code) => counts.set(code, (counts.get(code) ?? 0) - 1));
+    return [...counts.values()].every((count) => count === 0);
+};
+
+// A failed check names what went wrong and, where it applies, the number of the shoe or card
+const failure = (reason, position = null) => ({valid: false, reason, position});
+
+// Replays the deal from the revealed shoes and checks that it matches every card
+// that was actually dealt, using the same drawing rule as the deck (equal ranks are
+// skipped unless the game allows ties)
+export const verifyDeal = async ({deckCount, commitments, reveal, dealt, allowTies = false}) => {
+    if (!Array.isArray(reveal) || reveal.length !== commitments.length) {
+        // The server revealed a different number of shoes than it committed to
+        return failure('shoe-count');
+    }
+
+    for (let index = 0; index < reveal.length; index += 1) {
+        if (await commitShoe(reveal[index].salt, reveal[index].cards) !== commitments[index]) {
+            return failure('commitment', index + 1);
+        }
+    }
+
+    let shoeIndex = 0;
+    let cards = [...reveal[0].cards];
+
+    if (!isFairComposition(cards, deckCount)) {
+        return failure('incomplete-shoe', 1);
+    }
+
+    for (let index = 0; index < dealt.length; index += 1) {
+        const previous = index > 0 ? cardCode(dealt[index - 1]) : null;
+        const isEligible = (code) => allowTies || !previous || rankOf(code) !== rankOf(previous);
+        let position = cards.findIndex(isEligible);
+
+        if (position === -1) {
+            shoeIndex += 1;
+            if (shoeIndex >= reveal.length) {
+                return failure('too-many-cards');
+            }
+            cards = [...reveal[shoeIndex].cards];
+            if (!isFairComposition(cards, deckCount)) {
+                return failure('incomplete-shoe', shoeIndex + 1);
+            }
+            cards.splice(cards.indexOf(previous), 1);
+            position = cards.findIndex(isEligible);
+        }
+
+        if (cards[position] !== cardCode(dealt[index])) {
+            return failure('out-of-order', index + 1);
+        }
+        cards.splice(position, 1);
+    }
+
+    return {valid: true, reason: null, position: null};
+};
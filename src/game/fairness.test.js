@@ -0,0 +1,58 @@
+import {cardCode} from './cards.js';
+import {createShoe, drawCard} from './deck.js';
+import {commitShoe, verifyDeal} from './fairness.js';
+
+// Deals count cards from a seeded shoe the way the server does and returns what it
+// would commit to and reveal
+const deal = async (count, {allowTies = false} = {}) => {
+    const shoe = createShoe(1, {rngState: 11});
+    const reveal = [{salt: 'salt', cards: shoe.cards.map(cardCode)}];
+    const dealt = [];
+    let current = shoe;
+    for (let index = 0; index < count; index += 1) {
+        const {card, shoe: next} = drawCard(current, {previous: dealt[index - 1] ?? null, allowTies});
+        dealt.push(card);
+        current = next;
+    }
+    return {deckCount: 1, commitments: [await commitShoe('salt', reveal[0].cards)], reveal, dealt, allowTies};
+};
+
+test('commits to the salt and card order', async () => {
+    const commitment = await commitShoe('salt', ['AS', '2H']);
+
+    expect(commitment).toMatch(/^[0-9a-f]{64}$/);
+    expect(await commitShoe('salt', ['2H', 'AS'])).not.toBe(commitment);
+    expect(await commitShoe('pepper', ['AS', '2H'])).not.toBe(commitment);
+});
+
+test('accepts a deal from the top of the committed shoe', async () => {
+    expect(await verifyDeal(await deal(20))).toEqual({valid: true, reason: null, position: null});
+});
+
+test('rejects a reveal that does not match the commitment', async () => {
+    const game = await deal(5);
+    const [first, second, ...rest] = game.reveal[0].cards;
+
+    const result = await verifyDeal({...game, reveal: [{salt: 'salt', cards: [second, first, ...rest]}]});
+    expect(result).toEqual({valid: false, reason: 'commitment', position: 1});
+});
+
+test('rejects cards that were not dealt in shoe order', async () => {
+    const game = await deal(5);
+    const dealt = [...game.dealt];
+    [dealt[3], dealt[4]] = [dealt[4], dealt[3]];
+
+    expect(await verifyDeal({...game, dealt})).toEqual({valid: false, reason: 'out-of-order', position: 4});
+});
+
+test('rejects a shoe that is not a complete deck', async () => {
+    const game = await deal(3);
+    const cards = [...game.reveal[0].cards.slice(0, -1), game.reveal[0].cards[0]];
+
+    const result = await verifyDeal({
+        ...game,
+        commitments: [await commitShoe('salt', cards)],
+        reveal: [{salt: 'salt', cards}]
+    });
+    expect(result).toEqual({valid: false, reason: 'incomplete-shoe', position: 1});
+});
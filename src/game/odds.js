@@ -0,0 +1,66 @@
+import {isSameCard, RANKS} from './cards.js';
+import {buildCards} from './deck.js';
+import {allowsTies, DEFAULT_RULES, rankValue} from './rules.js';
+
+// Chance that the next card is higher, lower or the same as currentCard when it is
+// dealt from cards. Without ties, equal ranks are never dealt next, so only other
+// ranks count. Without a known card pool every rank is assumed equally likely.
+export const guessOdds = (currentCard, cards = null, rules = DEFAULT_RULES) => {
+    const current = rankValue(currentCard, rules);
+    const values = (cards ?? RANKS.map((rank) => ({rank}))).map((card) => rankValue(card, rules));
+    const candidates = allowsTies(rules) ? values : values.filter((value) => value !== current);
+
+    if (candidates.length === 0) {
+        return guessOdds(currentCard, null, rules);
+    }
+
+    const share = (predicate) => candidates.filter(predicate).length / candidates.length;
+    return {
+        higher: share((value) => value > current),
+        lower: share((value) => value < current),
+        same: share((value) => value === current)
+    };
+};
+
+// The guess most likely to win, or null when the options are a coin flip
+export const betterGuess = (odds, options = ['higher', 'lower']) => {
+    const ranked = [...options].sort((a, b) => odds[b] - odds[a]);
+    return odds[ranked[0]] > odds[ranked[1]] ? ranked[0] : null;
+};
+
+const withoutCards = (cards, removed) => {
+    const remaining = [...cards];
+    removed.forEach((card) => {
+        const index = remaining.findIndex((candidate) => isSameCard(candidate, card));
+        if (index !== -1) {
+            remaining.splice(index, 1);
+        }
+    });
+    return remaining;
+};
+
+// The cards the next card can come from. Locally dealt games know their shoe;
+// for server-dealt games the shoe is rebuilt from the cards dealt since the last
+// reshuffle. When no eligible card is left, the next card comes from a fresh shoe.
+export const drawPool = ({shoe, currentCard, history}, rules = DEFAULT_RULES) => {
+    if (!shoe) {
+        return null;
+    }
+
+    let pool;
+    if (shoe.cards) {
+        pool = shoe.cards;
+    } else {
+        let dealt = history.length > 0 ? [history[0].startingCard] : [currentCard];
+        history.forEach((round) => {
+            dealt = round.reshuffled ? [round.startingCard, round.nextCard] : [...dealt, round.nextCard];
+        });
+        pool = withoutCards(buildCards(shoe.deckCount), dealt);
+    }
+
+    const hasEligible = allowsTies(rules)
+        ? pool.length > 0
+        : pool.some((card) => card.rank.value !== currentCard.rank.value);
+
+    return hasEligible ? pool : withoutCards(buildCards(shoe.deckCount), [currentCard]);
+};
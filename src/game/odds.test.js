@@ -0,0 +1,49 @@
+import {cardFromCode} from './cards.js';
+import {buildCards} from './deck.js';
+import {betterGuess, drawPool, guessOdds} from './odds.js';
+import {DEFAULT_RULES} from './rules.js';
+
+test('leaves equal ranks out of the odds when ties are never dealt', () => {
+    const odds = guessOdds(cardFromCode('8S'));
+
+    expect(odds.higher).toBeCloseTo(6 / 12);
+    expect(odds.lower).toBeCloseTo(6 / 12);
+    expect(odds.same).toBe(0);
+});
+
+test('counts equal ranks when ties are allowed', () => {
+    const odds = guessOdds(cardFromCode('2S'), null, {...DEFAULT_RULES, ties: 'same'});
+
+    expect(odds.higher).toBeCloseTo(12 / 13);
+    expect(odds.same).toBeCloseTo(1 / 13);
+    expect(odds.lower).toBe(0);
+});
+
+test('treats the ace as the lowest card with ace-low rules', () => {
+    expect(guessOdds(cardFromCode('AS'), null, {...DEFAULT_RULES, aceLow: true}).higher).toBe(1);
+    expect(guessOdds(cardFromCode('AS')).lower).toBe(1);
+});
+
+test('uses the cards left in the shoe', () => {
+    const cards = ['3H', '4H', 'KH'].map(cardFromCode);
+
+    expect(guessOdds(cardFromCode('10S'), cards)).toEqual({higher: 1 / 3, lower: 2 / 3, same: 0});
+});
+
+test('picks the likelier guess, or none on a coin flip', () => {
+    expect(betterGuess({higher: 0.7, lower: 0.3})).toBe('higher');
+    expect(betterGuess({higher: 0.5, lower: 0.5})).toBeNull();
+    expect(betterGuess({higher: 0.4, lower: 0.35, same: 0.25}, ['higher', 'same', 'lower'])).toBe('higher');
+});
+
+test('rebuilds the pool of server-dealt shoes from the dealt cards', () => {
+    const history = [
+        {startingCard: cardFromCode('5S'), nextCard: cardFromCode('9H')},
+        {startingCard: cardFromCode('9H'), nextCard: cardFromCode('2C')}
+    ];
+    const pool = drawPool({shoe: {deckCount: 1}, currentCard: cardFromCode('2C'), history});
+
+    expect(pool).toHaveLength(buildCards(1).length - 3);
+    expect(pool).not.toContainEqual(cardFromCode('9H'));
+    expect(drawPool({shoe: null, currentCard: cardFromCode('2C'), history: []})).toBeNull();
+});
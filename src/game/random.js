@@ -0,0 +1,29 @@
+// Small seedable PRNG (mulberry32) so a seed always produces the same shuffle.
+// The generator exposes its internal state so shoes can carry it between draws.
+export const createRandom = (state) => {
+    let current = state >>> 0;
+
+    const random = () => {
+        current = (current + 0x6d2b79f5) >>> 0;
+        let t = current;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    random.getState = () => current;
+
+    return random;
+};
+
+// Hashes a seed string (FNV-1a) into the 32-bit starting state of the PRNG
+export const hashSeed = (seed) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i += 1) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+export const createSeed = () => Math.floor(Math.random() * 0xffffffff).toString(36).padStart(7, '0');
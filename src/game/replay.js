@@ -0,0 +1,202 @@
+import {createCard, isSameCard, RANKS, SUITS} from './cards.js';
+import {createShoe, DECK_COUNT_OPTIONS, DECK_SIZE, drawCard} from './deck.js';
+import {drawPool, guessOdds} from './odds.js';
+import {hashSeed} from './random.js';
+import {cashOut, resolveRound, runOutOfTime} from './round.js';
+import {allowsTies, DEFAULT_RULES, judgeGuess, parseRulesKey, rulesKey} from './rules.js';
+
+// Share codes look like "1.classic.l3-push.p.1.k2x9a0q.c.<cards and guesses>.<checksum>".
+// Every card is one letter and every guess one digit, so a long run still fits in a URL.
+// The checksum only catches codes that were mistyped or cut off on the way; anyone can
+// compute it, so it proves nothing about who played the game.
+const REPLAY_VERSION = '1';
+const CARD_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const GUESSES = ['higher', 'lower', 'same'];
+const MODES = ['classic', 'daily', 'ranked'];
+const ENDINGS = {'cashed-out': 'c', 'time-up': 't'};
+
+// code picks the message the app shows (replay.error.<code>); message is for developers
+export class ReplayError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ReplayError';
+        this.code = code;
+    }
+}
+
+const cardChar = (card) => CARD_ALPHABET.charAt(
+    SUITS.findIndex(({name}) => name === card.suit.name) * RANKS.length
+    + RANKS.findIndex(({value}) => value === card.rank.value)
+);
+
+const charCard = (char) => {
+    const index = CARD_ALPHABET.indexOf(char);
+    if (index === -1) {
+        throw new ReplayError('unknown-card', 'This replay code contains an unknown card.');
+    }
+    return createCard(RANKS[index % RANKS.length], SUITS[Math.floor(index / RANKS.length)]);
+};
+
+const checksum = (text) => hashSeed(text).toString(36);
+
+// Only finished games can be shared; the score is left out on purpose and recomputed
+// from the cards and guesses when the code is played back
+export const encodeReplay = (game) => {
+    const first = game.history[0]?.startingCard ?? game.currentCard;
+    const rounds = game.history.map((round) =>
+        `${GUESSES.indexOf(round.guess) + (round.reshuffled ? GUESSES.length : 0)}${cardChar(round.nextCard)}`);
+
+    const fields = [
+        REPLAY_VERSION,
+        game.mode,
+        rulesKey(game.rules ?? DEFAULT_RULES),
+        `${game.scoring === 'pot' ? 'p' : 's'}${game.assisted ? 'a' : ''}`,
+        game.shoe?.deckCount ?? 1,
+        game.mode === 'ranked' ? '' : game.seed,
+        ENDINGS[game.lastRound?.outcome] ?? '',
+        `${cardChar(first)}${rounds.join('')}`
+    ].join('.');
+
+    return `${fields}.${checksum(fields)}`;
+};
+
+export const decodeReplay = (code) => {
+    const parts = String(code).trim().split('.');
+    if (parts.length !== 9) {
+        throw new ReplayError('not-a-replay', 'This is not a Streets replay code.');
+    }
+
+    const [version, mode, key, flags, deckCount, seed, ending, body, sum] = parts;
+    if (version !== REPLAY_VERSION) {
+        throw new ReplayError('other-version', 'This replay code was made by a different version of Streets.');
+    }
+    if (checksum(parts.slice(0, -1).join('.')) !== sum) {
+        throw new ReplayError('mistyped', 'This replay code is incomplete or mistyped.');
+    }
+
+    const rules = parseRulesKey(key);
+    if (!MODES.includes(mode) || !rules || !/^[sp]a?$/.test(flags)
+        || !DECK_COUNT_OPTIONS.includes(Number(deckCount)) || !/^(|[ct])$/.test(ending)
+        || !/^[A-Za-z]([0-5][A-Za-z])*$/.test(body) || (mode === 'ranked') === Boolean(seed)
+        || (mode === 'daily' && key !== '')) {
+        throw new ReplayError('not-a-replay', 'This is not a Streets replay code.');
+    }
+
+    const rounds = [];
+    for (let i = 1; i < body.length; i += 2) {
+        const guess = Number(body.charAt(i));
+        rounds.push({
+            guess: GUESSES[guess % GUESSES.length],
+            reshuffled: guess >= GUESSES.length,
+            nextCard: charCard(body.charAt(i + 1))
+        });
+    }
+
+    return {
+        code: parts.join('.'),
+        mode,
+        rules,
+        scoring: flags.startsWith('p') ? 'pot' : 'streak',
+        assisted: flags.endsWith('a'),
+        deckCount: Number(deckCount),
+        seed: seed || null,
+        ending: Object.keys(ENDINGS).find((outcome) => ENDINGS[outcome] === ending) ?? null,
+        firstCard: charCard(body.charAt(0)),
+        rounds
+    };
+};
+
+const invalid = () => new ReplayError('impossible-deal', 'The cards in this replay could not have been dealt this way.');
+
+// Seeded games are dealt again from their seed, so every card has to match the code.
+// Server-dealt shoes can't be re-created, so their cards are only checked for being
+// possible: no card more often than the shoe holds it between reshuffles.
+const createDealer = (replay) => {
+    const allowTies = allowsTies(replay.rules);
+
+    if (replay.seed) {
+        const {card, shoe} = drawCard(createShoe(replay.deckCount, {rngState: hashSeed(replay.seed)}));
+        if (!isSameCard(card, replay.firstCard)) {
+            throw invalid();
+        }
+        return {
+            shoe,
+            deal: (game, round) => {
+                const dealt = drawCard(game.shoe, {previous: game.currentCard, allowTies});
+                if (!isSameCard(dealt.card, round.nextCard)) {
+                    throw invalid();
+                }
+                return dealt.shoe;
+            }
+        };
+    }
+
+    let inShoe = [replay.firstCard];
+    return {
+        shoe: {deckCount: replay.deckCount, size: replay.deckCount * DECK_SIZE, reshuffles: 0},
+        deal: (game, round) => {
+            inShoe = round.reshuffled ? [game.currentCard, round.nextCard] : [...inShoe, round.nextCard];
+            const copies = inShoe.filter((card) => isSameCard(card, round.nextCard)).length;
+            if (copies > replay.deckCount || (!allowTies && round.nextCard.rank.value === game.currentCard.rank.value)) {
+                throw invalid();
+            }
+            return {...game.shoe, reshuffles: game.shoe.reshuffles + (round.reshuffled ? 1 : 0)};
+        }
+    };
+};
+
+// The game after every round of a decoded replay, starting with the first card on the table
+export const replayFrames = (replay) => {
+    const dealer = createDealer(replay);
+    let game = {
+        status: 'guessing',
+        mode: replay.mode,
+        seed: replay.seed,
+        rules: replay.rules,
+        assisted: replay.assisted,
+        scoring: replay.scoring,
+        currentCard: replay.firstCard,
+        score: 0,
+        pot: 0,
+        lostPot: 0,
+        lives: replay.rules.lives,
+        endsAt: null,
+        history: [],
+        lastRound: null,
+        shoe: dealer.shoe
+    };
+    const frames = [game];
+
+    replay.rounds.forEach((round) => {
+        if (game.status !== 'guessing') {
+            throw invalid();
+        }
+        const odds = guessOdds(game.currentCard, drawPool(game, replay.rules), replay.rules);
+        const shoe = dealer.deal(game, round);
+        // A guess can only have won if the odds gave it a chance
+        if (judgeGuess(game.currentCard, round.nextCard, round.guess, replay.rules) === 'win'
+            && !(odds[round.guess] > 0)) {
+            throw invalid();
+        }
+        game = {
+            ...resolveRound(game, {
+                direction: round.guess,
+                nextCard: round.nextCard,
+                odds,
+                ...(replay.seed ? {} : {reshuffled: round.reshuffled})
+            }),
+            shoe
+        };
+        frames.push(game);
+    });
+
+    if (replay.ending === 'cashed-out' && game.status === 'guessing' && game.pot > 0) {
+        frames.push(cashOut(game));
+    } else if (replay.ending === 'time-up' && game.status === 'guessing' && replay.rules.blitz) {
+        frames.push(runOutOfTime(game));
+    } else if (replay.ending || game.status !== 'finished') {
+        throw new ReplayError('unfinished', 'This replay doesn\'t end the way a finished game does.');
+    }
+
+    return frames;
+};
@@ -0,0 +1,72 @@
+import {cardFromCode} from './cards.js';
+import {currentOdds, playGuess, startGame} from './engine.js';
+import {betterGuess} from './odds.js';
+import {hashSeed} from './random.js';
+import {decodeReplay, encodeReplay, ReplayError, replayFrames} from './replay.js';
+import {DEFAULT_RULES} from './rules.js';
+import {potPayout} from './scoring.js';
+
+const play = (options) => {
+    let game = startGame({now: 0, ...options});
+    while (game.status === 'guessing') {
+        game = playGuess(game, betterGuess(currentOdds(game)) ?? 'lower', {now: null});
+    }
+    return game;
+};
+
+// Re-signs an edited code so it gets past the checksum and reaches the deal checks
+const resign = (code) => {
+    const fields = code.split('.').slice(0, -1).join('.');
+    return `${fields}.${hashSeed(fields).toString(36)}`;
+};
+
+test('plays a shared game back to the same score', () => {
+    const game = play({seed: 'replay', rules: {...DEFAULT_RULES, lives: 3, ties: 'push'}});
+    const replay = decodeReplay(encodeReplay(game));
+
+    expect(replay).toMatchObject({mode: 'classic', seed: 'replay', scoring: 'streak', rules: game.rules});
+    const frames = replayFrames(replay);
+    expect(frames).toHaveLength(game.history.length + 1);
+    expect(frames[frames.length - 1].score).toBe(game.score);
+});
+
+test('rejects codes that are not replays', () => {
+    expect(() => decodeReplay('hello')).toThrow(ReplayError);
+    expect(() => decodeReplay(encodeReplay(play({seed: 'v'})).replace(/^1\./, '2.')))
+        .toThrow('different version');
+});
+
+test('rejects codes whose checksum does not match', () => {
+    const code = encodeReplay(play({seed: 'sum'}));
+
+    expect(() => decodeReplay(code.replace('.sum.', '.mus.'))).toThrow(ReplayError);
+});
+
+test('rejects cards the seed would not have dealt', () => {
+    const code = encodeReplay(play({seed: 'deal'}));
+    const fields = code.split('.');
+    const body = fields[7];
+    fields[7] = `${body.slice(0, -1)}${body.endsWith('A') ? 'B' : 'A'}`;
+
+    expect(() => replayFrames(decodeReplay(resign(fields.join('.'))))).toThrow('could not have been dealt');
+});
+
+test('rejects a forged win the odds gave no chance', () => {
+    // Every ace is dealt, then "higher" on a king wins with an ace from a claimed reshuffle
+    const cards = ['2S', 'AS', '3S', 'AH', '4S', 'AD', '5S', 'AC', 'KS', 'AS', '2H'].map(cardFromCode);
+    const guesses = ['higher', 'lower', 'higher', 'lower', 'higher', 'lower', 'higher', 'lower', 'higher', 'higher'];
+    const history = guesses.map((guess, index) => ({
+        guess,
+        startingCard: cards[index],
+        nextCard: cards[index + 1],
+        reshuffled: index === 8
+    }));
+    const code = encodeReplay({mode: 'ranked', rules: DEFAULT_RULES, scoring: 'pot', shoe: {deckCount: 1}, history});
+
+    expect(() => replayFrames(decodeReplay(code))).toThrow('could not have been dealt');
+});
+
+test('pays nothing for a guess that had no chance', () => {
+    expect(potPayout(0.5)).toBe(10);
+    expect(() => potPayout(0)).toThrow(RangeError);
+});
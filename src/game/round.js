@@ -0,0 +1,70 @@
+import {betterGuess} from './odds.js';
+import {DEFAULT_RULES, guessOptions, judgeGuess} from './rules.js';
+import {bankedScore, scoreGuess} from './scoring.js';
+
+const OUTCOMES = {
+    win: 'correct',
+    push: 'push'
+};
+
+// Applies a guess to a game once the next card is known. Shared by locally dealt
+// games and the server, so both judge and score every variant the same way.
+export const resolveRound = (game, {direction, nextCard, odds, reshuffled, playedAt}) => {
+    const rules = game.rules ?? DEFAULT_RULES;
+    const result = judgeGuess(game.currentCard, nextCard, direction, rules);
+    const probability = odds[direction];
+    const {score, pot, payout} = scoreGuess(game, {result, probability});
+    const lives = result === 'lose' ? game.lives - 1 : game.lives;
+    const isOver = lives <= 0;
+
+    const round = {
+        id: game.history.length + 1,
+        guess: direction,
+        startingCard: game.currentCard,
+        nextCard,
+        result,
+        success: result === 'win',
+        odds: probability,
+        // The guess the odds favored among the options of the rule set, null on a coin flip
+        favored: betterGuess(odds, guessOptions(rules)),
+        payout,
+        ...(reshuffled === undefined ? {} : {reshuffled}),
+        ...(playedAt ? {playedAt} : {})
+    };
+
+    return {
+        ...game,
+        status: isOver ? 'finished' : 'guessing',
+        currentCard: nextCard,
+        score,
+        pot,
+        lives,
+        lostPot: result === 'lose' ? game.pot : 0,
+        history: [...game.history, round],
+        lastRound: {
+            outcome: OUTCOMES[result] ?? (isOver ? 'failed' : 'missed'),
+            round
+        }
+    };
+};
+
+const finishWith = (game, outcome) => ({
+    ...game,
+    status: 'finished',
+    score: bankedScore(game),
+    lastRound: {
+        outcome,
+        round: game.lastRound?.round ?? null
+    }
+});
+
+export const canCashOut = (game) => game.status === 'guessing' && game.scoring === 'pot' && game.pot > 0;
+
+export const cashOut = (game) => (canCashOut(game) ? finishWith(game, 'cashed-out') : game);
+
+export const isTimeUp = (game, now = Date.now()) => Boolean(game.endsAt) && now >= game.endsAt;
+
+// Blitz games end when the clock runs out, banking whatever was scored so far
+export const runOutOfTime = (game) => (game.status === 'guessing' ? finishWith(game, 'time-up') : game);
+
+export const endIfTimeUp = (game, now = Date.now()) => (isTimeUp(game, now) ? runOutOfTime(game) : game);
@@ -0,0 +1,75 @@
+export const BLITZ_SECONDS = 60;
+
+export const LIVES_OPTIONS = [1, 3, 5];
+
+// never: equal ranks are never dealt in a row, push: a tie neither scores nor costs you,
+// same: only a "Same" guess wins a tie
+export const TIE_RULES = ['never', 'push', 'same'];
+
+export const DEFAULT_RULES = {
+    lives: 1,
+    ties: 'never',
+    aceLow: false,
+    blitz: false
+};
+
+// Fills in defaults and drops anything that isn't a known variant, so rules coming
+// from storage, share codes or requests can be trusted
+export const normalizeRules = (rules = {}) => ({
+    lives: LIVES_OPTIONS.includes(rules?.lives) ? rules.lives : DEFAULT_RULES.lives,
+    ties: TIE_RULES.includes(rules?.ties) ? rules.ties : DEFAULT_RULES.ties,
+    aceLow: rules?.aceLow === true,
+    blitz: rules?.blitz === true
+});
+
+export const allowsTies = (rules) => rules.ties !== 'never';
+
+export const guessOptions = (rules) => (rules.ties === 'same' ? ['higher', 'same', 'lower'] : ['higher', 'lower']);
+
+export const rankValue = (card, rules) => (rules.aceLow && card.rank.value === 14 ? 1 : card.rank.value);
+
+// Judges a guess as 'win', 'lose' or 'push'
+export const judgeGuess = (currentCard, nextCard, guess, rules) => {
+    const current = rankValue(currentCard, rules);
+    const next = rankValue(nextCard, rules);
+
+    if (next === current) {
+        if (guess === 'same') {
+            return 'win';
+        }
+        return rules.ties === 'push' ? 'push' : 'lose';
+    }
+
+    if (guess === 'same') {
+        return 'lose';
+    }
+    return (guess === 'higher') === (next > current) ? 'win' : 'lose';
+};
+
+// Short id of a rule set, empty for the standard rules; used to keep high scores
+// and leaderboards of every variant apart
+export const rulesKey = (rules) => [
+    rules.lives > 1 ? `l${rules.lives}` : null,
+    rules.ties !== 'never' ? rules.ties : null,
+    rules.aceLow ? 'acelow' : null,
+    rules.blitz ? 'blitz' : null
+].filter(Boolean).join('-');
+
+// Reverses rulesKey; null when the key isn't one rulesKey would produce
+export const parseRulesKey = (key) => {
+    const rules = {...DEFAULT_RULES};
+    for (const part of key ? key.split('-') : []) {
+        if (/^l\d+$/.test(part)) {
+            rules.lives = Number(part.slice(1));
+        } else if (part === 'push' || part === 'same') {
+            rules.ties = part;
+        } else if (part === 'acelow' || part === 'blitz') {
+            rules[part === 'acelow' ? 'aceLow' : 'blitz'] = true;
+        } else {
+            return null;
+        }
+    }
+
+    const normalized = normalizeRules(rules);
+    return rulesKey(normalized) === key ? normalized : null;
+};
@@ -0,0 +1,41 @@
+import {cardFromCode} from './cards.js';
+import {DEFAULT_RULES, guessOptions, judgeGuess, normalizeRules, parseRulesKey, rulesKey} from './rules.js';
+
+test('drops unknown variants and fills in defaults', () => {
+    expect(normalizeRules({lives: 4, ties: 'maybe', aceLow: 'yes', extra: true})).toEqual(DEFAULT_RULES);
+    expect(normalizeRules({lives: 3, ties: 'push', aceLow: true, blitz: true}))
+        .toEqual({lives: 3, ties: 'push', aceLow: true, blitz: true});
+    expect(normalizeRules(null)).toEqual(DEFAULT_RULES);
+});
+
+test('offers "Same" only when it can win', () => {
+    expect(guessOptions(DEFAULT_RULES)).toEqual(['higher', 'lower']);
+    expect(guessOptions({...DEFAULT_RULES, ties: 'same'})).toEqual(['higher', 'same', 'lower']);
+});
+
+test('judges guesses under every tie rule', () => {
+    const five = cardFromCode('5S');
+
+    expect(judgeGuess(five, cardFromCode('9H'), 'higher', DEFAULT_RULES)).toBe('win');
+    expect(judgeGuess(five, cardFromCode('9H'), 'lower', DEFAULT_RULES)).toBe('lose');
+    expect(judgeGuess(five, cardFromCode('5H'), 'higher', {...DEFAULT_RULES, ties: 'push'})).toBe('push');
+    expect(judgeGuess(five, cardFromCode('5H'), 'same', {...DEFAULT_RULES, ties: 'same'})).toBe('win');
+    expect(judgeGuess(five, cardFromCode('5H'), 'lower', {...DEFAULT_RULES, ties: 'same'})).toBe('lose');
+    expect(judgeGuess(cardFromCode('AS'), five, 'higher', {...DEFAULT_RULES, aceLow: true})).toBe('win');
+});
+
+test('round-trips rule keys', () => {
+    const rules = {lives: 3, ties: 'same', aceLow: true, blitz: true};
+
+    expect(rulesKey(DEFAULT_RULES)).toBe('');
+    expect(rulesKey(rules)).toBe('l3-same-acelow-blitz');
+    expect(parseRulesKey(rulesKey(rules))).toEqual(rules);
+    expect(parseRulesKey('')).toEqual(DEFAULT_RULES);
+});
+
+test('rejects keys rulesKey would not produce', () => {
+    expect(parseRulesKey('l4')).toBeNull();
+    expect(parseRulesKey('blitz-acelow')).toBeNull();
+    expect(parseRulesKey('l1')).toBeNull();
+    expect(parseRulesKey('turbo')).toBeNull();
+});
@@ -0,0 +1,34 @@
+// streak: every correct guess is worth 1 point, pot: push your luck, long shots pay more
+// and the pot is only banked by cashing out before a miss
+export const SCORING_MODES = ['streak', 'pot'];
+
+export const DEFAULT_SCORING = 'streak';
+
+// Pays ten points per unit of the odds against the guess: a coin flip is worth 10,
+// a near-certain guess still 1, and calling "higher" on a 2 that must win pays 1.
+// A guess that had no chance can't have won, so there is no payout for it.
+export const potPayout = (probability) => {
+    if (!(probability > 0 && probability <= 1)) {
+        throw new RangeError(`A winning guess needs odds above 0 and at most 1, not ${probability}.`);
+    }
+    return Math.max(1, Math.round((10 * (1 - probability)) / probability));
+};
+
+// Score and pot after a guess judged 'win', 'lose' or 'push'; a miss in
+// push-your-luck mode loses the pot, a push leaves everything as it was
+export const scoreGuess = ({scoring, score, pot}, {result, probability}) => {
+    if (result === 'push') {
+        return {score, pot, payout: 0};
+    }
+
+    const success = result === 'win';
+    if (scoring !== 'pot') {
+        return {score: success ? score + 1 : score, pot: 0, payout: success ? 1 : 0};
+    }
+
+    const payout = success ? potPayout(probability) : 0;
+    return {score, pot: success ? pot + payout : 0, payout};
+};
+
+// What a finished game banks: the streak score, or whatever is left in the pot
+export const bankedScore = ({scoring, score, pot}) => (scoring === 'pot' ? pot : score);
@@ -0,0 +1,28 @@
+// Pushes neither extend nor break a streak; any other miss ends it
+
+export const longestStreak = (history) => {
+    let best = 0;
+    let current = 0;
+    history.forEach((round) => {
+        if (round.success) {
+            current += 1;
+            best = Math.max(best, current);
+        } else if (round.result !== 'push') {
+            current = 0;
+        }
+    });
+    return best;
+};
+
+// The rounds of the streak the game is on right now
+export const currentStreak = (history) => {
+    const streak = [];
+    for (let i = history.length - 1; i >= 0; i -= 1) {
+        if (history[i].success) {
+            streak.unshift(history[i]);
+        } else if (history[i].result !== 'push') {
+            break;
+        }
+    }
+    return streak;
+};
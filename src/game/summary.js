@@ -0,0 +1,12 @@
+import {longestStreak} from './streaks.js';
+
+export const ENDINGS = ['failed', 'cashed-out', 'time-up'];
+
+// A finished game in a few numbers, for places that don't need every card
+export const summarizeHistory = (game) => ({
+    rounds: game.history.length,
+    correct: game.history.filter((round) => round.success).length,
+    pushes: game.history.filter((round) => round.result === 'push').length,
+    longestStreak: longestStreak(game.history),
+    ending: ENDINGS.includes(game.lastRound?.outcome) ? game.lastRound.outcome : null
+});
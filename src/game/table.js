@@ -0,0 +1,146 @@
+import {createShoe, drawCard} from './deck.js';
+import {hashSeed} from './random.js';
+
+export const TABLE_DECK_COUNT = 1;
+
+export const createTable = () => ({
+    status: 'waiting',
+    seed: null,
+    currentCard: null,
+    history: [],
+    lastRound: null,
+    shoe: null,
+    seats: [],
+    turn: null,
+    winnerId: null
+});
+
+export const activeSeats = (table) => table.seats.filter((seat) => seat.status === 'playing');
+
+// Next seat after playerId (wrapping around) that is still in the game
+const nextTurn = (seats, playerId) => {
+    const start = seats.findIndex((seat) => seat.id === playerId);
+    for (let offset = 1; offset <= seats.length; offset += 1) {
+        const seat = seats[(start + offset) % seats.length];
+        if (seat.status === 'playing') {
+            return seat.id;
+        }
+    }
+    return null;
+};
+
+// A shared table ends when one player is left standing, or when the last player
+// of a single-seat table misses
+const settle = (table, playerId) => {
+    const remaining = activeSeats(table);
+    const isOver = remaining.length === 0 || (table.seats.length > 1 && remaining.length === 1);
+
+    if (isOver) {
+        return {
+            ...table,
+            status: 'finished',
+            turn: null,
+            winnerId: remaining[0]?.id ?? null
+        };
+    }
+
+    return {
+        ...table,
+        turn: nextTurn(table.seats, playerId)
+    };
+};
+
+const startTable = (table, {players, seed}) => {
+    if (table.status === 'guessing' || players.length === 0) {
+        return table;
+    }
+
+    const {card, shoe} = drawCard(createShoe(TABLE_DECK_COUNT, {rngState: hashSeed(seed)}));
+
+    return {
+        ...createTable(),
+        status: 'guessing',
+        seed,
+        currentCard: card,
+        shoe,
+        seats: players.map(({id, name, avatarUrl}) => ({id, name, avatarUrl, status: 'playing', score: 0})),
+        turn: players[0].id
+    };
+};
+
+const guess = (table, {playerId, direction}) => {
+    if (table.status !== 'guessing' || table.turn !== playerId) {
+        return table;
+    }
+
+    const {card: nextCard, shoe} = drawCard(table.shoe, {previous: table.currentCard});
+    const success =
+        direction === 'higher'
+            ? nextCard.rank.value >= table.currentCard.rank.value
+            : nextCard.rank.value <= table.currentCard.rank.value;
+
+    const round = {
+        id: table.history.length + 1,
+        playerId,
+        guess: direction,
+        startingCard: table.currentCard,
+        nextCard,
+        success
+    };
+
+    const seats = table.seats.map((seat) => {
+        if (seat.id !== playerId) {
+            return seat;
+        }
+        return success
+            ? {...seat, score: seat.score + 1}
+            : {...seat, status: 'eliminated'};
+    });
+
+    return settle({
+        ...table,
+        currentCard: nextCard,
+        shoe,
+        seats,
+        history: [...table.history, round],
+        lastRound: {
+            outcome: success ? 'correct' : 'failed',
+            round
+        }
+    }, playerId);
+};
+
+const leave = (table, {playerId}) => {
+    const seat = table.seats.find((candidate) => candidate.id === playerId);
+    if (table.status !== 'guessing' || seat?.status !== 'playing') {
+        return table;
+    }
+
+    const seats = table.seats.map((candidate) =>
+        candidate.id === playerId ? {...candidate, status: 'left'} : candidate
+    );
+    const updated = {...table, seats};
+
+    if (table.turn !== playerId && activeSeats(updated).length > 1) {
+        return updated;
+    }
+
+    return settle(updated, playerId);
+};
+
+// Pure reducer run by the table host; every other participant only renders the
+// snapshots it publishes through the relay
+export const applyTableAction = (table, action) => {
+    switch (action.type) {
+        case 'start':
+            return startTable(table, action);
+        case 'guess':
+            return guess(table, action);
+        case 'leave':
+            return leave(table, action);
+        case 'reset':
+            return table.status === 'guessing' ? table : createTable();
+        default:
+            return table;
+    }
+};
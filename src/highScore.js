@@ -0,0 +1,29 @@
+import {rulesKey} from './game/rules';
+
+const HIGH_SCORE_STORAGE_KEY = 'streets_high_score';
+
+// Daily and ranked games, rule variants, assisted games and push-your-luck scores aren't
+// comparable to a plain classic streak, so each keeps a high score of its own (the
+// standard classic game keeps the original key)
+export const highScoreKey = ({mode, rules, scoring, assisted}) => [
+    HIGH_SCORE_STORAGE_KEY,
+    mode && mode !== 'classic' ? mode : null,
+    rules ? rulesKey(rules).replace(/-/g, '_') : null,
+    scoring === 'pot' ? 'pot' : null,
+    assisted ? 'assisted' : null
+].filter(Boolean).join('_');
+
+export const readHighScore = (key) => {
+    if (typeof window === 'undefined') {
+        return 0;
+    }
+
+    const parsed = parseInt(window.localStorage.getItem(key), 10);
+    return !Number.isNaN(parsed) && parsed >= 0 ? parsed : 0;
+};
+
+export const writeHighScore = (key, score) => {
+    if (typeof window !== 'undefined') {
+        window.localStorage.setItem(key, String(score));
+    }
+};
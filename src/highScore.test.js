@@ -0,0 +1,31 @@
+import {DEFAULT_RULES} from './game/rules';
+import {highScoreKey, readHighScore, writeHighScore} from './highScore';
+
+const game = (overrides) => ({mode: 'classic', rules: DEFAULT_RULES, scoring: 'streak', assisted: false, ...overrides});
+
+test('keeps the original key for the standard classic game', () => {
+    expect(highScoreKey(game())).toBe('streets_high_score');
+});
+
+test('keeps a high score per mode, rule set, scoring and assist', () => {
+    const keys = [
+        game(),
+        game({mode: 'daily'}),
+        game({mode: 'ranked'}),
+        game({rules: {...DEFAULT_RULES, lives: 3}}),
+        game({scoring: 'pot'}),
+        game({assisted: true}),
+        game({mode: 'ranked', scoring: 'pot', assisted: true})
+    ].map(highScoreKey);
+
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(highScoreKey(game({mode: 'ranked', scoring: 'pot', assisted: true}))).toBe('streets_high_score_ranked_pot_assisted');
+});
+
+test('reads back what was written and ignores anything else', () => {
+    writeHighScore('streets_high_score_daily', 12);
+    expect(readHighScore('streets_high_score_daily')).toBe(12);
+
+    window.localStorage.setItem('streets_high_score_ranked', 'lots');
+    expect(readHighScore('streets_high_score_ranked')).toBe(0);
+});
@@ -0,0 +1,66 @@
+import {createContext, useCallback, useContext, useEffect, useMemo, useState} from 'react';
+import {useDiscord} from '../discord/DiscordProvider';
+import {createTranslator, DEFAULT_LOCALE, LOCALES, matchLocale} from './translate';
+
+const LOCALE_STORAGE_KEY = 'streets_locale';
+
+const I18nContext = createContext(null);
+
+const readChosenLocale = () => {
+    if (typeof window === 'undefined') {
+        return null;
+    }
+    return matchLocale(window.localStorage.getItem(LOCALE_STORAGE_KEY));
+};
+
+const browserLocale = () => {
+    if (typeof navigator === 'undefined') {
+        return null;
+    }
+    return (navigator.languages ?? [navigator.language]).map(matchLocale).find(Boolean) ?? null;
+};
+
+// Picks the language: the player's own choice first, then the locale of their Discord
+// client when connected, then the browser's, and English when none of them is shipped
+export function I18nProvider({children}) {
+    const {discordProfile} = useDiscord();
+
+    const [chosenLocale, setChosenLocale] = useState(readChosenLocale);
+
+    const detectedLocale = matchLocale(discordProfile?.locale) ?? browserLocale() ?? DEFAULT_LOCALE;
+    const locale = chosenLocale ?? detectedLocale;
+
+    useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    // null goes back to the detected language
+    const setLocale = useCallback((id) => {
+        const next = matchLocale(id);
+        if (next) {
+            window.localStorage.setItem(LOCALE_STORAGE_KEY, next);
+        } else {
+            window.localStorage.removeItem(LOCALE_STORAGE_KEY);
+        }
+        setChosenLocale(next);
+    }, []);
+
+    const value = useMemo(() => ({
+        locale,
+        chosenLocale,
+        detectedLocale,
+        locales: LOCALES,
+        setLocale,
+        t: createTranslator(locale)
+    }), [locale, chosenLocale, detectedLocale, setLocale]);
+
+    return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export const useI18n = () => {
+    const value = useContext(I18nContext);
+    if (!value) {
+        throw new Error('useI18n must be used inside an I18nProvider.');
+    }
+    return value;
+};
@@ -0,0 +1,20 @@
+import {BLITZ_SECONDS} from '../game/rules';
+
+// Card and rule wording that depends on the language. Decks differ too: German decks
+// mark the court cards B, D, K (Bube, Dame, König) and the ace A.
+
+export const rankLabel = (t, rank) => (rank.value > 10 ? t(`rank.short.${rank.label}`) : rank.label);
+
+export const cardLabel = (t, card) => `${rankLabel(t, card.rank)}${card.suit.symbol}`;
+
+export const cardName = (t, card) => t('card.name', {
+    rank: t(`rank.name.${card.rank.value}`),
+    suit: t(`suit.${card.suit.name}`)
+});
+
+export const describeRules = (t, rules) => [
+    t('rules.guess', {range: t(rules.aceLow ? 'rules.range.aceLow' : 'rules.range.aceHigh')}),
+    t(`rules.ties.${rules.ties}`),
+    rules.lives > 1 ? t('rules.lives', {count: rules.lives}) : t('rules.singleLife'),
+    rules.blitz ? t('rules.blitz', {seconds: BLITZ_SECONDS}) : null
+].filter(Boolean);
@@ -0,0 +1,389 @@
+const de = {
+    'language.label': 'Sprache',
+    'language.automatic': 'Automatisch ({language})',
+
+    'connection.pending': 'Discord-Activity-Umgebung wird erkannt...',
+    'connection.standalone': 'Kein Discord SDK gefunden. Die Vorschau läuft eigenständig.',
+    'connection.connecting': 'Verbindung mit der Discord Activity wird hergestellt...',
+    'connection.connected': 'Mit der Discord Activity verbunden.',
+    'connection.authorizing': 'Warte darauf, dass du Streets in Discord autorisierst...',
+    'connection.retrying': 'Verbindung mit Discord fehlgeschlagen, neuer Versuch ({attempt} von {attempts})...',
+    'connection.error': 'Verbindung mit der Discord Activity fehlgeschlagen: {error}',
+    'connection.retry': 'Erneut versuchen',
+
+    'profile.avatar': 'Avatar von {name}',
+    'profile.guest': 'Gast',
+    'footer.poweredBy': 'Powered by YOINC.',
+
+    'rank.short.J': 'B',
+    'rank.short.Q': 'D',
+    'rank.short.K': 'K',
+    'rank.short.A': 'A',
+    'rank.name.2': 'Zwei',
+    'rank.name.3': 'Drei',
+    'rank.name.4': 'Vier',
+    'rank.name.5': 'Fünf',
+    'rank.name.6': 'Sechs',
+    'rank.name.7': 'Sieben',
+    'rank.name.8': 'Acht',
+    'rank.name.9': 'Neun',
+    'rank.name.10': 'Zehn',
+    'rank.name.11': 'Bube',
+    'rank.name.12': 'Dame',
+    'rank.name.13': 'König',
+    'rank.name.14': 'Ass',
+    'suit.spades': 'Pik',
+    'suit.hearts': 'Herz',
+    'suit.clubs': 'Kreuz',
+    'suit.diamonds': 'Karo',
+    'card.name': '{suit} {rank}',
+    'card.none': 'Keine Karte ausgeteilt',
+
+    'mode.classic': 'Klassisch',
+    'mode.daily': 'Daily Street',
+    'mode.ranked': 'Rangliste',
+    'scoring.streak.title': 'Serie',
+    'scoring.streak.label': 'Serie – jeder richtige Tipp zählt 1 Punkt',
+    'scoring.pot.title': 'Alles oder nichts',
+    'scoring.pot.label': 'Alles oder nichts – Außenseitertipps zahlen mehr, kassiere, bevor du danebenliegst',
+    'ties.never': 'Nie – gleiche Werte folgen nie direkt aufeinander',
+    'ties.push': 'Unentschieden – Gleichstand bringt und kostet nichts',
+    'ties.same': 'Ansagen – nur ein Tipp auf „Gleich“ gewinnt bei Gleichstand',
+    'guess.higher': 'Höher',
+    'guess.lower': 'Tiefer',
+    'guess.same': 'Gleich',
+    'tag.assisted': 'Mit Hilfe',
+
+    'rules.guess': 'Sag voraus, ob die nächste Karte höher oder tiefer ist als die aktuelle. Die Karten reichen von {range}.',
+    'rules.range.aceLow': 'Ass (niedrig) bis König',
+    'rules.range.aceHigh': '2 bis Ass',
+    'rules.ties.never': 'Zwei Karten mit gleichem Wert folgen nie aufeinander, es gibt also keinen Gleichstand.',
+    'rules.ties.push': 'Gleiche Werte können aufeinander folgen; ein Gleichstand bringt und kostet nichts.',
+    'rules.ties.same': 'Gleiche Werte können aufeinander folgen; tippe auf „Gleich“, um einen Gleichstand zu gewinnen, '
+        + 'höher oder tiefer verliert ihn.',
+    'rules.lives': 'Du hast {count} Leben: Jeder Fehler kostet eins, und das Spiel endet, wenn alle weg sind.',
+    'rules.singleLife': 'Ein Fehler und das Spiel ist vorbei.',
+    'rules.blitz': 'Blitz: Du hast {seconds} Sekunden für so viele richtige Tipps wie möglich.',
+
+    'howToPlay.title': 'So wird gespielt',
+    'howToPlay.pot': 'Jeder richtige Tipp füllt einen Pott, der umso mehr zahlt, je unwahrscheinlicher der Tipp war; '
+        + 'kassiere ihn, denn ein Fehler kostet ihn ganz.',
+    'howToPlay.streak': 'Jeder richtige Tipp bringt 1 Punkt.',
+    'howToPlay.shoe': 'Die Karten kommen aus einem gemischten Schlitten und werden nicht zurückgelegt, also zähl mit: '
+        + 'Neu gemischt wird erst, wenn er leer ist. Mit dem Hilfsmodus siehst du die Chancen jedes Tipps.',
+
+    'resume.pot': {
+        one: 'Weiterspielen mit {count} Punkt im Pott?',
+        other: 'Weiterspielen mit {count} Punkten im Pott?'
+    },
+    'resume.streak': 'Deine Serie von {count} fortsetzen?',
+    'resume.resume': 'Weiterspielen',
+    'resume.discard': 'Verwerfen',
+    'resume.elsewhere': 'Dieses Spiel wurde in einem anderen Fenster fortgesetzt.',
+    'resume.changed': 'Dieses Spiel wurde inzwischen in einem anderen Fenster weitergespielt oder verloren.',
+    'idle.noRound': 'Du hast noch keine Runde gestartet.',
+
+    'update.available': 'Eine neue Version von Streets ist bereit.',
+    'update.reload': 'Neu laden',
+    'update.later': 'Später',
+
+    'options.decks': 'Decks im Schlitten',
+    'options.deckCount': {
+        one: '{count} Deck ({cards} Karten)',
+        other: '{count} Decks ({cards} Karten)'
+    },
+    'options.scoring': 'Wertung',
+    'options.lives': 'Leben',
+    'options.livesCount': {
+        one: '{count} Leben',
+        other: '{count} Leben'
+    },
+    'options.ties': 'Gleichstand',
+    'options.aceLow': 'Asse sind niedrig',
+    'options.blitz': 'Blitz: {seconds} Sekunden auf der Uhr',
+    'options.assist': 'Hilfsmodus: Chancen anzeigen (Spiele mit Hilfe werden getrennt gewertet)',
+    'options.highContrastSuits': 'Kontrastreiche Farben: jede Farbe in einer eigenen Farbe',
+
+    'actions.start': 'Spiel starten',
+    'actions.sharedTable': 'Gemeinsamer Tisch',
+    'actions.showStats': 'Deine Statistik',
+    'actions.hideStats': 'Statistik ausblenden',
+    'actions.showAchievements': 'Erfolge',
+    'actions.hideAchievements': 'Erfolge ausblenden',
+    'actions.playAgain': 'Nochmal spielen',
+    'actions.cashOut': {
+        one: '{count} Punkt kassieren',
+        other: '{count} Punkte kassieren'
+    },
+    'actions.guessHigher': 'Höher tippen',
+    'actions.guessLower': 'Tiefer tippen',
+    'actions.guessSame': 'Gleich tippen',
+
+    'daily.started': 'Du hast die heutige Daily Street schon begonnen. Komm morgen wieder!',
+    'daily.scored': 'Du hast in der heutigen Daily Street {score} erreicht. Komm morgen wieder!',
+    'daily.rules': 'Ein Versuch pro Tag. Alle bekommen dieselben Karten und spielen eine einfache Serie nach den Standardregeln, ohne Hilfe.',
+
+    'table.cardsLeft': {
+        one: 'Noch {count} Karte',
+        other: 'Noch {count} Karten'
+    },
+    'table.reshuffled': ' · {count}× neu gemischt',
+
+    'result.correct': 'Richtig! Die nächste Karte war {card}.',
+    'result.payout': ' Das brachte {payout}.',
+    'result.push': 'Gleichstand! Die nächste Karte war {card}, es ändert sich nichts.',
+    'result.missed': 'Daneben! Die nächste Karte war {card}.',
+    'result.livesLeft': {
+        one: ' Noch {count} Leben.',
+        other: ' Noch {count} Leben.'
+    },
+    'result.potLost': {
+        one: ' Dein Pott von {count} Punkt ist weg.',
+        other: ' Dein Pott von {count} Punkten ist weg.'
+    },
+    'result.failed': 'Spiel vorbei! Du hast auf {guess} getippt, aber die nächste Karte war {card}.',
+    'result.timeUp': 'Die Zeit ist um!',
+    'result.cashedOut': 'Du hast den Pott kassiert!',
+    'result.bankedTotal': 'Kassiert: {score}',
+    'result.finalScore': 'Dein Endstand: {score}',
+    'result.seed': 'Seed: {seed}',
+    'result.dailySeed': 'Daily Street {date} · Seed: {seed}',
+
+    'fairness.pending': 'Die ausgeteilten Karten werden geprüft...',
+    'fairness.verified': 'Deck geprüft: Jede Karte passt zu der Mischung, auf die sich der Server festgelegt hat.',
+    'fairness.failed': 'Deckprüfung fehlgeschlagen: {reason}',
+    'fairness.reason.shoe-count': 'Der Server hat eine andere Zahl an Schuhen aufgedeckt, als er festgelegt hatte.',
+    'fairness.reason.commitment': 'Schuh {position} passt nicht zu seiner Festlegung.',
+    'fairness.reason.incomplete-shoe': 'Schuh {position} ist kein vollständiger Satz Decks.',
+    'fairness.reason.too-many-cards': 'Der Server hat mehr Karten ausgeteilt, als er festgelegt hatte.',
+    'fairness.reason.out-of-order': 'Karte {position} kam nicht von oben aus dem Schuh.',
+    'fairness.reason.rewritten': 'Der Server hat eine Festlegung mitten im Spiel geändert.',
+    'fairness.reason.error': 'Die aufgedeckten Schuhe konnten nicht geprüft werden.',
+
+    'replay.codeLabel': 'Replay-Code',
+    'replay.placeholder': 'Replay-Code oder Link einfügen',
+    'replay.import': 'Replay öffnen',
+    'replay.share': 'Replay teilen',
+    'replay.linkCopied': 'Replay-Link kopiert.',
+    'replay.codeCopied': 'Replay-Code kopiert.',
+    'replay.copyFailed': 'Kopieren fehlgeschlagen, markiere den Code und kopiere ihn selbst.',
+    'replay.title': 'Replay',
+    'replay.close': 'Replay schließen',
+    'replay.previous': 'Zurück',
+    'replay.next': 'Weiter',
+    'replay.autoplay': 'Abspielen',
+    'replay.pause': 'Pause',
+    'replay.step': 'Schritt {step} von {total}',
+    'replay.seeded': 'Jede Karte wurde aus dem Seed {seed} neu ausgeteilt.',
+    'replay.serverDealt': 'Ungeprüft: Ein Replay eines vom Server ausgeteilten Spiels hat keinen Seed, aus dem es neu ausgeteilt werden kann, also kann es jeder schreiben. Seine Karten wurden nur darauf geprüft, ob sie aus einem Schlitten stammen können, nicht ob der Server sie so ausgeteilt hat.',
+    'replay.unverified': 'Ungeprüft',
+    'replay.frame.first': 'Die erste Karte ist {card}.',
+    'replay.frame.cashedOut': {
+        one: '{count} Punkt kassiert.',
+        other: '{count} Punkte kassiert.'
+    },
+    'replay.frame.timeUp': {
+        one: 'Zeit um mit {count} Punkt.',
+        other: 'Zeit um mit {count} Punkten.'
+    },
+    'replay.frame.round': '{guess} auf {start}, die nächste Karte war {next}: {outcome}.',
+    'replay.outcome.correct': 'richtig',
+    'replay.outcome.push': 'Gleichstand',
+    'replay.outcome.missed': 'daneben',
+    'replay.outcome.failed': 'Spiel vorbei',
+    'replay.error.unknown-card': 'Dieser Replay-Code enthält eine unbekannte Karte.',
+    'replay.error.not-a-replay': 'Das ist kein Streets-Replay-Code.',
+    'replay.error.other-version': 'Dieser Replay-Code stammt aus einer anderen Version von Streets.',
+    'replay.error.mistyped': 'Dieser Replay-Code ist unvollständig oder vertippt.',
+    'replay.error.impossible-deal': 'Die Karten in diesem Replay können so nicht ausgeteilt worden sein.',
+    'replay.error.unfinished': 'Dieses Replay endet nicht wie ein fertiges Spiel.',
+
+    'export.json': 'Als JSON exportieren',
+    'export.csv': 'Als CSV exportieren',
+    'export.scoreCard': 'Ergebniskarte',
+    'export.discord': 'In Discord teilen',
+    'export.shared': 'Ergebniskarte in Discord geteilt.',
+    'export.failed': 'Die Ergebniskarte konnte nicht exportiert werden: {error}',
+
+    'keys.higher': 'höher',
+    'keys.lower': 'tiefer',
+    'keys.same': 'gleich',
+    'keys.cashOut': 'kassieren',
+    'keys.start': 'Spiel starten',
+    'keys.playAgain': 'nochmal spielen',
+    'keys.export': 'exportieren',
+
+    'announce.newGame': 'Neues Spiel. Die erste Karte ist {card}.',
+    'announce.cashedOut': {
+        one: 'Kassiert. Du hast {count} Punkt gesichert.',
+        other: 'Kassiert. Du hast {count} Punkte gesichert.'
+    },
+    'announce.timeUp': 'Die Zeit ist um. Endstand {score}.',
+    'announce.correct': '{card}. Richtig, Stand {score}.',
+    'announce.correctPot': '{card}. Richtig, Pott {pot}.',
+    'announce.push': '{card}. Gleichstand, es ändert sich nichts.',
+    'announce.missed': {
+        one: '{card}. Daneben, noch {count} Leben.',
+        other: '{card}. Daneben, noch {count} Leben.'
+    },
+    'announce.failed': '{card}. Spiel vorbei, Endstand {score}.',
+    'announce.odds': '{direction} {percent}',
+    'announce.secondsLeft': {
+        one: 'Noch {count} Sekunde.',
+        other: 'Noch {count} Sekunden.'
+    },
+
+    'presence.sharedTable': 'An einem gemeinsamen Tisch',
+    'presence.sharedTableState': 'Abwechselnd an einem Deck',
+    'presence.houseRules': 'Hausregeln',
+    'presence.pushYourLuck': 'Alles oder nichts',
+    'presence.streak': 'Serie von {count}',
+    'presence.pot': {
+        one: 'Pott mit {count} Punkt',
+        other: 'Pott mit {count} Punkten'
+    },
+    'presence.cashedOut': {
+        one: '{count} Punkt gesichert',
+        other: '{count} Punkte gesichert'
+    },
+    'presence.timeUp': {
+        one: 'Zeit abgelaufen bei {count} Punkt',
+        other: 'Zeit abgelaufen bei {count} Punkten'
+    },
+    'presence.gameOver': {
+        one: 'Spiel vorbei bei {count} Punkt',
+        other: 'Spiel vorbei bei {count} Punkten'
+    },
+
+    'errors.network': 'Der Server ist nicht erreichbar. Prüfe deine Verbindung und versuche es erneut.',
+    'errors.unauthorized': 'Deine Discord-Anmeldung ist abgelaufen. Öffne die Activity neu und versuche es erneut.',
+    'errors.forbidden': 'Das darfst du nicht.',
+    'errors.not-found': 'Der Server kennt dieses Spiel nicht mehr.',
+    'errors.conflict': 'Dieses Spiel wurde bereits woanders geändert.',
+    'errors.rate-limited': 'Zu viele Anfragen. Warte kurz und versuche es erneut.',
+    'errors.rejected': 'Der Server hat diese Anfrage abgelehnt.',
+    'errors.server': 'Beim Server ist ein Fehler aufgetreten. Versuche es später erneut.',
+    'errors.unexpected': 'Etwas ist schiefgelaufen. Versuche es erneut.',
+
+    'scoreboard.title': 'Spielverlauf',
+    'scoreboard.highest': 'Rekord: {score}',
+    'scoreboard.lives': 'Leben: {count}',
+    'scoreboard.time': 'Zeit: {seconds} s',
+    'scoreboard.pot': 'Pott: {pot}',
+    'scoreboard.banked': 'Kassiert: {score}',
+    'scoreboard.score': 'Punkte: {score}',
+    'scoreboard.empty': 'Noch keine Runden.',
+    'scoreboard.round': 'Runde {id}',
+    'round.correct': 'Richtig',
+    'round.push': 'Gleichstand',
+    'round.incorrect': 'Falsch',
+    'round.out': 'Raus',
+    'round.againstOdds': 'Gegen die Chancen',
+
+    'sharedTable.title': 'Gemeinsamer Tisch',
+    'sharedTable.connecting': 'Verbindung zum gemeinsamen Tisch wird hergestellt...',
+    'sharedTable.reconnecting': 'Verbindung verloren. Neuer Versuch...',
+    'sharedTable.closed': 'Vom gemeinsamen Tisch getrennt.',
+    'sharedTable.hostedBy': 'Gastgeber: {name}',
+    'sharedTable.waitingForHost': 'Warte auf einen Gastgeber...',
+    'sharedTable.leave': 'Tisch verlassen',
+    'sharedTable.you': '{name} (du)',
+    'sharedTable.someone': 'Jemand',
+    'sharedTable.seat.playing': 'Dabei',
+    'sharedTable.seat.eliminated': 'Raus',
+    'sharedTable.seat.left': 'Gegangen',
+    'sharedTable.seatReconnecting': 'Verbindet neu',
+    'sharedTable.intro': 'Alle am Tisch tippen abwechselnd auf ein Deck. Wer danebenliegt, ist raus.',
+    'sharedTable.waitingForDeal': 'Warte darauf, dass der Gastgeber die Karten austeilt.',
+    'sharedTable.deal': 'Karten austeilen',
+    'sharedTable.lastRound': '{name} hat auf {guess} getippt und die nächste Karte war {card}.',
+    'sharedTable.lastRoundOut': '{name} hat auf {guess} getippt und die nächste Karte war {card} – {name} ist raus!',
+    'sharedTable.yourTurn': 'Du bist dran!',
+    'sharedTable.waitingFor': 'Warte auf {name}...',
+    'sharedTable.winner': '{name} bleibt übrig und gewinnt!',
+    'sharedTable.everyoneOut': 'Alle sind raus.',
+    'sharedTable.newTable': 'Neuer Tisch',
+    'sharedTable.history': 'Tischverlauf',
+    'sharedTable.round': '{id}. {name}',
+    'sharedTable.error.invalid-join': 'Dieser gemeinsame Tisch konnte nicht geöffnet werden.',
+    'sharedTable.error.unauthorized': 'Melde dich mit Discord an, um an einem gemeinsamen Tisch zu spielen.',
+    'sharedTable.error.unavailable': 'Der gemeinsame Tisch kann dich gerade nicht überprüfen. Neuer Versuch...',
+    'sharedTable.error.replaced': 'Du hast diesen Tisch in einem anderen Fenster geöffnet. Schließe dieses oder lade es neu, um hier zu spielen.',
+    'sharedTable.error.not-joined': 'Noch nicht mit dem gemeinsamen Tisch verbunden.',
+    'sharedTable.error.not-host': 'Das kann nur der Host.',
+    'sharedTable.error.invalid-action': 'Dieser Zug ist gerade nicht möglich.',
+    'sharedTable.error.invalid-message': 'Der gemeinsame Tisch hat dieses Fenster nicht verstanden.',
+    'sharedTable.error.unknown-type': 'Der gemeinsame Tisch hat dieses Fenster nicht verstanden.',
+
+    'leaderboard.title': 'Bestenliste',
+    'leaderboard.mode': 'Spielmodus',
+    'leaderboard.scoring': 'Wertung',
+    'leaderboard.period': 'Zeitraum',
+    'leaderboard.scope': 'Bereich',
+    'leaderboard.thisServer': 'Dieser Server',
+    'leaderboard.everyone': 'Alle',
+    'leaderboard.myRules': 'Meine Regeln',
+    'leaderboard.loading': 'Bestenliste wird geladen...',
+    'leaderboard.empty': 'Noch keine Ergebnisse. Mach den Anfang!',
+    'period.all': 'Gesamt',
+    'period.weekly': 'Diese Woche',
+
+    'stats.title': 'Deine Statistik',
+    'stats.export': 'Exportieren',
+    'stats.reset': 'Zurücksetzen',
+    'stats.resetConfirm': 'Deine gesamte Statistik zurücksetzen? Das lässt sich nicht rückgängig machen.',
+    'stats.gamesPlayed': 'Gespielte Spiele',
+    'stats.average': 'Durchschnitt',
+    'stats.median': 'Median',
+    'stats.best': 'Bestes Ergebnis',
+    'stats.longestStreak': 'Längste Serie',
+    'stats.readOnly': 'Deine Statistik wurde von einer neueren Version von Streets gespeichert. Sie wird so weit wie möglich angezeigt, neue Spiele kommen aber erst nach einem Update dazu.',
+    'stats.empty': 'Beende ein Spiel, um deine Statistik zu beginnen.',
+    'stats.distribution': 'Verteilung der Ergebnisse',
+    'stats.bucket': '{range}: {count}',
+    'stats.range': '{from} bis {to}',
+    'stats.games': {
+        one: '{count} Spiel',
+        other: '{count} Spiele'
+    },
+    'stats.accuracy': 'Trefferquote nach Ausgangskarte',
+    'stats.accuracyNote': 'Deine Trefferquote je Tipp im Vergleich zu den Chancen, die die Karten dir gaben.',
+    'stats.card': 'Karte',
+    'stats.expected': ' statt {expected} ({attempts})',
+
+    'achievements.title': 'Erfolge',
+    'achievements.progress': '{unlocked} von {total} freigeschaltet',
+    'achievements.unlockedOn': 'Freigeschaltet am {date}',
+    'achievements.locked': 'Gesperrt',
+    'achievements.toast': 'Erfolg freigeschaltet',
+    'achievement.first-game.title': 'Vom Bordstein',
+    'achievement.first-game.description': 'Beende dein erstes Spiel.',
+    'achievement.streak-5.title': 'Warmgespielt',
+    'achievement.streak-5.description': 'Tippe 5-mal in Folge richtig.',
+    'achievement.streak-10.title': 'Im Lauf',
+    'achievement.streak-10.description': 'Tippe 10-mal in Folge richtig.',
+    'achievement.streak-20.title': 'Straßenlegende',
+    'achievement.streak-20.description': 'Tippe 20-mal in Folge richtig.',
+    'achievement.long-shot.title': 'Außenseiter',
+    'achievement.long-shot.description': 'Gewinne einen Tipp, der unter 25 % Chance hatte.',
+    'achievement.ace-run.title': 'Asse im Ärmel',
+    'achievement.ace-run.description': 'Tippe in einem Spiel zweimal richtig „tiefer“ auf ein Ass.',
+    'achievement.four-suits.title': 'Alle Farben',
+    'achievement.four-suits.description': 'Sieh alle vier Farben in einer Serie.',
+    'achievement.called-it.title': 'Angesagt',
+    'achievement.called-it.description': 'Gewinne einen Tipp auf „gleich“.',
+    'achievement.cash-50.title': 'Alles gewagt',
+    'achievement.cash-50.description': 'Kassiere 50 Punkte in einem Alles-oder-nichts-Spiel.',
+    'achievement.blitz-15.title': 'Schnellgeber',
+    'achievement.blitz-15.description': 'Erreiche 15 in einem Blitzspiel.',
+    'achievement.daily-3.title': 'Stammgast',
+    'achievement.daily-3.description': 'Spiele die Daily Street 3 Tage in Folge.',
+    'achievement.daily-7.title': 'Ortskundig',
+    'achievement.daily-7.description': 'Spiele die Daily Street 7 Tage in Folge.',
+
+    'scoreCard.pointsBanked': 'Punkte kassiert',
+    'scoreCard.correctInARow': 'richtig in Folge',
+    'scoreCard.lastCards': 'Streets · die letzten {shown} von {total} Karten'
+};
+
+export default de;
@@ -0,0 +1,391 @@
+// English is the source catalog: every key is defined here and the other languages
+// fall back to it. Placeholders are written {name}; messages that depend on a count
+// are objects keyed by plural category.
+const en = {
+    'language.label': 'Language',
+    'language.automatic': 'Automatic ({language})',
+
+    'connection.pending': 'Detecting Discord Activity environment...',
+    'connection.standalone': 'Discord SDK not detected. Running in standalone preview mode.',
+    'connection.connecting': 'Connecting to Discord Activity...',
+    'connection.connected': 'Connected to Discord Activity runtime.',
+    'connection.authorizing': 'Waiting for you to authorize Streets in Discord...',
+    'connection.retrying': 'Connection to Discord failed, retrying ({attempt} of {attempts})...',
+    'connection.error': 'Failed to connect to Discord Activity runtime: {error}',
+    'connection.retry': 'Retry',
+
+    'profile.avatar': '{name}\'s avatar',
+    'profile.guest': 'Guest',
+    'footer.poweredBy': 'Powered by YOINC.',
+
+    'rank.short.J': 'J',
+    'rank.short.Q': 'Q',
+    'rank.short.K': 'K',
+    'rank.short.A': 'A',
+    'rank.name.2': 'Two',
+    'rank.name.3': 'Three',
+    'rank.name.4': 'Four',
+    'rank.name.5': 'Five',
+    'rank.name.6': 'Six',
+    'rank.name.7': 'Seven',
+    'rank.name.8': 'Eight',
+    'rank.name.9': 'Nine',
+    'rank.name.10': 'Ten',
+    'rank.name.11': 'Jack',
+    'rank.name.12': 'Queen',
+    'rank.name.13': 'King',
+    'rank.name.14': 'Ace',
+    'suit.spades': 'spades',
+    'suit.hearts': 'hearts',
+    'suit.clubs': 'clubs',
+    'suit.diamonds': 'diamonds',
+    'card.name': '{rank} of {suit}',
+    'card.none': 'No card dealt',
+
+    'mode.classic': 'Classic',
+    'mode.daily': 'Daily Street',
+    'mode.ranked': 'Ranked',
+    'scoring.streak.title': 'Streak',
+    'scoring.streak.label': 'Streak – every correct guess is worth 1 point',
+    'scoring.pot.title': 'Push your luck',
+    'scoring.pot.label': 'Push your luck – long shots pay more, cash out before you miss',
+    'ties.never': 'Never – equal ranks are never dealt in a row',
+    'ties.push': 'Push – a tie neither scores nor costs you',
+    'ties.same': 'Call it – only a "Same" guess wins a tie',
+    'guess.higher': 'Higher',
+    'guess.lower': 'Lower',
+    'guess.same': 'Same',
+    'tag.assisted': 'Assisted',
+
+    'rules.guess': 'Predict whether the next card will be higher or lower than the current card. Cards range from {range}.',
+    'rules.range.aceLow': 'Ace (low) to King',
+    'rules.range.aceHigh': '2 to Ace',
+    'rules.ties.never': 'Two cards of the same rank never follow each other, so there are no ties.',
+    'rules.ties.push': 'Equal ranks can follow each other; a tie is a push that neither scores nor costs you.',
+    'rules.ties.same': 'Equal ranks can follow each other; call "Same" to win a tie, higher or lower loses it.',
+    'rules.lives': 'You have {count} lives: every miss costs one, and the game ends when they are gone.',
+    'rules.singleLife': 'Miss once and the game ends.',
+    'rules.blitz': 'Blitz: you have {seconds} seconds to make as many correct guesses as you can.',
+
+    'howToPlay.title': 'How to play',
+    'howToPlay.pot': 'Every correct guess adds to a pot that pays more the less likely the guess was; '
+        + 'cash out to bank it, because a miss loses it.',
+    'howToPlay.streak': 'Each correct guess awards 1 point.',
+    'howToPlay.shoe': 'Cards are dealt from a shuffled shoe and are not put back, so keep count: the shoe is only '
+        + 'reshuffled once it runs out. Turn on assist mode to see the odds of every guess.',
+
+    'resume.pot': {
+        one: 'Resume your run with {count} point in the pot?',
+        other: 'Resume your run with {count} points in the pot?'
+    },
+    'resume.streak': 'Resume your streak of {count}?',
+    'resume.resume': 'Resume',
+    'resume.discard': 'Discard',
+    'resume.elsewhere': 'This game was resumed in another window.',
+    'resume.changed': 'This game was played on or lost in another window since.',
+    'idle.noRound': 'You haven\'t started a round yet.',
+
+    'update.available': 'A new version of Streets is ready.',
+    'update.reload': 'Reload',
+    'update.later': 'Later',
+
+    'options.decks': 'Decks in the shoe',
+    'options.deckCount': {
+        one: '{count} deck ({cards} cards)',
+        other: '{count} decks ({cards} cards)'
+    },
+    'options.scoring': 'Scoring',
+    'options.lives': 'Lives',
+    'options.livesCount': {
+        one: '{count} life',
+        other: '{count} lives'
+    },
+    'options.ties': 'Ties',
+    'options.aceLow': 'Aces are low',
+    'options.blitz': 'Blitz: {seconds} seconds on the clock',
+    'options.assist': 'Assist mode: show the odds (assisted games are ranked separately)',
+    'options.highContrastSuits': 'High-contrast suit colors: a different color for every suit',
+
+    'actions.start': 'Start game',
+    'actions.sharedTable': 'Shared table',
+    'actions.showStats': 'Your stats',
+    'actions.hideStats': 'Hide stats',
+    'actions.showAchievements': 'Achievements',
+    'actions.hideAchievements': 'Hide achievements',
+    'actions.playAgain': 'Play again',
+    'actions.cashOut': {
+        one: 'Cash out {count} point',
+        other: 'Cash out {count} points'
+    },
+    'actions.guessHigher': 'Guess higher',
+    'actions.guessLower': 'Guess lower',
+    'actions.guessSame': 'Guess same',
+
+    'daily.started': 'You already started today\'s Daily Street. Come back tomorrow!',
+    'daily.scored': 'You scored {score} in today\'s Daily Street. Come back tomorrow!',
+    'daily.rules': 'One attempt per day. Everyone gets the same cards and plays a plain streak by the standard rules, without assist.',
+
+    'table.cardsLeft': {
+        one: '{count} card left',
+        other: '{count} cards left'
+    },
+    'table.reshuffled': ' · reshuffled {count}×',
+
+    'result.correct': 'You were right! The next number was {card}.',
+    'result.payout': ' That paid {payout}.',
+    'result.push': 'A tie! The next card was {card}, so nothing changes.',
+    'result.missed': 'Missed! The next card was {card}.',
+    'result.livesLeft': {
+        one: ' {count} life left.',
+        other: ' {count} lives left.'
+    },
+    'result.potLost': {
+        one: ' Your pot of {count} point is gone.',
+        other: ' Your pot of {count} points is gone.'
+    },
+    'result.failed': 'Game over! You guessed {guess} but the next card was {card}.',
+    'result.timeUp': 'Time\'s up!',
+    'result.cashedOut': 'You cashed out and banked the pot!',
+    'result.bankedTotal': 'Banked total: {score}',
+    'result.finalScore': 'Your final score: {score}',
+    'result.seed': 'Seed: {seed}',
+    'result.dailySeed': 'Daily Street {date} · Seed: {seed}',
+
+    'fairness.pending': 'Verifying the dealt cards...',
+    'fairness.verified': 'Deck verified: every card matches the shuffle the server committed to.',
+    'fairness.failed': 'Deck verification failed: {reason}',
+    'fairness.reason.shoe-count': 'the server revealed a different number of shoes than it committed to.',
+    'fairness.reason.commitment': 'shoe {position} does not match its commitment.',
+    'fairness.reason.incomplete-shoe': 'shoe {position} is not a complete set of decks.',
+    'fairness.reason.too-many-cards': 'the server dealt more cards than it committed to.',
+    'fairness.reason.out-of-order': 'card {position} was not dealt from the top of the shoe.',
+    'fairness.reason.rewritten': 'the server changed a deck commitment mid-game.',
+    'fairness.reason.error': 'the revealed shoes could not be checked.',
+
+    'replay.codeLabel': 'Replay code',
+    'replay.placeholder': 'Paste a replay code or link',
+    'replay.import': 'Import replay',
+    'replay.share': 'Share replay',
+    'replay.linkCopied': 'Replay link copied.',
+    'replay.codeCopied': 'Replay code copied.',
+    'replay.copyFailed': 'Copying failed, select the code and copy it yourself.',
+    'replay.title': 'Replay',
+    'replay.close': 'Close replay',
+    'replay.previous': 'Previous',
+    'replay.next': 'Next',
+    'replay.autoplay': 'Autoplay',
+    'replay.pause': 'Pause',
+    'replay.step': 'Step {step} of {total}',
+    'replay.seeded': 'Every card was dealt again from seed {seed}.',
+    'replay.serverDealt': 'Unverified: a replay of a server-dealt game has no seed to deal it again from, so anyone can write one. Its cards were only checked for being possible from one shoe, not for being the ones the server dealt.',
+    'replay.unverified': 'Unverified',
+    'replay.frame.first': 'The first card is {card}.',
+    'replay.frame.cashedOut': {
+        one: 'Cashed out and banked {count} point.',
+        other: 'Cashed out and banked {count} points.'
+    },
+    'replay.frame.timeUp': {
+        one: 'Time\'s up with {count} point.',
+        other: 'Time\'s up with {count} points.'
+    },
+    'replay.frame.round': '{guess} on {start}, the next card was {next}: {outcome}.',
+    'replay.outcome.correct': 'correct',
+    'replay.outcome.push': 'a push',
+    'replay.outcome.missed': 'a miss',
+    'replay.outcome.failed': 'game over',
+    'replay.error.unknown-card': 'This replay code contains an unknown card.',
+    'replay.error.not-a-replay': 'This is not a Streets replay code.',
+    'replay.error.other-version': 'This replay code was made by a different version of Streets.',
+    'replay.error.mistyped': 'This replay code is incomplete or mistyped.',
+    'replay.error.impossible-deal': 'The cards in this replay could not have been dealt this way.',
+    'replay.error.unfinished': 'This replay doesn\'t end the way a finished game does.',
+
+    'export.json': 'Export JSON',
+    'export.csv': 'Export CSV',
+    'export.scoreCard': 'Score card',
+    'export.discord': 'Share to Discord',
+    'export.shared': 'Score card shared to Discord.',
+    'export.failed': 'Could not export the score card: {error}',
+
+    'keys.higher': 'higher',
+    'keys.lower': 'lower',
+    'keys.same': 'same',
+    'keys.cashOut': 'cash out',
+    'keys.start': 'start a game',
+    'keys.playAgain': 'play again',
+    'keys.export': 'export',
+
+    'announce.newGame': 'New game. The first card is {card}.',
+    'announce.cashedOut': {
+        one: 'Cashed out. You banked {count} point.',
+        other: 'Cashed out. You banked {count} points.'
+    },
+    'announce.timeUp': 'Time\'s up. Final score {score}.',
+    'announce.correct': '{card}. Correct, score {score}.',
+    'announce.correctPot': '{card}. Correct, pot {pot}.',
+    'announce.push': '{card}. A tie, nothing changes.',
+    'announce.missed': {
+        one: '{card}. Missed, {count} life left.',
+        other: '{card}. Missed, {count} lives left.'
+    },
+    'announce.failed': '{card}. Game over, final score {score}.',
+    'announce.odds': '{direction} {percent}',
+    'announce.secondsLeft': {
+        one: '{count} second left.',
+        other: '{count} seconds left.'
+    },
+
+    'presence.sharedTable': 'At a shared table',
+    'presence.sharedTableState': 'Taking turns on one deck',
+    'presence.houseRules': 'house rules',
+    'presence.pushYourLuck': 'push your luck',
+    'presence.streak': 'On a streak of {count}',
+    'presence.pot': {
+        one: 'Riding a pot of {count} point',
+        other: 'Riding a pot of {count} points'
+    },
+    'presence.cashedOut': {
+        one: 'Cashed out {count} point',
+        other: 'Cashed out {count} points'
+    },
+    'presence.timeUp': {
+        one: 'Time\'s up at {count} point',
+        other: 'Time\'s up at {count} points'
+    },
+    'presence.gameOver': {
+        one: 'Game over at {count} point',
+        other: 'Game over at {count} points'
+    },
+
+    'errors.network': 'The server could not be reached. Check your connection and try again.',
+    'errors.unauthorized': 'Your Discord sign-in has expired. Reopen the Activity and try again.',
+    'errors.forbidden': 'You are not allowed to do that.',
+    'errors.not-found': 'The server no longer knows this game.',
+    'errors.conflict': 'This game was already changed somewhere else.',
+    'errors.rate-limited': 'Too many requests. Wait a moment and try again.',
+    'errors.rejected': 'The server did not accept this request.',
+    'errors.server': 'The server ran into a problem. Try again later.',
+    'errors.unexpected': 'Something went wrong. Try again.',
+
+    'scoreboard.title': 'Scoreboard',
+    'scoreboard.highest': 'Highest: {score}',
+    'scoreboard.lives': 'Lives: {count}',
+    'scoreboard.time': 'Time: {seconds}s',
+    'scoreboard.pot': 'Pot: {pot}',
+    'scoreboard.banked': 'Banked: {score}',
+    'scoreboard.score': 'Score: {score}',
+    'scoreboard.empty': 'No rounds yet.',
+    'scoreboard.round': 'Round #{id}',
+    'round.correct': 'Correct',
+    'round.push': 'Push',
+    'round.incorrect': 'Incorrect',
+    'round.out': 'Out',
+    'round.againstOdds': 'Against the odds',
+
+    'sharedTable.title': 'Shared table',
+    'sharedTable.connecting': 'Connecting to the shared table...',
+    'sharedTable.reconnecting': 'Connection lost. Reconnecting...',
+    'sharedTable.closed': 'Disconnected from the shared table.',
+    'sharedTable.hostedBy': 'Hosted by {name}',
+    'sharedTable.waitingForHost': 'Waiting for a host...',
+    'sharedTable.leave': 'Leave table',
+    'sharedTable.you': '{name} (you)',
+    'sharedTable.someone': 'Someone',
+    'sharedTable.seat.playing': 'In',
+    'sharedTable.seat.eliminated': 'Out',
+    'sharedTable.seat.left': 'Left',
+    'sharedTable.seatReconnecting': 'Reconnecting',
+    'sharedTable.intro': 'Everyone at the table takes turns on one deck. Miss and you are out.',
+    'sharedTable.waitingForDeal': 'Waiting for the host to deal the cards.',
+    'sharedTable.deal': 'Deal cards',
+    'sharedTable.lastRound': '{name} guessed {guess} and the next card was {card}.',
+    'sharedTable.lastRoundOut': '{name} guessed {guess} and the next card was {card} – {name} is out!',
+    'sharedTable.yourTurn': 'Your turn!',
+    'sharedTable.waitingFor': 'Waiting for {name}...',
+    'sharedTable.winner': '{name} is the last one standing!',
+    'sharedTable.everyoneOut': 'Everyone is out.',
+    'sharedTable.newTable': 'New table',
+    'sharedTable.history': 'Table history',
+    'sharedTable.round': '#{id} {name}',
+    'sharedTable.error.invalid-join': 'This shared table could not be opened.',
+    'sharedTable.error.unauthorized': 'Sign in with Discord to sit at a shared table.',
+    'sharedTable.error.unavailable': 'The shared table can\'t check who you are right now. Reconnecting...',
+    'sharedTable.error.replaced': 'You opened this table in another window. Close this one or reload it to play here.',
+    'sharedTable.error.not-joined': 'Not connected to the shared table yet.',
+    'sharedTable.error.not-host': 'Only the host can do that.',
+    'sharedTable.error.invalid-action': 'That move isn\'t possible right now.',
+    'sharedTable.error.invalid-message': 'The shared table didn\'t understand this window.',
+    'sharedTable.error.unknown-type': 'The shared table didn\'t understand this window.',
+
+    'leaderboard.title': 'Leaderboard',
+    'leaderboard.mode': 'Game mode',
+    'leaderboard.scoring': 'Scoring',
+    'leaderboard.period': 'Time period',
+    'leaderboard.scope': 'Scope',
+    'leaderboard.thisServer': 'This server',
+    'leaderboard.everyone': 'Everyone',
+    'leaderboard.myRules': 'My rules',
+    'leaderboard.loading': 'Loading leaderboard...',
+    'leaderboard.empty': 'No scores yet. Be the first!',
+    'period.all': 'All time',
+    'period.weekly': 'This week',
+
+    'stats.title': 'Your stats',
+    'stats.export': 'Export',
+    'stats.reset': 'Reset',
+    'stats.resetConfirm': 'Reset all of your statistics? This cannot be undone.',
+    'stats.gamesPlayed': 'Games played',
+    'stats.average': 'Average score',
+    'stats.median': 'Median score',
+    'stats.best': 'Best score',
+    'stats.longestStreak': 'Longest streak',
+    'stats.readOnly': 'These stats were saved by a newer version of Streets. They are shown as far as possible, but new games aren\'t added until you update.',
+    'stats.empty': 'Finish a game to start your statistics.',
+    'stats.distribution': 'Score distribution',
+    'stats.bucket': '{range}: {count}',
+    'stats.range': '{from} to {to}',
+    'stats.games': {
+        one: '{count} game',
+        other: '{count} games'
+    },
+    'stats.accuracy': 'Accuracy by starting card',
+    'stats.accuracyNote': 'Your win rate for each guess against the odds the cards gave you.',
+    'stats.card': 'Card',
+    'stats.expected': ' vs {expected} ({attempts})',
+
+    'achievements.title': 'Achievements',
+    'achievements.progress': '{unlocked} of {total} unlocked',
+    'achievements.unlockedOn': 'Unlocked {date}',
+    'achievements.locked': 'Locked',
+    'achievements.toast': 'Achievement unlocked',
+    'achievement.first-game.title': 'Off the curb',
+    'achievement.first-game.description': 'Finish your first game.',
+    'achievement.streak-5.title': 'Warming up',
+    'achievement.streak-5.description': 'Guess 5 in a row.',
+    'achievement.streak-10.title': 'On a roll',
+    'achievement.streak-10.description': 'Guess 10 in a row.',
+    'achievement.streak-20.title': 'Street legend',
+    'achievement.streak-20.description': 'Guess 20 in a row.',
+    'achievement.long-shot.title': 'Long shot',
+    'achievement.long-shot.description': 'Win a guess that had less than a 25% chance.',
+    'achievement.ace-run.title': 'Ace run',
+    'achievement.ace-run.description': 'Correctly call "lower" on an Ace twice in one game.',
+    'achievement.four-suits.title': 'Full house of suits',
+    'achievement.four-suits.description': 'See all four suits during one streak.',
+    'achievement.called-it.title': 'Called it',
+    'achievement.called-it.description': 'Win a "same" guess.',
+    'achievement.cash-50.title': 'Pushing your luck',
+    'achievement.cash-50.description': 'Bank 50 points in a push-your-luck game.',
+    'achievement.blitz-15.title': 'Speed dealer',
+    'achievement.blitz-15.description': 'Score 15 in a blitz game.',
+    'achievement.daily-3.title': 'Regular',
+    'achievement.daily-3.description': 'Play the Daily Street 3 days in a row.',
+    'achievement.daily-7.title': 'Local',
+    'achievement.daily-7.description': 'Play the Daily Street 7 days in a row.',
+
+    'scoreCard.pointsBanked': 'points banked',
+    'scoreCard.correctInARow': 'correct in a row',
+    'scoreCard.lastCards': 'Streets · last {shown} of {total} cards'
+};
+
+export default en;
@@ -0,0 +1,49 @@
+import {createElement, Fragment, isValidElement} from 'react';
+import en from './messages/en';
+import de from './messages/de';
+
+export const LOCALES = [
+    {id: 'en', label: 'English', messages: en},
+    {id: 'de', label: 'Deutsch', messages: de}
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+// Maps a language tag such as "de-AT" or Discord's "en-US" to a shipped language, or null
+export const matchLocale = (tag) => {
+    const language = typeof tag === 'string' ? tag.toLowerCase().split(/[-_]/)[0] : null;
+    return LOCALES.find(({id}) => id === language)?.id ?? null;
+};
+
+// Fills {name} placeholders. Values may be React elements, e.g. a highlighted card in a
+// sentence, in which case the result is a fragment instead of a string.
+const interpolate = (text, values) => {
+    const parts = text.split(/\{(\w+)\}/).map((part, index) => {
+        if (index % 2 === 0) {
+            return part;
+        }
+        return part in values ? values[part] : `{${part}}`;
+    });
+
+    return parts.some(isValidElement)
+        ? createElement(Fragment, null, ...parts.filter((part) => part !== ''))
+        : parts.join('');
+};
+
+// Returns t(key, values) for a language. Messages are strings or, when they depend on
+// values.count, objects keyed by plural category ({one, other}). Anything missing
+// falls back to English, and an unknown key is returned as it is.
+export const createTranslator = (locale = DEFAULT_LOCALE) => {
+    const messages = LOCALES.find(({id}) => id === locale)?.messages ?? en;
+    const plurals = new Intl.PluralRules(locale);
+
+    return (key, values = {}) => {
+        const message = messages[key] ?? en[key];
+        if (message === undefined) {
+            return key;
+        }
+
+        const text = typeof message === 'string' ? message : message[plurals.select(values.count)] ?? message.other;
+        return interpolate(text, values);
+    };
+};
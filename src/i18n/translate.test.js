@@ -0,0 +1,41 @@
+import {isValidElement} from 'react';
+import {createTranslator, matchLocale} from './translate';
+import de from './messages/de';
+import en from './messages/en';
+
+test('matches language tags to shipped languages', () => {
+    expect(matchLocale('de-AT')).toBe('de');
+    expect(matchLocale('en_US')).toBe('en');
+    expect(matchLocale('fr')).toBeNull();
+    expect(matchLocale(undefined)).toBeNull();
+});
+
+test('fills in placeholders', () => {
+    const t = createTranslator('en');
+
+    expect(t('scoreboard.highest', {score: 12})).toBe('Highest: 12');
+    expect(t('scoreboard.highest')).toBe('Highest: {score}');
+});
+
+test('picks the plural form for the count', () => {
+    const t = createTranslator('en');
+
+    expect(t('options.livesCount', {count: 1})).toBe('1 life');
+    expect(t('options.livesCount', {count: 3})).toBe('3 lives');
+    expect(createTranslator('de')('options.livesCount', {count: 1})).toBe(de['options.livesCount'].one.replace('{count}', '1'));
+});
+
+test('returns a fragment when a value is an element', () => {
+    const t = createTranslator('en');
+
+    expect(isValidElement(t('scoreboard.highest', {score: <strong>12</strong>}))).toBe(true);
+});
+
+test('falls back to English and then to the key', () => {
+    expect(createTranslator('fr')('scoreboard.title')).toBe('Scoreboard');
+    expect(createTranslator('de')('no.such.key')).toBe('no.such.key');
+});
+
+test('ships the same messages in every language', () => {
+    expect(Object.keys(de).sort()).toEqual(Object.keys(en).sort());
+});
@@ -2,10 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import {DiscordProvider} from './discord/DiscordProvider';
+import {I18nProvider} from './i18n/I18nProvider';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    <DiscordProvider>
+      <I18nProvider>
+        <App />
+      </I18nProvider>
+    </DiscordProvider>
   </React.StrictMode>
 );
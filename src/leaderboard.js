@@ -0,0 +1,146 @@
+import {ApiError, fetchApi} from './apiError';
+import {createSeed} from './game/random';
+
+export {boardFor} from './game/boards';
+
+const PENDING_SCORES_STORAGE_KEY = 'streets_pending_scores';
+const SCORE_GUEST_STORAGE_KEY = 'streets_score_guest_id';
+
+export const LEADERBOARD_BOARDS = ['classic', 'daily', 'ranked'];
+
+export const LEADERBOARD_PERIODS = ['all', 'weekly'];
+
+export const getApiBaseUrl = () => process.env.REACT_APP_API_BASE_URL?.replace(/\/+$/, '') ?? null;
+
+// Standalone scores are submitted under a guest id that stays on the device, unlike the
+// per-session one of shared tables, so a score queued offline is still theirs after a restart
+export const getScoreGuestId = () => {
+    let id = window.localStorage.getItem(SCORE_GUEST_STORAGE_KEY);
+    if (!id) {
+        id = `guest-${createSeed()}`;
+        window.localStorage.setItem(SCORE_GUEST_STORAGE_KEY, id);
+    }
+    return id;
+};
+
+const readPending = () => {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(PENDING_SCORES_STORAGE_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+const writePending = (pending) => {
+    if (pending.length === 0) {
+        window.localStorage.removeItem(PENDING_SCORES_STORAGE_KEY);
+        return;
+    }
+    window.localStorage.setItem(PENDING_SCORES_STORAGE_KEY, JSON.stringify(pending));
+};
+
+// Every finished game is queued first, so scores played offline (or before Discord
+// finished connecting) are submitted the next time the player is online
+export const queueScore = (userId, {score, board, guildId, summary}) => {
+    writePending([...readPending(), {
+        userId,
+        submissionId: crypto.randomUUID(),
+        score,
+        board,
+        guildId: guildId ?? null,
+        playedAt: new Date().toISOString(),
+        summary: summary ?? null
+    }]);
+};
+
+const authHeaders = ({accessToken, guestId}) => (accessToken
+    ? {Authorization: `Bearer ${accessToken}`}
+    : {'X-Streets-Guest': guestId});
+
+const submitScore = async (credentials, {submissionId, score, board, guildId, playedAt, summary}) => {
+    const response = await fetch(`${getApiBaseUrl()}/api/scores`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...authHeaders(credentials)
+        },
+        body: JSON.stringify({submissionId, score, board, guildId, playedAt, summary})
+    });
+
+    if (!response.ok) {
+        const errorPayload = await response.json().catch(() => ({}));
+        const error = new Error(errorPayload?.error ?? `Score submission failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+};
+
+// credentials are the player's {accessToken} inside Discord and {guestId} standalone
+export const flushPendingScores = async (userId, {accessToken = null, guestId = null} = {}) => {
+    if (!getApiBaseUrl() || (!accessToken && !guestId)) {
+        return 0;
+    }
+
+    let submitted = 0;
+    for (const entry of readPending().filter((candidate) => candidate.userId === userId)) {
+        try {
+            await submitScore({accessToken, guestId}, entry);
+        } catch (error) {
+            // Rejected entries (4xx) will never succeed; anything else is retried later
+            if (!error.status || error.status >= 500 || error.status === 401 || error.status === 429) {
+                console.error('Failed to submit score, will retry later:', error);
+                break;
+            }
+            console.error('Dropping rejected score submission:', error);
+        }
+        writePending(readPending().filter((candidate) => candidate.submissionId !== entry.submissionId));
+        submitted += 1;
+    }
+    return submitted;
+};
+
+// Runs sync now and again whenever the browser gets its connection back
+export const syncWhenOnline = (sync) => {
+    sync();
+    window.addEventListener('online', sync);
+    return () => window.removeEventListener('online', sync);
+};
+
+// Lets the server tell yoinc-bot a game has started. Best effort: a start that can't be
+// announced right now is not worth queueing.
+export const announcePlay = async (accessToken, {board, guildId}) => {
+    if (!getApiBaseUrl() || !accessToken) {
+        return;
+    }
+
+    try {
+        await fetch(`${getApiBaseUrl()}/api/plays`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${accessToken}`
+            },
+            body: JSON.stringify({board, guildId: guildId ?? null})
+        });
+    } catch (error) {
+        console.warn('Failed to announce the game:', error);
+    }
+};
+
+export const fetchLeaderboard = async ({board, period, guildId}) => {
+    const params = new URLSearchParams({board, period});
+    if (guildId) {
+        params.set('guildId', guildId);
+    }
+
+    const response = await fetchApi(`${getApiBaseUrl()}/api/leaderboard?${params}`);
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new ApiError(response.status,
+            payload?.error ?? `Leaderboard request failed with status ${response.status}`);
+    }
+
+    return payload.entries ?? [];
+};
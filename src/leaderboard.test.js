@@ -0,0 +1,65 @@
+import {flushPendingScores, getScoreGuestId, queueScore, syncWhenOnline} from './leaderboard';
+
+const API_BASE_URL = 'https://streets.example';
+
+const offline = () => Promise.reject(new TypeError('Failed to fetch'));
+const accepted = () => Promise.resolve({ok: true, status: 201, json: async () => ({})});
+
+let fetchMock;
+let silenced;
+
+beforeEach(() => {
+    window.localStorage.clear();
+    process.env.REACT_APP_API_BASE_URL = API_BASE_URL;
+    fetchMock = jest.fn(offline);
+    global.fetch = fetchMock;
+    silenced = jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    delete process.env.REACT_APP_API_BASE_URL;
+    delete global.fetch;
+    silenced.mockRestore();
+});
+
+test('keeps the standalone guest id across sessions', () => {
+    const guestId = getScoreGuestId();
+
+    expect(guestId).toMatch(/^guest-[a-z0-9]{1,16}$/);
+    window.sessionStorage.clear();
+    expect(getScoreGuestId()).toBe(guestId);
+});
+
+test('submits standalone scores played offline once the browser is back online', async () => {
+    const guestId = getScoreGuestId();
+    queueScore(guestId, {score: 12, board: 'classic'});
+    const sync = jest.fn(() => flushPendingScores(guestId, {guestId}));
+
+    const stop = syncWhenOnline(sync);
+    expect(await sync.mock.results[0].value).toBe(0);
+
+    fetchMock.mockImplementation(accepted);
+    window.dispatchEvent(new Event('online'));
+    expect(await sync.mock.results[1].value).toBe(1);
+
+    const [url, {headers, body}] = fetchMock.mock.calls[1];
+    expect(url).toBe(`${API_BASE_URL}/api/scores`);
+    expect(headers).toMatchObject({'X-Streets-Guest': guestId});
+    expect(headers).not.toHaveProperty('Authorization');
+    expect(JSON.parse(body)).toMatchObject({score: 12, board: 'classic', guildId: null});
+
+    stop();
+    window.dispatchEvent(new Event('online'));
+    expect(sync).toHaveBeenCalledTimes(2);
+    expect(await flushPendingScores(guestId, {guestId})).toBe(0);
+});
+
+test('drops a score the server refuses for good', async () => {
+    queueScore('guest-abc123', {score: 3, board: 'classic'});
+    fetchMock.mockImplementation(() => Promise.resolve({ok: false, status: 403, json: async () => ({})}));
+
+    expect(await flushPendingScores('guest-abc123', {guestId: 'guest-abc123'})).toBe(1);
+    fetchMock.mockClear();
+    await flushPendingScores('guest-abc123', {guestId: 'guest-abc123'});
+    expect(fetchMock).not.toHaveBeenCalled();
+});
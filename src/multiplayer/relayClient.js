@@ -0,0 +1,68 @@
+const MAX_RECONNECT_DELAY_MS = 10000;
+
+// The relay closes with a 4xxx code when trying again can't help: the join was invalid
+// or unauthorized, or the same player connected from another window. Reconnecting then
+// would only kick that window in turn.
+const isFinalClose = (code) => code >= 4000 && code < 5000;
+
+// Thin WebSocket wrapper that (re)joins the relay room for an Activity instance and
+// reconnects with exponential backoff until close() is called or the relay turns it away.
+// credentials are the player's Discord access token or, outside Discord, their guest id.
+export const connectToRelay = ({url, instanceId, credentials, onMessage, onStatusChange}) => {
+    let socket = null;
+    let attempts = 0;
+    let reconnectTimer = null;
+    let closed = false;
+
+    const open = () => {
+        onStatusChange(attempts === 0 ? 'connecting' : 'reconnecting');
+        socket = new WebSocket(url);
+
+        socket.addEventListener('open', () => {
+            attempts = 0;
+            socket.send(JSON.stringify({type: 'join', instanceId, ...credentials}));
+            onStatusChange('connected');
+        });
+
+        socket.addEventListener('message', (event) => {
+            try {
+                onMessage(JSON.parse(event.data));
+            } catch (error) {
+                console.error('Ignoring malformed relay message:', error);
+            }
+        });
+
+        socket.addEventListener('close', (event) => {
+            if (closed) {
+                return;
+            }
+            if (isFinalClose(event.code)) {
+                closed = true;
+                onStatusChange('closed');
+                return;
+            }
+            attempts += 1;
+            const delay = Math.min(MAX_RECONNECT_DELAY_MS, 500 * 2 ** attempts);
+            onStatusChange('reconnecting');
+            reconnectTimer = setTimeout(open, delay);
+        });
+    };
+
+    open();
+
+    return {
+        send: (message) => {
+            if (socket?.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+                return true;
+            }
+            return false;
+        },
+        close: () => {
+            closed = true;
+            clearTimeout(reconnectTimer);
+            socket?.close();
+            onStatusChange('closed');
+        }
+    };
+};
@@ -0,0 +1,88 @@
+import {useCallback, useEffect, useRef, useState} from 'react';
+import {connectToRelay} from './relayClient';
+import {createTable} from '../game/table';
+import {createSeed} from '../game/random';
+
+const GUEST_STORAGE_KEY = 'streets_guest_id';
+
+export const getRelayUrl = () => process.env.REACT_APP_RELAY_URL ?? null;
+
+// Standalone players have no Discord id, so they get one per browser session that
+// survives reloads and lets the relay recognise a reconnect
+export const getGuestPlayer = () => {
+    let id = window.sessionStorage.getItem(GUEST_STORAGE_KEY);
+    if (!id) {
+        id = `guest-${createSeed()}`;
+        window.sessionStorage.setItem(GUEST_STORAGE_KEY, id);
+    }
+    return {id, name: `Guest ${id.slice(-4)}`, avatarUrl: null};
+};
+
+// The relay runs the table; every participant, the host included, only sends actions and
+// renders the snapshots it gets back. The host is the one who may deal and clear the table.
+export const useSharedTable = ({instanceId, player, accessToken, enabled}) => {
+    const [connection, setConnection] = useState('idle');
+    const [hostId, setHostId] = useState(null);
+    const [players, setPlayers] = useState([]);
+    const [table, setTable] = useState(createTable);
+    const [error, setError] = useState(null);
+
+    const relayRef = useRef(null);
+    const isHost = Boolean(player) && hostId === player.id;
+
+    const dispatch = useCallback((action) => {
+        relayRef.current?.send({type: 'action', action});
+    }, []);
+
+    const playerId = player?.id;
+
+    useEffect(() => {
+        const url = getRelayUrl();
+        if (!enabled || !url || !instanceId || !playerId) {
+            return undefined;
+        }
+
+        const relay = connectToRelay({
+            url,
+            instanceId,
+            credentials: accessToken ? {accessToken} : {guestId: playerId},
+            onStatusChange: setConnection,
+            onMessage: (message) => {
+                switch (message.type) {
+                    case 'welcome':
+                        setTable(message.state ?? createTable());
+                        setHostId(message.hostId);
+                        setPlayers(message.players);
+                        setError(null);
+                        break;
+                    case 'presence':
+                        setHostId(message.hostId);
+                        setPlayers(message.players);
+                        break;
+                    case 'state':
+                        setTable(message.state ?? createTable());
+                        break;
+                    case 'error':
+                        setError(message.code);
+                        break;
+                    default:
+                        break;
+                }
+            }
+        });
+        relayRef.current = relay;
+
+        return () => {
+            relayRef.current = null;
+            relay.close();
+        };
+    }, [enabled, instanceId, playerId, accessToken]);
+
+    const start = useCallback(() => dispatch({type: 'start'}), [dispatch]);
+
+    const guess = useCallback((direction) => dispatch({type: 'guess', direction}), [dispatch]);
+
+    const reset = useCallback(() => dispatch({type: 'reset'}), [dispatch]);
+
+    return {connection, error, hostId, isHost, players, table, start, guess, reset};
+};
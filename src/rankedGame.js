@@ -0,0 +1,81 @@
+import {ApiError, fetchApi} from './apiError';
+import {getApiBaseUrl} from './leaderboard';
+import {verifyDeal} from './game/fairness';
+import {allowsTies, DEFAULT_RULES} from './game/rules';
+
+const request = async (path, accessToken, {method = 'GET', body} = {}) => {
+    const response = await fetchApi(`${getApiBaseUrl()}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${accessToken}`
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new ApiError(response.status,
+            payload?.error ?? `Ranked game request failed with status ${response.status}`);
+    }
+
+    return payload;
+};
+
+export const startRankedGame = (accessToken, {guildId, assisted, scoring, rules}) =>
+    request('/api/games', accessToken, {method: 'POST', body: {guildId: guildId ?? null, assisted, scoring, rules}});
+
+export const fetchRankedGame = (accessToken, gameId) =>
+    request(`/api/games/${encodeURIComponent(gameId)}`, accessToken);
+
+export const submitRankedGuess = (accessToken, gameId, direction) =>
+    request(`/api/games/${encodeURIComponent(gameId)}/guess`, accessToken, {method: 'POST', body: {direction}});
+
+export const cashOutRankedGame = (accessToken, gameId) =>
+    request(`/api/games/${encodeURIComponent(gameId)}/cash-out`, accessToken, {method: 'POST'});
+
+// Maps a server game onto the same gameState the table renders. Commitments are
+// append-only: if the server ever changes one it already sent, the game is flagged.
+export const toRankedGameState = (game, prev = null) => {
+    const known = prev?.mode === 'ranked' && prev.gameId === game.gameId ? prev.commitments : [];
+    const rewritten = known.some((commitment, index) => game.commitments[index] !== commitment);
+
+    return {
+        status: game.status,
+        mode: 'ranked',
+        seed: null,
+        gameId: game.gameId,
+        startedAt: game.startedAt,
+        rules: game.rules ?? DEFAULT_RULES,
+        assisted: game.assisted,
+        scoring: game.scoring,
+        currentCard: game.currentCard,
+        score: game.score,
+        pot: game.pot,
+        lostPot: game.lostPot,
+        lives: game.lives,
+        endsAt: game.endsAt,
+        history: game.history,
+        lastRound: game.lastRound,
+        shoe: game.shoe,
+        commitments: rewritten ? known : game.commitments,
+        reveal: game.reveal,
+        fairness: rewritten
+            ? {status: 'failed', reason: 'rewritten', position: null}
+            : prev?.fairness ?? {status: 'pending', reason: null, position: null}
+    };
+};
+
+export const verifyRankedGame = async (gameState) => {
+    const dealt = gameState.history.length > 0
+        ? [gameState.history[0].startingCard, ...gameState.history.map((round) => round.nextCard)]
+        : [gameState.currentCard];
+
+    return verifyDeal({
+        deckCount: gameState.shoe.deckCount,
+        commitments: gameState.commitments,
+        reveal: gameState.reveal,
+        dealt,
+        allowTies: allowsTies(gameState.rules)
+    });
+};
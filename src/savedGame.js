@@ -0,0 +1,116 @@
+import {normalizeRules} from './game/rules';
+
+const SAVED_GAME_STORAGE_KEY_PREFIX = 'streets_saved_game_';
+
+export const SAVED_GAME_VERSION = 1;
+
+// Upgrades a save from the version it is keyed by to the next one. Add a step here
+// whenever the saved game shape changes; saves that can't be upgraded are dropped.
+const MIGRATIONS = {};
+
+const storageKey = (userId) => `${SAVED_GAME_STORAGE_KEY_PREFIX}${userId ?? 'local'}`;
+
+// Locally dealt games are identified by their seed, ranked games by the server's id
+const savedGameId = (game) => (game.mode === 'ranked' ? game.gameId : game.seed);
+
+const migrate = (save) => {
+    let current = save;
+    while (current && current.version < SAVED_GAME_VERSION) {
+        const upgrade = MIGRATIONS[current.version];
+        current = upgrade ? upgrade(current) : null;
+    }
+    return current?.version === SAVED_GAME_VERSION ? current : null;
+};
+
+const isCard = (card) => typeof card?.rank?.value === 'number' && typeof card?.suit?.name === 'string';
+
+const isResumable = (game) => game?.status === 'guessing'
+    && ['classic', 'daily', 'ranked'].includes(game.mode)
+    && Boolean(savedGameId(game))
+    && isCard(game.currentCard)
+    && Array.isArray(game.history)
+    && (game.mode === 'ranked' || Array.isArray(game.shoe?.cards));
+
+const readSave = (userId) => {
+    try {
+        return migrate(JSON.parse(window.localStorage.getItem(storageKey(userId))));
+    } catch (error) {
+        return null;
+    }
+};
+
+export const readSavedGame = (userId) => {
+    if (typeof window === 'undefined') {
+        return null;
+    }
+
+    const save = readSave(userId);
+    if (!isResumable(save?.game)) {
+        return null;
+    }
+
+    return {...save.game, rules: normalizeRules(save.game.rules)};
+};
+
+const storeSave = (userId, game, claim) => window.localStorage.setItem(storageKey(userId), JSON.stringify({
+    version: SAVED_GAME_VERSION,
+    claim,
+    savedAt: new Date().toISOString(),
+    game
+}));
+
+// The offer a window shows can be out of date: another window may have played the game on
+// or lost it since. It can only be resumed while the save is still the same game at the
+// same round.
+const isStillSaved = (userId, game) => {
+    const saved = readSavedGame(userId);
+    return Boolean(saved)
+        && savedGameId(saved) === savedGameId(game)
+        && saved.history.length === game.history.length;
+};
+
+// Starting or resuming a game hands its claim to this window. Only the window holding
+// the claim may play on, so a game resumed elsewhere can't be continued (and a lost
+// guess re-rolled) from a second copy. Resuming answers null when the save has changed.
+export const claimSavedGame = (userId, game, {resume = false} = {}) => {
+    if (typeof window === 'undefined') {
+        return crypto.randomUUID();
+    }
+    if (resume && !isStillSaved(userId, game)) {
+        return null;
+    }
+
+    const claim = crypto.randomUUID();
+    storeSave(userId, game, claim);
+    return claim;
+};
+
+// Calls onChange whenever another window changes the player's save; returns the unsubscribe
+export const watchSavedGame = (userId, onChange) => {
+    const handleStorage = (event) => {
+        if (event.key === storageKey(userId) || event.key === null) {
+            onChange();
+        }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+};
+
+export const holdsClaim = (userId, claim) => typeof window === 'undefined' || readSave(userId)?.claim === claim;
+
+export const writeSavedGame = (userId, game, claim) => {
+    if (!holdsClaim(userId, claim)) {
+        return false;
+    }
+
+    if (typeof window !== 'undefined') {
+        storeSave(userId, game, claim);
+    }
+    return true;
+};
+
+export const clearSavedGame = (userId, claim = null) => {
+    if (typeof window !== 'undefined' && (!claim || holdsClaim(userId, claim))) {
+        window.localStorage.removeItem(storageKey(userId));
+    }
+};
@@ -0,0 +1,41 @@
+import {startGame} from './game/engine';
+import {claimSavedGame, clearSavedGame, holdsClaim, readSavedGame, writeSavedGame} from './savedGame';
+
+const PLAYER = '42';
+
+const savedGame = () => {
+    const game = startGame({mode: 'classic', seed: 'resume', deckCount: 1, now: 0});
+    claimSavedGame(PLAYER, game);
+    return readSavedGame(PLAYER);
+};
+
+beforeEach(() => {
+    window.localStorage.clear();
+});
+
+test('hands the claim to the window that resumes the game', () => {
+    const offer = savedGame();
+
+    const claim = claimSavedGame(PLAYER, offer, {resume: true});
+    expect(holdsClaim(PLAYER, claim)).toBe(true);
+    expect(writeSavedGame(PLAYER, offer, 'someone-else')).toBe(false);
+});
+
+test('refuses an offer that was lost in another window', () => {
+    const offer = savedGame();
+    const claim = claimSavedGame(PLAYER, offer, {resume: true});
+    clearSavedGame(PLAYER, claim);
+
+    expect(claimSavedGame(PLAYER, offer, {resume: true})).toBeNull();
+    expect(readSavedGame(PLAYER)).toBeNull();
+});
+
+test('refuses an offer that was played on in another window', () => {
+    const offer = savedGame();
+    const claim = claimSavedGame(PLAYER, offer, {resume: true});
+    const played = {...offer, history: [{id: 1}]};
+    writeSavedGame(PLAYER, played, claim);
+
+    expect(claimSavedGame(PLAYER, offer, {resume: true})).toBeNull();
+    expect(readSavedGame(PLAYER).history).toHaveLength(1);
+});
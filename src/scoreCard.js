@@ -0,0 +1,163 @@
+import {createTranslator} from './i18n/translate';
+import {rankLabel} from './i18n/gameText';
+
+// Draws the score card straight from game data onto a fixed-size canvas, so the image
+// is the same whatever the window size, theme or layout of the page around it.
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PADDING = 64;
+const AVATAR_SIZE = 96;
+const CARD_WIDTH = 64;
+const CARD_HEIGHT = 90;
+const CARD_GAP = 12;
+const FONT = '\'Segoe UI\', sans-serif';
+
+const SUIT_COLORS = {
+    red: '#d32f2f',
+    black: '#1b1b1b'
+};
+
+const loadImage = (src) => new Promise((resolve) => {
+    if (!src) {
+        resolve(null);
+        return;
+    }
+    const image = new Image();
+    // Without CORS the avatar would taint the canvas and block the export
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = src;
+});
+
+const roundedRect = (context, x, y, width, height, radius) => {
+    context.beginPath();
+    context.moveTo(x + radius, y);
+    context.arcTo(x + width, y, x + width, y + height, radius);
+    context.arcTo(x + width, y + height, x, y + height, radius);
+    context.arcTo(x, y + height, x, y, radius);
+    context.arcTo(x, y, x + width, y, radius);
+    context.closePath();
+};
+
+const drawAvatar = (context, image, name, x, y) => {
+    context.save();
+    context.beginPath();
+    context.arc(x + AVATAR_SIZE / 2, y + AVATAR_SIZE / 2, AVATAR_SIZE / 2, 0, Math.PI * 2);
+    context.clip();
+    if (image) {
+        context.drawImage(image, x, y, AVATAR_SIZE, AVATAR_SIZE);
+    } else {
+        context.fillStyle = '#5865f2';
+        context.fillRect(x, y, AVATAR_SIZE, AVATAR_SIZE);
+        context.fillStyle = '#ffffff';
+        context.font = `700 44px ${FONT}`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(name.charAt(0).toUpperCase(), x + AVATAR_SIZE / 2, y + AVATAR_SIZE / 2);
+    }
+    context.restore();
+};
+
+const drawCard = (context, t, card, x, y, outline) => {
+    roundedRect(context, x, y, CARD_WIDTH, CARD_HEIGHT, 8);
+    context.fillStyle = '#fdfdfd';
+    context.fill();
+    context.lineWidth = 4;
+    context.strokeStyle = outline;
+    context.stroke();
+
+    context.fillStyle = SUIT_COLORS[card.suit.color];
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.font = `700 24px ${FONT}`;
+    context.fillText(rankLabel(t, card.rank), x + CARD_WIDTH / 2, y + 28);
+    context.font = `28px ${FONT}`;
+    context.fillText(card.suit.symbol, x + CARD_WIDTH / 2, y + 62);
+};
+
+// The first card plus every card dealt after it, each outlined by how its guess went
+const cardSequence = (game) => {
+    if (game.history.length === 0) {
+        return game.currentCard ? [{card: game.currentCard, outline: 'rgba(255, 255, 255, 0.6)'}] : [];
+    }
+    return [
+        {card: game.history[0].startingCard, outline: 'rgba(255, 255, 255, 0.6)'},
+        ...game.history.map((round) => ({
+            card: round.nextCard,
+            outline: round.success ? '#38ca87' : round.result === 'push' ? '#c5cae9' : '#ff5a5f'
+        }))
+    ];
+};
+
+// t is the translator of the language the card is written in
+export const renderScoreCard = async (game, {player = null, t = createTranslator()} = {}) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const context = canvas.getContext('2d');
+
+    const background = context.createRadialGradient(WIDTH / 2, 0, 0, WIDTH / 2, 0, WIDTH);
+    background.addColorStop(0, '#1f5c2c');
+    background.addColorStop(0.75, '#0f2c18');
+    context.fillStyle = background;
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+
+    const name = player?.name ?? t('profile.guest');
+    drawAvatar(context, await loadImage(player?.avatarUrl), name, PADDING, PADDING);
+
+    context.textAlign = 'left';
+    context.textBaseline = 'alphabetic';
+    context.fillStyle = '#f4f4f4';
+    context.font = `700 44px ${FONT}`;
+    context.fillText(name, PADDING + AVATAR_SIZE + 32, PADDING + 48);
+    context.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    context.font = `24px ${FONT}`;
+    const details = [
+        t(`mode.${game.mode}`),
+        t(`scoring.${game.scoring === 'pot' ? 'pot' : 'streak'}.title`),
+        game.assisted ? t('tag.assisted') : null,
+        game.startedAt ? game.startedAt.slice(0, 10) : null
+    ].filter(Boolean).join(' · ');
+    context.fillText(details, PADDING + AVATAR_SIZE + 32, PADDING + 86);
+
+    context.textAlign = 'right';
+    context.fillStyle = '#f4f4f4';
+    context.font = `700 120px ${FONT}`;
+    context.fillText(String(game.score), WIDTH - PADDING, PADDING + 104);
+    context.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    context.font = `24px ${FONT}`;
+    context.fillText(t(game.scoring === 'pot' ? 'scoreCard.pointsBanked' : 'scoreCard.correctInARow'),
+        WIDTH - PADDING, PADDING + 140);
+
+    // Long runs keep their most recent cards; the label says how many were left out
+    const perRow = Math.floor((WIDTH - PADDING * 2 + CARD_GAP) / (CARD_WIDTH + CARD_GAP));
+    const sequence = cardSequence(game);
+    const shown = sequence.slice(-perRow * 2);
+    const top = HEIGHT - PADDING - CARD_HEIGHT * 2 - CARD_GAP;
+    shown.forEach(({card, outline}, index) => {
+        const column = index % perRow;
+        const row = Math.floor(index / perRow);
+        drawCard(context, t, card, PADDING + column * (CARD_WIDTH + CARD_GAP), top + row * (CARD_HEIGHT + CARD_GAP), outline);
+    });
+
+    context.textAlign = 'left';
+    context.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    context.font = `20px ${FONT}`;
+    const hidden = sequence.length - shown.length;
+    context.fillText(
+        hidden > 0 ? t('scoreCard.lastCards', {shown: shown.length, total: sequence.length}) : 'Streets',
+        PADDING,
+        top - 20
+    );
+
+    return canvas;
+};
+
+export const scoreCardBlob = async (game, options) => {
+    const canvas = await renderScoreCard(game, options);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The score card could not be rendered.'))),
+            'image/png');
+    });
+};
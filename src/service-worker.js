@@ -0,0 +1,43 @@
+/* eslint-disable no-restricted-globals */
+
+// Built by react-scripts with Workbox's InjectManifest: self.__WB_MANIFEST is replaced
+// with every file of the build, so the whole app is available offline once installed.
+// Only registered in standalone mode (see useServiceWorker.js).
+
+import {clientsClaim} from 'workbox-core';
+import {ExpirationPlugin} from 'workbox-expiration';
+import {createHandlerBoundToURL, precacheAndRoute} from 'workbox-precaching';
+import {registerRoute} from 'workbox-routing';
+import {StaleWhileRevalidate} from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations are answered with the cached index.html, except for files and the server's routes
+const FILE_PATTERN = /\/[^/?]+\.[^/]+$/;
+const SERVER_PATTERN = /^\/(api|relay|health)(\/|$)/;
+
+registerRoute(
+    ({request, url}) => request.mode === 'navigate'
+        && !FILE_PATTERN.test(url.pathname)
+        && !SERVER_PATTERN.test(url.pathname),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Files from public/ that aren't part of the build, such as the icons
+registerRoute(
+    ({url}) => url.origin === self.location.origin && /\.(png|ico|svg|json)$/.test(url.pathname)
+        && !SERVER_PATTERN.test(url.pathname),
+    new StaleWhileRevalidate({
+        cacheName: 'static',
+        plugins: [new ExpirationPlugin({maxEntries: 50})]
+    })
+);
+
+// A new build waits until the player agrees to reload, so a game isn't swapped out mid-round
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
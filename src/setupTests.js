@@ -0,0 +1,12 @@
+import '@testing-library/jest-dom';
+import {webcrypto} from 'crypto';
+import {TextDecoder, TextEncoder} from 'util';
+
+// The test environments of react-scripts predate Web Crypto and, under jsdom, the
+// encoding API, both of which the game modules use in the browser
+if (!global.crypto?.subtle) {
+    Object.defineProperty(global, 'crypto', {value: webcrypto, configurable: true});
+}
+if (!global.TextEncoder) {
+    Object.assign(global, {TextEncoder, TextDecoder});
+}
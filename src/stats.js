@@ -0,0 +1,164 @@
+import {DEFAULT_RULES, rulesKey} from './game/rules';
+import {DEFAULT_SCORING} from './game/scoring';
+import {longestStreak} from './game/streaks';
+import {readHighScore} from './highScore';
+
+const STATS_STORAGE_KEY_PREFIX = 'streets_stats_';
+const LEGACY_HIGH_SCORE_KEY = 'streets_high_score';
+const MAX_GAMES = 1000;
+
+export const STATS_VERSION = 1;
+
+// Upgrades stored stats from the version it is keyed by to the next one
+const MIGRATIONS = {};
+
+const storageKey = (userId) => `${STATS_STORAGE_KEY_PREFIX}${userId ?? 'local'}`;
+
+// Players from before stats were kept only have their best streak; it is carried over
+// so the dashboard's best score doesn't start from zero
+const emptyStats = () => {
+    const legacyBest = readHighScore(LEGACY_HIGH_SCORE_KEY);
+    return {
+        version: STATS_VERSION,
+        legacyBest: legacyBest > 0 ? legacyBest : null,
+        games: [],
+        accuracy: {}
+    };
+};
+
+// Stats this version can't upgrade, such as ones written by a newer version after a
+// rollback, are shown as far as they can be but never written back, so they aren't lost
+const migrate = (stats) => {
+    let current = stats;
+    while (current && current.version < STATS_VERSION) {
+        const upgrade = MIGRATIONS[current.version];
+        current = upgrade ? upgrade(current) : null;
+    }
+    if (current?.version === STATS_VERSION && Array.isArray(current.games)) {
+        return current;
+    }
+    if (!stats || typeof stats !== 'object') {
+        return null;
+    }
+    return {
+        ...emptyStats(),
+        games: Array.isArray(stats.games) ? stats.games : [],
+        accuracy: stats.accuracy && typeof stats.accuracy === 'object' ? stats.accuracy : {},
+        readOnly: true
+    };
+};
+
+export const readStats = (userId) => {
+    if (typeof window === 'undefined') {
+        return emptyStats();
+    }
+
+    try {
+        const stored = window.localStorage.getItem(storageKey(userId));
+        return stored === null ? emptyStats() : migrate(JSON.parse(stored)) ?? emptyStats();
+    } catch (error) {
+        return emptyStats();
+    }
+};
+
+const writeStats = (userId, stats) => {
+    if (typeof window !== 'undefined') {
+        window.localStorage.setItem(storageKey(userId), JSON.stringify(stats));
+    }
+};
+
+export const resetStats = (userId) => {
+    if (typeof window !== 'undefined') {
+        window.localStorage.removeItem(storageKey(userId));
+    }
+};
+
+const gameId = (game) => (game.mode === 'ranked' ? game.gameId : game.seed);
+
+export const recordGame = (userId, game) => {
+    const stats = readStats(userId);
+    const id = gameId(game);
+    if (stats.readOnly || stats.games.some((entry) => entry.id === id)) {
+        return stats;
+    }
+
+    // Accuracy is kept as running totals per starting rank and guess: attempts, wins
+    // and the summed odds of each guess, which give the expected win rate
+    const accuracy = {...stats.accuracy};
+    game.history.forEach((round) => {
+        if (round.result === 'push') {
+            return;
+        }
+        const rank = round.startingCard.rank.label;
+        const totals = accuracy[rank]?.[round.guess] ?? {attempts: 0, wins: 0, expected: 0};
+        accuracy[rank] = {
+            ...accuracy[rank],
+            [round.guess]: {
+                attempts: totals.attempts + 1,
+                wins: totals.wins + (round.success ? 1 : 0),
+                expected: totals.expected + (typeof round.odds === 'number' ? round.odds : 0)
+            }
+        };
+    });
+
+    const next = {
+        ...stats,
+        games: [...stats.games, {
+            id,
+            mode: game.mode,
+            rules: rulesKey(game.rules ?? DEFAULT_RULES),
+            scoring: game.scoring,
+            assisted: Boolean(game.assisted),
+            score: game.score,
+            rounds: game.history.length,
+            longestStreak: longestStreak(game.history),
+            finishedAt: new Date().toISOString()
+        }].slice(-MAX_GAMES),
+        accuracy
+    };
+    writeStats(userId, next);
+    return next;
+};
+
+const median = (values) => {
+    if (values.length === 0) {
+        return 0;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+// Buckets scores into at most bucketCount bars of equal width
+export const scoreHistogram = (scores, bucketCount = 12) => {
+    if (scores.length === 0) {
+        return [];
+    }
+    const width = Math.max(1, Math.ceil((Math.max(...scores) + 1) / bucketCount));
+    const buckets = Array.from({length: Math.ceil((Math.max(...scores) + 1) / width)}, (_, index) => ({
+        from: index * width,
+        to: index * width + width - 1,
+        count: 0
+    }));
+    scores.forEach((score) => {
+        buckets[Math.floor(score / width)].count += 1;
+    });
+    return buckets;
+};
+
+// Streak and pot scores, and scores under different rules, don't compare, so the summary
+// covers one scoring mode and rule set (a rulesKey) at a time. The legacy best streak was
+// set by the standard rules.
+export const summarizeStats = (stats, {scoring = DEFAULT_SCORING, rules = ''} = {}) => {
+    const games = stats.games.filter((game) => (game.scoring ?? DEFAULT_SCORING) === scoring && game.rules === rules);
+    const scores = games.map(({score}) => score);
+    const legacyBest = scoring === DEFAULT_SCORING && rules === '' ? stats.legacyBest ?? 0 : 0;
+    return {
+        gamesPlayed: scores.length,
+        average: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0,
+        median: median(scores),
+        best: Math.max(legacyBest, ...scores, 0),
+        longestStreak: Math.max(0, ...games.map((game) => game.longestStreak)),
+        histogram: scoreHistogram(scores)
+    };
+};
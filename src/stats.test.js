@@ -0,0 +1,99 @@
+import {currentOdds, playGuess, startGame} from './game/engine';
+import {betterGuess} from './game/odds';
+import {readStats, recordGame, resetStats, scoreHistogram, STATS_VERSION, summarizeStats} from './stats';
+
+const play = (seed, options = {}) => {
+    let game = startGame({seed, now: 0, ...options});
+    while (game.status === 'guessing') {
+        game = playGuess(game, betterGuess(currentOdds(game)) ?? 'higher', {now: null});
+    }
+    return game;
+};
+
+beforeEach(() => window.localStorage.clear());
+
+test('starts empty and carries over the legacy high score', () => {
+    expect(readStats('u1')).toMatchObject({version: STATS_VERSION, legacyBest: null, games: []});
+
+    window.localStorage.setItem('streets_high_score', '7');
+    expect(summarizeStats(readStats('u1')).best).toBe(7);
+});
+
+test('records every game once', () => {
+    const game = play('once');
+
+    recordGame('u1', game);
+    const stats = recordGame('u1', game);
+
+    expect(stats.games).toHaveLength(1);
+    expect(stats.games[0]).toMatchObject({id: 'once', mode: 'classic', score: game.score, rounds: game.history.length});
+    expect(readStats('u1')).toEqual(stats);
+    expect(readStats('u2').games).toHaveLength(0);
+});
+
+test('totals accuracy per starting rank and guess', () => {
+    const game = play('accuracy');
+    const {accuracy} = recordGame('u1', game);
+    const [first] = game.history;
+
+    expect(accuracy[first.startingCard.rank.label][first.guess]).toMatchObject({
+        attempts: expect.any(Number),
+        wins: expect.any(Number)
+    });
+    const attempts = Object.values(accuracy).flatMap(Object.values).reduce((sum, {attempts}) => sum + attempts, 0);
+    expect(attempts).toBe(game.history.filter(({result}) => result !== 'push').length);
+});
+
+test('summarizes scores', () => {
+    ['a', 'b', 'c', 'd'].forEach((seed) => recordGame('u1', play(seed)));
+    const stats = readStats('u1');
+    const scores = stats.games.map(({score}) => score);
+
+    const summary = summarizeStats(stats);
+    expect(summary.gamesPlayed).toBe(4);
+    expect(summary.best).toBe(Math.max(...scores));
+    expect(summary.average).toBeCloseTo(scores.reduce((sum, score) => sum + score, 0) / 4);
+    expect(summary.histogram.reduce((sum, {count}) => sum + count, 0)).toBe(4);
+});
+
+test('summarizes every scoring mode and rule set on its own', () => {
+    recordGame('u1', play('streak'));
+    recordGame('u1', play('pot', {scoring: 'pot'}));
+    const lives = play('lives', {rules: {lives: 3}});
+    recordGame('u1', lives);
+    window.localStorage.setItem('streets_high_score', '99');
+    const stats = readStats('u1');
+
+    expect(summarizeStats(stats).gamesPlayed).toBe(1);
+    expect(summarizeStats(stats, {scoring: 'pot'}).gamesPlayed).toBe(1);
+    expect(summarizeStats(stats, {scoring: 'pot'}).best).toBe(0);
+    expect(summarizeStats(stats, {rules: 'l3'})).toMatchObject({gamesPlayed: 1, best: lives.score});
+});
+
+test('keeps stats it cannot read as they are', () => {
+    const newer = {version: STATS_VERSION + 1, games: [{id: 'x', scoring: 'streak', rules: '', score: 3}], extra: {}};
+    window.localStorage.setItem('streets_stats_u1', JSON.stringify(newer));
+
+    const stats = readStats('u1');
+    expect(stats).toMatchObject({readOnly: true, games: newer.games});
+    expect(summarizeStats(stats).best).toBe(3);
+
+    recordGame('u1', play('newer'));
+    expect(JSON.parse(window.localStorage.getItem('streets_stats_u1'))).toEqual(newer);
+});
+
+test('buckets scores into bars of equal width', () => {
+    expect(scoreHistogram([])).toEqual([]);
+    expect(scoreHistogram([0, 1, 1, 5], 3)).toEqual([
+        {from: 0, to: 1, count: 3},
+        {from: 2, to: 3, count: 0},
+        {from: 4, to: 5, count: 1}
+    ]);
+});
+
+test('forgets everything on reset', () => {
+    recordGame('u1', play('reset'));
+    resetStats('u1');
+
+    expect(readStats('u1').games).toHaveLength(0);
+});
@@ -0,0 +1,38 @@
+import {useEffect, useRef} from 'react';
+
+const isTyping = (target) => target instanceof HTMLElement
+    && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+
+// Calls shortcuts[key] for keys pressed anywhere on the page, with letters matched
+// case-insensitively; a missing or null entry leaves the key alone. Keys typed into
+// form fields and Enter on a focused control keep their usual meaning.
+export const useKeyboardShortcuts = (shortcuts) => {
+    const shortcutsRef = useRef(shortcuts);
+
+    useEffect(() => {
+        shortcutsRef.current = shortcuts;
+    });
+
+    useEffect(() => {
+        const onKeyDown = (event) => {
+            if (event.defaultPrevented || event.repeat || event.altKey || event.ctrlKey || event.metaKey
+                || isTyping(event.target)) {
+                return;
+            }
+
+            const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+            if (key === 'Enter' && event.target instanceof Element && event.target.closest('button, a, summary')) {
+                return;
+            }
+
+            const handler = shortcutsRef.current[key];
+            if (handler) {
+                event.preventDefault();
+                handler();
+            }
+        };
+
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, []);
+};
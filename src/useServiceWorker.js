@@ -0,0 +1,76 @@
+import {useCallback, useEffect, useState} from 'react';
+
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Activities load with a frame_id; any other iframe is treated the same, since a worker
+// there would sit between the page and the embedding site's proxy
+export const isFramed = () =>
+    new URLSearchParams(window.location.search).has('frame_id') || window.self !== window.top;
+
+const isSupported = () =>
+    process.env.NODE_ENV === 'production' && typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+// Registers the service worker in standalone play and reports when a new build is waiting.
+// Inside Discord a worker left over from an earlier visit is removed instead.
+export const useServiceWorker = () => {
+    const [waitingWorker, setWaitingWorker] = useState(null);
+
+    useEffect(() => {
+        if (!isSupported()) {
+            return undefined;
+        }
+
+        if (isFramed()) {
+            navigator.serviceWorker.getRegistrations()
+                .then((registrations) => registrations.forEach((registration) => registration.unregister()))
+                .catch(() => {});
+            return undefined;
+        }
+
+        let cancelled = false;
+        let updateTimer = null;
+
+        // Without a controller this is the first install, not an update
+        const offer = (worker) => {
+            if (!cancelled && worker && navigator.serviceWorker.controller) {
+                setWaitingWorker(worker);
+            }
+        };
+
+        navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`)
+            .then((registration) => {
+                if (cancelled) {
+                    return;
+                }
+                offer(registration.waiting);
+                registration.addEventListener('updatefound', () => {
+                    const installing = registration.installing;
+                    installing?.addEventListener('statechange', () => {
+                        if (installing.state === 'installed') {
+                            offer(installing);
+                        }
+                    });
+                });
+                // An installed app can stay open for days without a navigation that checks
+                updateTimer = setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL_MS);
+            })
+            .catch((error) => console.error('Service worker registration failed:', error));
+
+        return () => {
+            cancelled = true;
+            clearInterval(updateTimer);
+        };
+    }, []);
+
+    const applyUpdate = useCallback(() => {
+        if (!waitingWorker) {
+            return;
+        }
+        navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), {once: true});
+        waitingWorker.postMessage({type: 'SKIP_WAITING'});
+    }, [waitingWorker]);
+
+    const dismissUpdate = useCallback(() => setWaitingWorker(null), []);
+
+    return {updateReady: Boolean(waitingWorker), applyUpdate, dismissUpdate};
+};